@@ -130,6 +130,7 @@ setup_permissions() {
       "Action": [
         "iam:CreateRole", "iam:GetRole", "iam:DeleteRole",
         "iam:AttachRolePolicy", "iam:DetachRolePolicy",
+        "iam:PutRolePolicy", "iam:DeleteRolePolicy",
         "iam:ListRoles", "iam:PassRole"
       ],
       "Resource": "arn:aws:iam::*:role/skyflow-lambda-api-role"
@@ -151,6 +152,15 @@ setup_permissions() {
       "Action": ["lambda:ListFunctions"],
       "Resource": "*"
     },
+    {
+      "Sid": "EventSourceMappingPermissions",
+      "Effect": "Allow",
+      "Action": [
+        "lambda:CreateEventSourceMapping", "lambda:ListEventSourceMappings",
+        "lambda:DeleteEventSourceMapping"
+      ],
+      "Resource": "*"
+    },
     {
       "Sid": "APIGatewayPermissions",
       "Effect": "Allow",
@@ -296,8 +306,12 @@ if [ "$DESTROY_MODE" == "true" ]; then
         echo -e "${GREEN}✓ API Gateway deleted${NC}"
     fi
 
-    # Delete Lambda function
+    # Delete Lambda function (and its SQS/Kinesis event source mappings)
     if aws lambda get-function --region "$REGION" --function-name "$FUNCTION_NAME" &> /dev/null; then
+        for MAPPING_UUID in $(aws lambda list-event-source-mappings --region "$REGION" --function-name "$FUNCTION_NAME" --query 'EventSourceMappings[].UUID' --output text); do
+            echo "Deleting event source mapping: $MAPPING_UUID"
+            aws lambda delete-event-source-mapping --region "$REGION" --uuid "$MAPPING_UUID" > /dev/null || true
+        done
         echo "Deleting Lambda function: $FUNCTION_NAME"
         aws lambda delete-function --region "$REGION" --function-name "$FUNCTION_NAME"
         echo -e "${GREEN}✓ Lambda function deleted${NC}"
@@ -310,6 +324,9 @@ if [ "$DESTROY_MODE" == "true" ]; then
 
         # Detach policies
         aws iam detach-role-policy --role-name "$ROLE_NAME" --policy-arn "arn:aws:iam::aws:policy/service-role/AWSLambdaBasicExecutionRole" || true
+        aws iam delete-role-policy --role-name "$ROLE_NAME" --policy-name "skyflow-credentials-read" &> /dev/null || true
+        aws iam delete-role-policy --role-name "$ROLE_NAME" --policy-name "skyflow-s3-objects" &> /dev/null || true
+        aws iam delete-role-policy --role-name "$ROLE_NAME" --policy-name "skyflow-queue-access" &> /dev/null || true
 
         # Delete role
         aws iam delete-role --role-name "$ROLE_NAME"
@@ -348,11 +365,38 @@ fi
 # Detect authentication type
 CLIENT_ID=$(jq -r '.credentials.clientID // empty' skyflow-config.json)
 API_KEY=$(jq -r '.credentials.apiKey // empty' skyflow-config.json)
+CREDENTIALS_SECRET_ID=$(jq -r 'if .credentialSource.type == "secretsmanager" then .credentialSource.secretId else empty end' skyflow-config.json)
+CREDENTIALS_PARAMETER=$(jq -r 'if .credentialSource.type == "ssm" then .credentialSource.parameterName else empty end' skyflow-config.json)
+CREDENTIALS_TTL=$(jq -r '.credentialSource.ttlSeconds // 300' skyflow-config.json)
 
 # Create environment variables JSON file
 ENV_VARS_FILE="../lambda-env-vars.json"
 
-if [ -n "$CLIENT_ID" ]; then
+if [ -n "$CREDENTIALS_SECRET_ID" ]; then
+    # Credentials fetched from Secrets Manager at runtime (never stored in the function config)
+    echo "  Using credentials from Secrets Manager: $CREDENTIALS_SECRET_ID"
+    jq -n \
+        --arg secretId "$CREDENTIALS_SECRET_ID" \
+        --arg ttl "$CREDENTIALS_TTL" \
+        '{
+            "Variables": {
+                "SKYFLOW_CREDENTIALS_SECRET_ID": $secretId,
+                "SKYFLOW_CREDENTIALS_TTL_SECONDS": $ttl
+            }
+        }' > "$ENV_VARS_FILE"
+elif [ -n "$CREDENTIALS_PARAMETER" ]; then
+    # Credentials fetched from SSM Parameter Store at runtime
+    echo "  Using credentials from SSM parameter: $CREDENTIALS_PARAMETER"
+    jq -n \
+        --arg parameter "$CREDENTIALS_PARAMETER" \
+        --arg ttl "$CREDENTIALS_TTL" \
+        '{
+            "Variables": {
+                "SKYFLOW_CREDENTIALS_PARAMETER": $parameter,
+                "SKYFLOW_CREDENTIALS_TTL_SECONDS": $ttl
+            }
+        }' > "$ENV_VARS_FILE"
+elif [ -n "$CLIENT_ID" ]; then
     # JWT (Service Account) authentication
     echo "  Using JWT (Service Account) authentication"
     jq -n \
@@ -380,11 +424,107 @@ elif [ -n "$API_KEY" ]; then
                 "SKYFLOW_API_KEY": $apiKey
             }
         }' > "$ENV_VARS_FILE"
+elif jq -e '.profiles' skyflow-config.json &> /dev/null; then
+    # Every profile brings its own credentials (added with the profiles below)
+    echo "  Using per-profile credentials"
+    jq -n '{"Variables": {}}' > "$ENV_VARS_FILE"
 else
     echo -e "${RED}Error: No valid credentials found in skyflow-config.json${NC}"
     exit 1
 fi
 
+# Carry the authorization policy over as compact JSON
+POLICY=$(jq -c '.policy // empty' skyflow-config.json)
+if [ -n "$POLICY" ]; then
+    echo "  Including authorization policy ($(jq '.policy.rules | length' skyflow-config.json) rules)"
+    jq --arg policy "$POLICY" '.Variables.SKYFLOW_POLICY = $policy' "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# Named vault profiles as compact JSON (see lambda/utils/profiles.js)
+PROFILES=$(jq -c '.profiles // empty' skyflow-config.json)
+if [ -n "$PROFILES" ]; then
+    echo "  Including vault profiles: $(jq -r '.profiles | keys | join(", ")' skyflow-config.json)"
+    jq --arg profiles "$PROFILES" --arg defaultProfile "$(jq -r '.defaultProfile // empty' skyflow-config.json)" \
+        '.Variables.SKYFLOW_PROFILES = $profiles | if $defaultProfile != "" then .Variables.SKYFLOW_DEFAULT_PROFILE = $defaultProfile else . end' \
+        "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# Log level for our logs and the Skyflow SDK (defaults to info in the Lambda)
+LOG_LEVEL=$(jq -r '.logLevel // empty' skyflow-config.json)
+if [ -n "$LOG_LEVEL" ]; then
+    echo "  Log level: $LOG_LEVEL"
+    jq --arg level "$LOG_LEVEL" '.Variables.LOG_LEVEL = $level' "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# Metrics namespace and switch (defaults to SkyflowLambdaAPI, enabled)
+METRICS_NAMESPACE=$(jq -r '.metrics.namespace // empty' skyflow-config.json)
+METRICS_ENABLED=$(jq -r 'if .metrics.enabled == false then "false" else empty end' skyflow-config.json)
+if [ -n "$METRICS_NAMESPACE" ] || [ -n "$METRICS_ENABLED" ]; then
+    jq --arg namespace "${METRICS_NAMESPACE:-SkyflowLambdaAPI}" --arg enabled "${METRICS_ENABLED:-true}" \
+        '.Variables.METRICS_NAMESPACE = $namespace | .Variables.METRICS_ENABLED = $enabled' "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# SDK client cache limits and bearer token pre-fetching (defaults: 50 clients, 3300 seconds, off)
+CLIENT_CACHE=$(jq -c '.clientCache // empty' skyflow-config.json)
+if [ -n "$CLIENT_CACHE" ]; then
+    jq --argjson cache "$CLIENT_CACHE" \
+        '.Variables.CLIENT_CACHE_MAX_SIZE = ($cache.maxSize // 50 | tostring)
+         | .Variables.CLIENT_CACHE_TTL_SECONDS = ($cache.ttlSeconds // 3300 | tostring)
+         | .Variables.CLIENT_CACHE_PREFETCH_TOKENS = ($cache.prefetchTokens // false | tostring)' \
+        "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# Audit sinks by name (defaults to stdout in the Lambda)
+AUDIT_SINKS=$(jq -r '.audit.sinks // empty | map(if type == "object" then .type else . end) | join(",")' skyflow-config.json)
+if [ -n "$AUDIT_SINKS" ]; then
+    echo "  Audit sinks: $AUDIT_SINKS"
+    jq --arg sinks "$AUDIT_SINKS" '.Variables.AUDIT_SINKS = $sinks' "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# Firehose transformation: fields to tokenize and their vault target
+FIREHOSE=$(jq -c '.firehose // empty' skyflow-config.json)
+if [ -n "$FIREHOSE" ]; then
+    echo "  Firehose fields: $(echo "$FIREHOSE" | jq -c '.fields')"
+    jq --argjson firehose "$FIREHOSE" \
+        '.Variables.FIREHOSE_FIELDS = ($firehose.fields | if type == "string" then . else tojson end)
+         | .Variables += ($firehose | {table: "FIREHOSE_TABLE", profile: "FIREHOSE_PROFILE", clusterId: "FIREHOSE_CLUSTER_ID", vaultId: "FIREHOSE_VAULT_ID", env: "FIREHOSE_ENV"} as $names
+             | to_entries | map(select($names[.key] and .value != null) | {key: $names[.key], value: (.value | tostring)}) | from_entries)' \
+        "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# S3 object tokenization: the same, plus output prefix, upsert column and chunk size
+S3_SECTION=$(jq -c '.s3 // empty' skyflow-config.json)
+if [ -n "$S3_SECTION" ]; then
+    echo "  S3 fields: $(echo "$S3_SECTION" | jq -c '.fields')"
+    jq --argjson s3 "$S3_SECTION" \
+        '.Variables.S3_FIELDS = ($s3.fields | if type == "string" then . else tojson end)
+         | .Variables += ($s3 | {table: "S3_TABLE", profile: "S3_PROFILE", clusterId: "S3_CLUSTER_ID", vaultId: "S3_VAULT_ID", env: "S3_ENV",
+                                upsert: "S3_UPSERT", outputPrefix: "S3_OUTPUT_PREFIX", chunkRows: "S3_CHUNK_ROWS"} as $names
+             | to_entries | map(select($names[.key] and .value != null) | {key: $names[.key], value: (.value | tostring)}) | from_entries)' \
+        "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
+# SQS and Kinesis consumers: where each message's result goes
+QUEUE_DESTINATION=$(jq -c '.queue.destination // empty' skyflow-config.json)
+if [ -n "$QUEUE_DESTINATION" ]; then
+    echo "  Queue results: $(echo "$QUEUE_DESTINATION" | jq -r '.type')"
+    jq --argjson destination "$QUEUE_DESTINATION" \
+        '.Variables += (if $destination.type == "sqs" then {QUEUE_REPLY_QUEUE_URL: $destination.queueUrl}
+                        elif $destination.type == "callback" then {QUEUE_CALLBACK_URL: $destination.url}
+                             + (if $destination.headers then {QUEUE_CALLBACK_HEADERS: ($destination.headers | tojson)} else {} end)
+                        else {QUEUE_DESTINATION: $destination.type} end)' \
+        "$ENV_VARS_FILE" > "$ENV_VARS_FILE.tmp"
+    mv "$ENV_VARS_FILE.tmp" "$ENV_VARS_FILE"
+fi
+
 cd ..
 echo -e "${GREEN}✓ Configuration loaded into environment variables${NC}"
 echo ""
@@ -440,6 +580,67 @@ else
     echo "IAM role already exists"
 fi
 
+# Let the function read the secrets and parameters holding its credentials (top-level and per profile)
+CREDENTIALS_STATEMENTS=$(jq -c --arg region "$REGION" --arg account "$AWS_ACCOUNT_ID" '
+    [.credentialSource, (.profiles // {} | .[].credentialSource)] | map(select(. != null)) | map(
+        if .type == "secretsmanager" then
+            {"Effect": "Allow", "Action": "secretsmanager:GetSecretValue",
+             # Secrets Manager appends a random suffix to secret ARNs
+             "Resource": (if (.secretId | startswith("arn:")) then .secretId
+                          else "arn:aws:secretsmanager:\($region):\($account):secret:\(.secretId)-*" end)}
+        else
+            {"Effect": "Allow", "Action": "ssm:GetParameter",
+             "Resource": "arn:aws:ssm:\($region):\($account):parameter/\(.parameterName | ltrimstr("/"))"}
+        end)' lambda/skyflow-config.json)
+if [ "$CREDENTIALS_STATEMENTS" != "[]" ]; then
+    echo "Granting read access to $(echo "$CREDENTIALS_STATEMENTS" | jq length) credential secret(s)/parameter(s)"
+    aws iam put-role-policy \
+        --role-name "$ROLE_NAME" \
+        --policy-name "skyflow-credentials-read" \
+        --policy-document "$(jq -n --argjson statements "$CREDENTIALS_STATEMENTS" \
+            '{"Version": "2012-10-17", "Statement": ($statements + [
+                {"Effect": "Allow", "Action": "kms:Decrypt", "Resource": "*",
+                 "Condition": {"StringLike": {"kms:ViaService": ["secretsmanager.*.amazonaws.com", "ssm.*.amazonaws.com"]}}}
+            ])}')"
+fi
+
+# Let the function read uploads from the S3 bucket and write under the output prefix only
+S3_BUCKET=$(jq -r '.s3.bucket // empty' lambda/skyflow-config.json)
+if [ -n "$S3_BUCKET" ]; then
+    S3_OUTPUT_PREFIX=$(jq -r '.s3.outputPrefix // "tokenized/"' lambda/skyflow-config.json)
+    echo "Granting access to s3://$S3_BUCKET (output under $S3_OUTPUT_PREFIX)"
+    aws iam put-role-policy \
+        --role-name "$ROLE_NAME" \
+        --policy-name "skyflow-s3-objects" \
+        --policy-document "$(jq -n --arg bucket "$S3_BUCKET" --arg prefix "$S3_OUTPUT_PREFIX" \
+            '{"Version": "2012-10-17", "Statement": [
+                {"Effect": "Allow", "Action": "s3:GetObject", "Resource": "arn:aws:s3:::\($bucket)/*"},
+                {"Effect": "Allow", "Action": ["s3:PutObject", "s3:AbortMultipartUpload"], "Resource": "arn:aws:s3:::\($bucket)/\($prefix)*"}
+            ]}')"
+fi
+
+# Let the function consume its SQS queues and Kinesis streams, and send results to the reply queue
+QUEUE_STATEMENTS=$(jq -c '.queue // {} | [
+    ((.sources // [])[] |
+        if startswith("arn:aws:kinesis:") then
+            {"Effect": "Allow", "Resource": .,
+             "Action": ["kinesis:GetRecords", "kinesis:GetShardIterator", "kinesis:DescribeStream", "kinesis:DescribeStreamSummary", "kinesis:ListShards"]}
+        else
+            {"Effect": "Allow", "Resource": .,
+             "Action": ["sqs:ReceiveMessage", "sqs:DeleteMessage", "sqs:ChangeMessageVisibility", "sqs:GetQueueAttributes"]}
+        end),
+    (.destination // {} | select(.type == "sqs") | .queueUrl
+        | capture("^https://sqs\\.(?<region>[^.]+)\\.amazonaws\\.com/(?<account>[0-9]+)/(?<name>[^/]+)$")
+        | {"Effect": "Allow", "Action": "sqs:SendMessage", "Resource": "arn:aws:sqs:\(.region):\(.account):\(.name)"})
+]' lambda/skyflow-config.json)
+if [ "$QUEUE_STATEMENTS" != "[]" ]; then
+    echo "Granting access to $(jq -r '.queue.sources // [] | length' lambda/skyflow-config.json) queue/stream source(s) and the reply queue"
+    aws iam put-role-policy \
+        --role-name "$ROLE_NAME" \
+        --policy-name "skyflow-queue-access" \
+        --policy-document "$(jq -n --argjson statements "$QUEUE_STATEMENTS" '{"Version": "2012-10-17", "Statement": $statements}')"
+fi
+
 ROLE_ARN="arn:aws:iam::${AWS_ACCOUNT_ID}:role/${ROLE_NAME}"
 echo -e "${GREEN}✓ IAM role ready: ${ROLE_ARN}${NC}"
 echo ""
@@ -487,6 +688,29 @@ else
 fi
 
 LAMBDA_ARN=$(aws lambda get-function --region "$REGION" --function-name "$FUNCTION_NAME" --query 'Configuration.FunctionArn' --output text)
+
+# Consume the configured SQS queues and Kinesis streams; only failed messages are retried
+for SOURCE_ARN in $(jq -r '.queue.sources // [] | .[]' lambda/skyflow-config.json); do
+    EXISTING_MAPPING=$(aws lambda list-event-source-mappings --region "$REGION" --function-name "$FUNCTION_NAME" \
+        --event-source-arn "$SOURCE_ARN" --query 'EventSourceMappings[0].UUID' --output text)
+    if [ "$EXISTING_MAPPING" != "None" ]; then
+        echo "Event source mapping already exists: $SOURCE_ARN"
+        continue
+    fi
+    echo "Creating event source mapping: $SOURCE_ARN"
+    STARTING_POSITION=()
+    if [[ "$SOURCE_ARN" == arn:aws:kinesis:* ]]; then
+        STARTING_POSITION=(--starting-position LATEST)
+    fi
+    aws lambda create-event-source-mapping \
+        --region "$REGION" \
+        --function-name "$FUNCTION_NAME" \
+        --event-source-arn "$SOURCE_ARN" \
+        --function-response-types ReportBatchItemFailures \
+        "${STARTING_POSITION[@]}" \
+        --output text > /dev/null
+done
+
 echo -e "${GREEN}✓ Lambda deployed: ${LAMBDA_ARN}${NC}"
 echo ""
 
@@ -604,9 +828,38 @@ else
     echo "Databricks route already exists"
 fi
 
+# Create BigQuery route
+echo "Creating BigQuery route..."
+
+# /processBigQuery route (BigQuery remote function format, operation from userDefinedContext)
+BQ_ROUTE_ID=$(aws apigatewayv2 get-routes --region "$REGION" --api-id "$API_ID" --query "Items[?RouteKey=='POST /processBigQuery'].RouteId" --output text)
+
+if [ -z "$BQ_ROUTE_ID" ]; then
+    BQ_INTEGRATION_ID=$(aws apigatewayv2 create-integration \
+        --region "$REGION" \
+        --api-id "$API_ID" \
+        --integration-type AWS_PROXY \
+        --integration-uri "$LAMBDA_ARN" \
+        --payload-format-version 2.0 \
+        --query 'IntegrationId' \
+        --output text)
+
+    aws apigatewayv2 create-route \
+        --region "$REGION" \
+        --api-id "$API_ID" \
+        --route-key "POST /processBigQuery" \
+        --target "integrations/${BQ_INTEGRATION_ID}" \
+        --output text > /dev/null
+
+    echo "✓ BigQuery route created"
+else
+    echo "BigQuery route already exists"
+fi
+
 API_URL="https://${API_ID}.execute-api.${REGION}.amazonaws.com/process"
 SF_API_URL="https://${API_ID}.execute-api.${REGION}.amazonaws.com/processSnowflake"
 DB_API_URL="https://${API_ID}.execute-api.${REGION}.amazonaws.com/processDatabricks"
+BQ_API_URL="https://${API_ID}.execute-api.${REGION}.amazonaws.com/processBigQuery"
 
 echo -e "${GREEN}✓ API Gateway configured${NC}"
 echo ""
@@ -633,6 +886,10 @@ echo -e "${GREEN}Databricks Endpoint:${NC}"
 echo -e "  POST ${DB_API_URL}"
 echo -e "  (Uses same format as standard endpoint - see samples/databricks_*.py)"
 echo ""
+echo -e "${GREEN}BigQuery Endpoint:${NC}"
+echo -e "  POST ${BQ_API_URL}"
+echo -e "  (BigQuery remote function format - settings in user_defined_context)"
+echo ""
 echo -e "${YELLOW}Test Examples:${NC}"
 echo ""
 echo -e "${GREEN}1. Tokenize (single column):${NC}"
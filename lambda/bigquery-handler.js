@@ -0,0 +1,176 @@
+/**
+ * BigQuery Remote Function Handler
+ *
+ * Handles BigQuery remote function requests with its format:
+ * Request:  {"calls": [[value], [value], ...], "userDefinedContext": {"operation": "tokenize", ...}}
+ * Response: {"replies": [result, result, ...]}  (one reply per call, in order)
+ * Error:    {"errorMessage": "CODE: message"} with the usual HTTP status
+ *
+ * BigQuery remote functions cannot send custom headers, so the request settings
+ * come from the function's user_defined_context (string keys and values):
+ * - operation (required) - "tokenize" or "detokenize"
+ * - profile (optional) - named vault profile supplying cluster, vault, env,
+ *   default table and credentials (see utils/profiles.js)
+ * - clusterId (required without a profile)
+ * - vaultId (required without a profile)
+ * - env (optional) - "SANDBOX" or "PROD" (defaults to PROD)
+ * - table (required for tokenize)
+ * - column (required for tokenize)
+ * - redactionType (optional, detokenize) - PLAIN_TEXT, MASKED, REDACTED or DEFAULT
+ *   (omit to let Skyflow governance decide)
+ *
+ * NULL and empty-string inputs are returned as NULL without calling Skyflow.
+ * Detokenize returns NULL for tokens Skyflow does not find and fails the call
+ * on any other token error (see utils/udf.js).
+ *
+ * BigQuery retries 408, 429, 500, 503 and 504 responses and fails the query on
+ * any other error status, showing errorMessage in the query error.
+ */
+
+const SkyflowClient = require('./skyflow-client');
+const config = require('./config');
+const { ValidationError, errorResponse, toApiError } = require('./utils/errors');
+const { UDF_OPERATIONS, readSettings, validateUdfOperation, tokenizeValues, detokenizeValues } = require('./utils/udf');
+const { getCaller, authorize } = require('./utils/policy');
+const { TABLELESS_OPERATIONS } = require('./utils/operations');
+const { resolveProfile } = require('./utils/profiles');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+// Singleton client and audit trail (reused across warm invocations)
+let skyflowClient;
+let auditTrail;
+
+/**
+ * Main BigQuery handler - routes to the operation named in userDefinedContext
+ */
+exports.handler = async (event, context) => {
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route: event.path || event.rawPath || '/processBigQuery' });
+    logger.info('BigQuery request', {
+        remainingTimeMs: context.getRemainingTimeInMillis()
+    });
+
+    let audit;
+
+    try {
+        // Initialize client on first invocation
+        if (!skyflowClient) {
+            skyflowClient = new SkyflowClient(config);
+        }
+        skyflowClient.setInvocationContext(context);
+        if (!auditTrail) {
+            auditTrail = new AuditTrail(config.audit);
+        }
+        audit = auditTrail.begin(event, context, '/processBigQuery');
+        metrics.begin('/processBigQuery');
+
+        // Parse request body (BigQuery format)
+        const body = JSON.parse(event.body || '{}');
+        const requestConfig = readSettings(body.userDefinedContext);
+        audit.operation = requestConfig.operation;
+
+        // A profile supplies the vault target and credentials; raw vault settings only where it allows them
+        Object.assign(requestConfig, resolveProfile(config, requestConfig));
+        Object.assign(audit, {
+            profile: requestConfig.profile,
+            clusterId: requestConfig.clusterId,
+            vaultId: requestConfig.vaultId,
+            table: requestConfig.table,
+            env: requestConfig.env
+        });
+
+        const calls = body.calls || [];
+        audit.recordCount = Array.isArray(calls) ? calls.length : 0;
+        metrics.count('Records', audit.recordCount);
+
+        if (!Array.isArray(calls) || calls.length === 0) {
+            throw new ValidationError('Invalid request: calls array is empty or missing');
+        }
+
+        // Validate required context
+        if (!requestConfig.clusterId) {
+            throw missingContext('clusterId');
+        }
+        if (!requestConfig.vaultId) {
+            throw missingContext('vaultId');
+        }
+
+        const operation = requestConfig.operation;
+        if (!operation) {
+            throw missingContext('operation', `must be one of: ${UDF_OPERATIONS.join(', ')}`);
+        }
+        validateUdfOperation(operation);
+        if (operation === 'tokenize') {
+            if (!requestConfig.table) {
+                throw missingContext('table', 'required for tokenize');
+            }
+            if (!requestConfig.column) {
+                throw missingContext('column', 'required for tokenize');
+            }
+        }
+
+        metrics.setDimensions({ operation, vault: requestConfig.vaultId, env: requestConfig.env });
+
+        // Check the caller against the authorization policy
+        audit.redactionType = operation === 'detokenize' ? (requestConfig.redactionType || null) : undefined;
+        const rule = authorize(config.policy, getCaller(event), {
+            operation,
+            profile: requestConfig.profile,
+            clusterId: requestConfig.clusterId,
+            vaultId: requestConfig.vaultId,
+            tables: TABLELESS_OPERATIONS.includes(operation) ? [] : [requestConfig.table],
+            redactionType: audit.redactionType
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(requestConfig.profile);
+        await skyflowClient.loadCredentials();
+
+        const startTime = Date.now();
+        const values = calls.map(call => Array.isArray(call) ? call[0] : call);
+        const result = operation === 'tokenize'
+            ? await tokenizeValues(values, requestConfig, skyflowClient)
+            : await detokenizeValues(values, requestConfig, skyflowClient);
+
+        const elapsed = Date.now() - startTime;
+        logger.info('Operation completed', { operation, duration_ms: elapsed });
+
+        await auditTrail.success(audit, result);
+        metrics.flush();
+
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ replies: result.results })
+        };
+
+    } catch (error) {
+        if (audit) {
+            await auditTrail.failure(audit, error);
+        }
+        metrics.recordRequestError(toApiError(error).code);
+        metrics.flush();
+
+        // Same status mapping as /process, in the body shape BigQuery shows in the query error
+        return errorResponse(error, { 'Content-Type': 'application/json' }, bigQueryError);
+    }
+};
+
+/**
+ * Shorthand for a missing user_defined_context key
+ */
+function missingContext(key, note) {
+    return new ValidationError(`Missing required userDefinedContext key: ${key}${note ? ` (${note})` : ''}`, 'MISSING_HEADER');
+}
+
+/**
+ * BigQuery error body: a single message, with the Skyflow request ID for support tickets
+ */
+function bigQueryError(body) {
+    const { code, message, request_ID: requestId } = body.error;
+    return { errorMessage: `${code}: ${message}${requestId ? ` (request_ID ${requestId})` : ''}` };
+}
@@ -5,23 +5,54 @@
  * 1. Environment variables (production)
  * 2. skyflow-config.json file (development)
  *
+ * Credentials can instead come from AWS Secrets Manager or SSM Parameter Store
+ * (SKYFLOW_CREDENTIALS_SECRET_ID / SKYFLOW_CREDENTIALS_PARAMETER, or
+ * "credentialSource" in skyflow-config.json); they are then fetched at the
+ * first request by SkyflowClient (see utils/credentials.js), not here.
+ *
+ * Named vault profiles with their own credentials come from "profiles" or
+ * SKYFLOW_PROFILES (see utils/profiles.js).
+ *
+ * Firehose transformation settings come from "firehose" or FIREHOSE_* (see firehose-handler.js),
+ * S3 object tokenization settings from "s3" or S3_* (see s3-handler.js),
+ * SQS and Kinesis consumer settings from "queue" or QUEUE_* (see queue-handler.js).
+ *
  * Note: cluster_id is now provided in each API request headers, not in config
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validatePolicy } = require('./utils/policy');
+const { validateCredentials, validateCredentialSource } = require('./utils/credentials');
+const { validateProfiles } = require('./utils/profiles');
+const { parseFieldMap, resolveFieldTarget } = require('./utils/fields');
+const { validateDestination } = require('./utils/destinations');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
 
 function loadConfig() {
     let config = {};
 
-    if (process.env.SKYFLOW_API_KEY || process.env.SKYFLOW_CLIENT_ID) {
-        console.log('Loading config from environment variables');
+    if (process.env.SKYFLOW_API_KEY || process.env.SKYFLOW_CLIENT_ID ||
+        process.env.SKYFLOW_CREDENTIALS_SECRET_ID || process.env.SKYFLOW_CREDENTIALS_PARAMETER ||
+        process.env.SKYFLOW_PROFILES) {
+        logger.info('Loading config from environment variables');
 
-        if (process.env.SKYFLOW_API_KEY) {
+        if (process.env.SKYFLOW_CREDENTIALS_SECRET_ID) {
+            config.credentialSource = {
+                type: 'secretsmanager',
+                secretId: process.env.SKYFLOW_CREDENTIALS_SECRET_ID
+            };
+        } else if (process.env.SKYFLOW_CREDENTIALS_PARAMETER) {
+            config.credentialSource = {
+                type: 'ssm',
+                parameterName: process.env.SKYFLOW_CREDENTIALS_PARAMETER
+            };
+        } else if (process.env.SKYFLOW_API_KEY) {
             config.credentials = {
                 apiKey: process.env.SKYFLOW_API_KEY
             };
-        } else {
+        } else if (process.env.SKYFLOW_CLIENT_ID) {
             config.credentials = {
                 clientID: process.env.SKYFLOW_CLIENT_ID,
                 clientName: process.env.SKYFLOW_CLIENT_NAME,
@@ -31,6 +62,12 @@ function loadConfig() {
             };
         }
 
+        if (config.credentialSource) {
+            config.credentialSource.ttlSeconds = parseInt(process.env.SKYFLOW_CREDENTIALS_TTL_SECONDS || '300');
+            config.credentialSource.provider = process.env.SKYFLOW_CREDENTIALS_PROVIDER || 'aws';
+            config.credentialSource.file = process.env.SKYFLOW_LOCAL_SECRETS_FILE;
+        }
+
         config.batching = {
             tokenize: {
                 batchSize: parseInt(process.env.TOKENIZE_BATCH_SIZE || '25'),
@@ -42,8 +79,88 @@ function loadConfig() {
             }
         };
 
+        config.retry = {
+            maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3'),
+            baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '100'),
+            maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '2000'),
+            totalBudgetMs: parseInt(process.env.RETRY_TOTAL_BUDGET_MS || '10000')
+        };
+
+        config.detect = {
+            provider: process.env.SKYFLOW_DETECT_PROVIDER || 'skyflow'
+        };
+
+        config.clientCache = {
+            maxSize: parseInt(process.env.CLIENT_CACHE_MAX_SIZE || '50'),
+            ttlSeconds: parseInt(process.env.CLIENT_CACHE_TTL_SECONDS || '3300'),
+            prefetchTokens: process.env.CLIENT_CACHE_PREFETCH_TOKENS === 'true'
+        };
+
+        config.logLevel = process.env.LOG_LEVEL || 'info';
+
+        config.metrics = {
+            namespace: process.env.METRICS_NAMESPACE || 'SkyflowLambdaAPI',
+            enabled: process.env.METRICS_ENABLED !== 'false',
+            vaults: (process.env.METRICS_VAULTS || '').split(',').map(vault => vault.trim()).filter(Boolean)
+        };
+
+        config.audit = {
+            sinks: (process.env.AUDIT_SINKS || 'stdout').split(',').map(sink => sink.trim()).filter(Boolean)
+                .map(sink => sink === 'file' ? { type: 'file', path: process.env.AUDIT_FILE_PATH } : sink)
+        };
+
+        if (process.env.SKYFLOW_POLICY) {
+            config.policy = JSON.parse(process.env.SKYFLOW_POLICY);
+        }
+
+        if (process.env.SKYFLOW_PROFILES) {
+            config.profiles = JSON.parse(process.env.SKYFLOW_PROFILES);
+            config.defaultProfile = process.env.SKYFLOW_DEFAULT_PROFILE;
+        }
+
+        if (process.env.FIREHOSE_FIELDS) {
+            config.firehose = {
+                fields: process.env.FIREHOSE_FIELDS,
+                table: process.env.FIREHOSE_TABLE,
+                profile: process.env.FIREHOSE_PROFILE,
+                clusterId: process.env.FIREHOSE_CLUSTER_ID,
+                vaultId: process.env.FIREHOSE_VAULT_ID,
+                env: process.env.FIREHOSE_ENV
+            };
+        }
+
+        if (process.env.S3_FIELDS) {
+            config.s3 = {
+                fields: process.env.S3_FIELDS,
+                table: process.env.S3_TABLE,
+                profile: process.env.S3_PROFILE,
+                clusterId: process.env.S3_CLUSTER_ID,
+                vaultId: process.env.S3_VAULT_ID,
+                env: process.env.S3_ENV,
+                upsert: process.env.S3_UPSERT,
+                outputPrefix: process.env.S3_OUTPUT_PREFIX,
+                chunkRows: process.env.S3_CHUNK_ROWS ? parseInt(process.env.S3_CHUNK_ROWS) : undefined,
+                provider: process.env.S3_PROVIDER,
+                localDir: process.env.S3_LOCAL_DIR
+            };
+        }
+
+        if (process.env.QUEUE_REPLY_QUEUE_URL) {
+            config.queue = { destination: { type: 'sqs', queueUrl: process.env.QUEUE_REPLY_QUEUE_URL } };
+        } else if (process.env.QUEUE_CALLBACK_URL) {
+            config.queue = {
+                destination: {
+                    type: 'callback',
+                    url: process.env.QUEUE_CALLBACK_URL,
+                    headers: process.env.QUEUE_CALLBACK_HEADERS ? JSON.parse(process.env.QUEUE_CALLBACK_HEADERS) : undefined
+                }
+            };
+        } else if (process.env.QUEUE_DESTINATION === 'memory') {
+            config.queue = { destination: { type: 'memory' } };
+        }
+
     } else {
-        console.log('Loading config from skyflow-config.json');
+        logger.info('Loading config from skyflow-config.json');
 
         const configPath = path.join(__dirname, 'skyflow-config.json');
 
@@ -54,31 +171,103 @@ function loadConfig() {
         const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
 
         config.credentials = fileConfig.credentials;
+        config.credentialSource = fileConfig.credentialSource;
         config.batching = fileConfig.batching || {};
+        config.retry = fileConfig.retry || {};
+        config.detect = fileConfig.detect || { provider: 'skyflow' };
+        config.clientCache = fileConfig.clientCache || {};
+        config.policy = fileConfig.policy;
+        config.logLevel = fileConfig.logLevel || 'info';
+        config.metrics = fileConfig.metrics || {};
+        config.audit = fileConfig.audit || { sinks: ['stdout'] };
+        config.profiles = fileConfig.profiles;
+        config.defaultProfile = fileConfig.defaultProfile;
+        config.firehose = fileConfig.firehose;
+        config.s3 = fileConfig.s3;
+        config.queue = fileConfig.queue;
     }
 
-    if (!config.credentials) {
-        throw new Error('Missing required config: credentials');
+    if (config.credentialSource) {
+        validateCredentialSource(config.credentialSource);
+    } else if (config.credentials || !config.profiles) {
+        validateCredentials(config.credentials);
     }
 
-    if (config.credentials.apiKey) {
-        if (!config.credentials.apiKey.startsWith('sky-')) {
-            console.warn('Warning: API key does not start with "sky-"');
+    // Top-level credentials are optional when every profile brings its own
+    if (config.profiles) {
+        validateProfiles(config.profiles, {
+            defaultProfile: config.defaultProfile,
+            hasDefaultCredentials: !!(config.credentials || config.credentialSource)
+        });
+    }
+
+    // Firehose transformation: field paths to tokenize and the vault table they go to
+    if (config.firehose) {
+        config.firehose.fields = parseFieldMap(config.firehose.fields, 'firehose.fields');
+        resolveFieldTarget(config, config.firehose, 'firehose');
+    }
+
+    // S3 object tokenization: the same, plus where the output goes and how files are read
+    if (config.s3) {
+        const s3 = config.s3;
+        s3.fields = parseFieldMap(s3.fields, 's3.fields');
+        resolveFieldTarget(config, s3, 's3');
+        s3.outputPrefix = s3.outputPrefix || 'tokenized/';
+        s3.chunkRows = s3.chunkRows ?? 1000;
+        s3.provider = s3.provider || 'aws';
+        if (s3.upsert && !Object.values(s3.fields).includes(s3.upsert)) {
+            throw new Error(`Invalid s3.upsert: "${s3.upsert}" is not one of the tokenized columns`);
         }
-    } else {
-        const requiredJwtFields = ['clientID', 'clientName', 'tokenURI', 'keyID', 'privateKey'];
-        for (const field of requiredJwtFields) {
-            if (!config.credentials[field]) {
-                throw new Error(`Missing required JWT credential: ${field}`);
-            }
+        if (!Number.isInteger(s3.chunkRows) || s3.chunkRows < 1) {
+            throw new Error('Invalid s3.chunkRows: must be a positive integer');
         }
+        if (!['aws', 'local'].includes(s3.provider)) {
+            throw new Error(`Invalid s3.provider: ${s3.provider}. Must be one of: aws, local`);
+        }
+        if (s3.provider === 'local' && !s3.localDir) {
+            throw new Error('Missing required config: s3.localDir (required with provider "local")');
+        }
+    }
+
+    // SQS and Kinesis consumers: where each message's result goes
+    if (config.queue) {
+        validateDestination(config.queue.destination);
+    }
+
+    // Applies to our logs and the Skyflow SDK's
+    logger.setLevel(config.logLevel);
+    metrics.configure({ ...config.metrics, vaults: metricVaults(config) });
+
+    if (config.policy) {
+        validatePolicy(config.policy);
+    } else {
+        logger.warn('No authorization policy configured - every caller may perform every operation');
     }
 
-    console.log('Configuration loaded successfully', {
-        authType: config.credentials.apiKey ? 'API_KEY' : 'JWT'
+    logger.info('Configuration loaded successfully', {
+        credentialSource: config.credentialSource ? config.credentialSource.type : 'static',
+        logLevel: config.logLevel,
+        policyRules: config.policy ? config.policy.rules.length : 0,
+        profiles: config.profiles ? Object.keys(config.profiles) : [],
+        firehoseFields: config.firehose ? Object.keys(config.firehose.fields) : [],
+        s3Fields: config.s3 ? Object.keys(config.s3.fields) : [],
+        queueDestination: config.queue ? config.queue.destination.type : null
     });
 
     return config;
 }
 
+/**
+ * Vault IDs the metrics Vault dimension names: the configured ones, never a request's
+ */
+function metricVaults(config) {
+    const configured = [
+        ...Object.values(config.profiles || {}).map(profile => profile.vaultId),
+        config.firehose && config.firehose.vaultId,
+        config.s3 && config.s3.vaultId,
+        ...((config.metrics && config.metrics.vaults) || [])
+    ];
+    return [...new Set(configured.filter(Boolean))];
+}
+
 module.exports = loadConfig();
@@ -0,0 +1,176 @@
+/**
+ * Kinesis Data Firehose Transformation Handler
+ *
+ * Tokenizes PII in Firehose records before they are delivered, when the function
+ * is a Firehose data transformation Lambda (invoked directly, no API Gateway):
+ * Event:    {"invocationId": ..., "deliveryStreamArn": ..., "records": [{"recordId": ..., "data": base64}, ...]}
+ * Response: {"records": [{"recordId": ..., "result": "Ok" | "ProcessingFailed", "data": base64}, ...]}
+ *
+ * Each record is one JSON object (a trailing newline is kept). The configured
+ * fields of every record go through a single SkyflowClient.tokenize call, so
+ * records share Skyflow batches. Records are:
+ * - Ok: fields tokenized, or none of the configured fields present
+ * - ProcessingFailed: not JSON, or the vault rejected its fields (4xx); the other
+ *   records are unaffected and Firehose writes failed ones to the error output prefix
+ *
+ * Configuration (config "firehose" or env vars):
+ * - fields   (FIREHOSE_FIELDS, required) - field paths to tokenize, see utils/fields.js
+ * - table    (FIREHOSE_TABLE) - vault table (or the profile's default table)
+ * - profile  (FIREHOSE_PROFILE) - named vault profile
+ * - clusterId, vaultId, env (FIREHOSE_CLUSTER_ID, FIREHOSE_VAULT_ID, FIREHOSE_ENV)
+ *
+ * The authorization policy sees the delivery stream ARN as `principal`.
+ * Errors that stop the whole invocation (no configuration, policy denial,
+ * credentials unavailable, a throttled or unavailable vault) are thrown so
+ * Firehose retries the batch.
+ */
+
+const SkyflowClient = require('./skyflow-client');
+const config = require('./config');
+const { toApiError } = require('./utils/errors');
+const { getCaller, authorize } = require('./utils/policy');
+const { tokenizeFields, resolveFieldTarget } = require('./utils/fields');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+const ROUTE = 'firehose';
+
+// Singleton client and audit trail (reused across warm invocations)
+let skyflowClient;
+let auditTrail;
+
+/**
+ * Whether a Lambda event is a Firehose data transformation invocation
+ *
+ * @param {Object} event - Lambda event
+ * @returns {boolean}
+ */
+function isFirehoseEvent(event) {
+    return !!event && Array.isArray(event.records) && typeof event.deliveryStreamArn === 'string';
+}
+
+/**
+ * Main Firehose handler - tokenizes the configured fields of every record
+ */
+async function handler(event, context) {
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route: ROUTE });
+    logger.info('Firehose request', {
+        deliveryStream: event.deliveryStreamArn,
+        count: event.records.length,
+        remainingTimeMs: context.getRemainingTimeInMillis()
+    });
+
+    let audit;
+
+    try {
+        // Initialize client on first invocation
+        if (!skyflowClient) {
+            skyflowClient = new SkyflowClient(config);
+        }
+        skyflowClient.setInvocationContext(context);
+        if (!auditTrail) {
+            auditTrail = new AuditTrail(config.audit);
+        }
+        audit = auditTrail.begin(event, context, ROUTE);
+        audit.operation = 'tokenize';
+        audit.recordCount = event.records.length;
+        metrics.begin(ROUTE);
+        metrics.count('Records', audit.recordCount);
+
+        if (!config.firehose) {
+            throw new Error('Firehose transformation is not configured (set FIREHOSE_FIELDS or "firehose" in skyflow-config.json)');
+        }
+
+        const target = resolveFieldTarget(config, config.firehose, 'firehose');
+        Object.assign(audit, {
+            profile: target.profile,
+            clusterId: target.clusterId,
+            vaultId: target.vaultId,
+            table: target.table,
+            env: target.env
+        });
+        metrics.setDimensions({ operation: 'tokenize', vault: target.vaultId, env: target.env });
+
+        // Check the delivery stream against the authorization policy
+        const rule = authorize(config.policy, getCaller(event), {
+            operation: 'tokenize',
+            profile: target.profile,
+            clusterId: target.clusterId,
+            vaultId: target.vaultId,
+            table: target.table
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(target.profile);
+        await skyflowClient.loadCredentials();
+
+        const startTime = Date.now();
+        const decoded = event.records.map(decodeRecord);
+        // Throws when the vault is throttling or unavailable, so those records are retried rather than failed
+        const result = await tokenizeFields(decoded.map(record => record.document), config.firehose.fields, target, skyflowClient);
+
+        const failed = new Map(result.errors.map(error => [error.index, error]));
+        decoded.forEach((record, index) => {
+            if (record.document === null) {
+                failed.set(index, { index, code: 'INVALID_BODY', error: 'Record data is not a JSON object' });
+            }
+        });
+
+        const records = event.records.map((record, index) => {
+            if (failed.has(index)) {
+                return { recordId: record.recordId, result: 'ProcessingFailed', data: record.data };
+            }
+            const { document, newline } = decoded[index];
+            return {
+                recordId: record.recordId,
+                result: 'Ok',
+                data: Buffer.from(JSON.stringify(document) + newline, 'utf8').toString('base64')
+            };
+        });
+
+        const errors = [...failed.values()];
+        const elapsed = Date.now() - startTime;
+        logger.info('Operation completed', { operation: 'tokenize', duration_ms: elapsed, records: records.length, tokenized: result.tokenized, failed: errors.length });
+        if (errors.length > 0) {
+            logger.warn('Firehose records failed', { failed: errors.length, codes: [...new Set(errors.map(error => error.code))] });
+        }
+
+        await auditTrail.success(audit, { errors, requestIds: result.requestIds });
+        metrics.recordRowErrors(errors);
+        metrics.flush();
+
+        return { records };
+
+    } catch (error) {
+        if (audit) {
+            await auditTrail.failure(audit, error);
+        }
+        metrics.recordRequestError(toApiError(error).code);
+        metrics.flush();
+
+        // Failing the invocation makes Firehose retry the whole batch
+        logger.error('Firehose transformation failed', { error });
+        throw error;
+    }
+}
+
+/**
+ * Decode one Firehose record into a JSON object (document is null if it is not one)
+ */
+function decodeRecord(record) {
+    const text = Buffer.from(record.data || '', 'base64').toString('utf8');
+    const newline = text.endsWith('\n') ? '\n' : '';
+    try {
+        const document = JSON.parse(text);
+        return { document: document !== null && typeof document === 'object' && !Array.isArray(document) ? document : null, newline };
+    } catch (error) {
+        return { document: null, newline };
+    }
+}
+
+module.exports = {
+    handler,
+    isFirehoseEvent
+};
@@ -2,139 +2,173 @@
  * Skyflow Lambda API Handler
  *
  * Generic REST API wrapper for Skyflow SDK operations
- * Supports: tokenize, detokenize, query, BYOT
+ * Supports: tokenize, detokenize, query, BYOT, get, update, delete,
+ *           deidentify-text, reidentify-text, tokenize-document, detokenize-document
  *
  * Routes:
- * - /process - Standard REST API operations
- * - /processDatabricks - Databricks-specific endpoint (same format as /process)
+ * - /process - Standard REST API operations (JSON, or CSV and NDJSON bodies for
+ *              tokenize, tokenize-byot and detokenize)
+ * - /processDatabricks - Databricks-specific endpoint (same format as /process, plus
+ *                        columnar JSON and Arrow bodies for tokenize/detokenize)
  * - /processSnowflake/* - Snowflake external function format
+ * - /processBigQuery - BigQuery remote function format
+ *
+ * Redshift Lambda UDFs, Firehose transformations, S3 notifications and SQS or
+ * Kinesis event source mappings invoke the function directly (no API Gateway);
+ * those events are recognised by their shape and handled by redshift-handler.js,
+ * firehose-handler.js, s3-handler.js and queue-handler.js.
  */
 
 const SkyflowClient = require('./skyflow-client');
 const config = require('./config');
-const { SkyflowError } = require('skyflow-node');
 const snowflakeHandler = require('./snowflake-handler');
+const bigqueryHandler = require('./bigquery-handler');
+const redshiftHandler = require('./redshift-handler');
+const firehoseHandler = require('./firehose-handler');
+const s3Handler = require('./s3-handler');
+const queueHandler = require('./queue-handler');
 const { getHeader } = require('./utils/headers');
-
-// Singleton client instance (reused across warm invocations)
+const { errorResponse, missingHeader, toApiError } = require('./utils/errors');
+const { getCaller, authorize } = require('./utils/policy');
+const { resolveProfile } = require('./utils/profiles');
+const { SUPPORTED_OPERATIONS, runOperation, successBody, requestedRedaction, countRecords, requestedTables } = require('./utils/operations');
+const { requestFormat, parseColumnarRequest, columnarResponse } = require('./utils/columnar');
+const { TABULAR_TYPES, tabularFormat, responseFormat, parseTabularRequest, tabularResponse } = require('./utils/tabular');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+// Singleton client and audit trail (reused across warm invocations)
 let skyflowClient;
+let auditTrail;
 
 /**
  * Main Lambda handler
- * Routes requests to appropriate Skyflow operations or Snowflake handler
+ * Routes requests to appropriate Skyflow operations or the Snowflake, BigQuery, Redshift, Firehose, S3 and queue handlers
  */
 exports.handler = async (event, context) => {
-    console.log('Request:', {
-        requestId: context.requestId,
+    if (redshiftHandler.isRedshiftEvent(event)) {
+        return await redshiftHandler.handler(event, context);
+    }
+    if (firehoseHandler.isFirehoseEvent(event)) {
+        return await firehoseHandler.handler(event, context);
+    }
+    if (s3Handler.isS3Event(event)) {
+        return await s3Handler.handler(event, context);
+    }
+    if (queueHandler.isQueueEvent(event)) {
+        return await queueHandler.handler(event, context);
+    }
+
+    const path = event.path || event.rawPath || '';
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route: path });
+    logger.info('Request', {
         functionName: context.functionName,
-        path: event.path || event.rawPath,
         remainingTimeMs: context.getRemainingTimeInMillis()
     });
 
+    let audit;
+
     try {
-        // Route to Snowflake handler if path matches
-        const path = event.path || event.rawPath || '';
+        // Route to the warehouse handlers if path matches
         if (path.includes('/processSnowflake')) {
             return await snowflakeHandler.handler(event, context);
         }
+        if (path.includes('/processBigQuery')) {
+            return await bigqueryHandler.handler(event, context);
+        }
         // Initialize client on first invocation (singleton pattern)
         if (!skyflowClient) {
             skyflowClient = new SkyflowClient(config);
         }
-
-        // Parse request body
-        const body = JSON.parse(event.body || '{}');
+        skyflowClient.setInvocationContext(context);
+        if (!auditTrail) {
+            auditTrail = new AuditTrail(config.audit);
+        }
+        const route = path.includes('/processDatabricks') ? '/processDatabricks' : '/process';
+        audit = auditTrail.begin(event, context, route);
+        metrics.begin(route);
 
         // Extract configuration from headers (case-insensitive)
         const headers = event.headers || {};
         const operation = (getHeader(headers, 'x-skyflow-operation') || '').toLowerCase();
-        const clusterId = getHeader(headers, 'x-skyflow-cluster-id');
-        const vaultId = getHeader(headers, 'x-skyflow-vault-id');
-        const table = getHeader(headers, 'x-skyflow-table');
-        const env = getHeader(headers, 'x-skyflow-env') || 'PROD';
+        audit.operation = operation;
+
+        // A profile supplies the vault target and credentials; raw vault headers only where it allows them
+        const { profile, clusterId, vaultId, table, env } = resolveProfile(config, {
+            profile: getHeader(headers, 'x-skyflow-profile'),
+            clusterId: getHeader(headers, 'x-skyflow-cluster-id'),
+            vaultId: getHeader(headers, 'x-skyflow-vault-id'),
+            env: getHeader(headers, 'x-skyflow-env'),
+            table: getHeader(headers, 'x-skyflow-table')
+        });
+        Object.assign(audit, { profile, clusterId, vaultId, table, env });
+        metrics.setDimensions({
+            operation: SUPPORTED_OPERATIONS.includes(operation) ? operation : 'unknown',
+            vault: vaultId,
+            env
+        });
+
+        // Parse request body by Content-Type: CSV or NDJSON on both routes, columnar JSON or Arrow from Databricks
+        const format = tabularFormat(headers) || (route === '/processDatabricks' ? requestFormat(headers) : 'json');
+        let body;
+        let layout = null;
+        if (format === 'json') {
+            body = JSON.parse(event.body || '{}');
+        } else if (TABULAR_TYPES[format]) {
+            ({ body, layout } = await parseTabularRequest(event, format, operation));
+        } else {
+            ({ body, layout } = parseColumnarRequest(event, format, operation));
+        }
+        const redactionType = requestedRedaction(operation, body);
+        audit.recordCount = countRecords(operation, body);
+        audit.redactionType = redactionType;
+        metrics.count('Records', audit.recordCount);
 
         if (!clusterId) {
-            throw new Error('Missing required header: X-Skyflow-Cluster-ID');
+            throw missingHeader('X-Skyflow-Cluster-ID');
         }
         if (!vaultId) {
-            throw new Error('Missing required header: X-Skyflow-Vault-ID');
+            throw missingHeader('X-Skyflow-Vault-ID');
         }
 
-        let result;
-        const startTime = Date.now();
-
-        switch (operation) {
-            case 'tokenize':
-                if (!table) {
-                    throw new Error('Missing required header: X-Skyflow-Table (required for tokenize)');
-                }
-                validateTokenizeRequest(body);
-                result = await skyflowClient.tokenize(
-                    clusterId,
-                    vaultId,
-                    table,
-                    body.records,
-                    body.options || {},
-                    env
-                );
-                break;
-
-            case 'detokenize':
-                validateDetokenizeRequest(body);
-                result = await skyflowClient.detokenize(
-                    clusterId,
-                    vaultId,
-                    body.tokens,
-                    body.options || {},
-                    env
-                );
-                break;
+        // Check the caller against the authorization policy before any vault call
+        const rule = authorize(config.policy, getCaller(event), {
+            operation,
+            profile,
+            clusterId,
+            vaultId,
+            tables: requestedTables(operation, body, table),
+            redactionType
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(profile);
+        await skyflowClient.loadCredentials();
 
-            case 'query':
-                validateQueryRequest(body);
-                result = await skyflowClient.query(
-                    clusterId,
-                    vaultId,
-                    body.query,
-                    env
-                );
-                break;
+        const startTime = Date.now();
+        const result = await runOperation(skyflowClient, operation, { clusterId, vaultId, env, table }, body);
 
-            case 'tokenize-byot':
-                if (!table) {
-                    throw new Error('Missing required header: X-Skyflow-Table (required for tokenize-byot)');
-                }
-                validateTokenizeByotRequest(body);
-                result = await skyflowClient.tokenizeByot(
-                    clusterId,
-                    vaultId,
-                    table,
-                    body.records,
-                    env
-                );
-                break;
+        const elapsed = Date.now() - startTime;
+        logger.info('Operation completed', { operation, duration_ms: elapsed });
 
-            default:
-                throw new Error(`Unknown operation: ${operation}. Supported operations (via X-Skyflow-Operation header): tokenize, detokenize, query, tokenize-byot`);
+        // Includes the errors array for partial failure visibility
+        const response = successBody(operation, body, result, elapsed);
+        if (response.errors) {
+            logger.warn('Operation completed with partial failures', { operation, failed: response.errors.length });
         }
 
-        const elapsed = Date.now() - startTime;
-        console.log(`Operation completed in ${elapsed}ms`);
-
-        // Include errors array for partial failure visibility
-        const response = {
-            success: true,
-            data: result.data,
-            metadata: {
-                operation: operation,
-                duration_ms: elapsed
-            }
-        };
+        await auditTrail.success(audit, result);
+        metrics.recordRowErrors(result.errors);
+        metrics.flush();
 
-        // Include errors if present (partial failures with continueOnError)
-        if (result.errors && result.errors.length > 0) {
-            response.errors = result.errors;
-            console.warn(`Operation completed with ${result.errors.length} partial failures`);
+        // CSV and NDJSON requests get rows back in the format they Accept; columnar requests in their own format
+        if (layout && TABULAR_TYPES[format]) {
+            return tabularResponse(responseFormat(headers, format), layout, result, response.metadata);
+        }
+        if (layout) {
+            return columnarResponse(format, layout, result, response.metadata);
         }
 
         return {
@@ -147,125 +181,16 @@ exports.handler = async (event, context) => {
         };
 
     } catch (error) {
-        // Comprehensive error handling with Skyflow-specific details
-        if (error instanceof SkyflowError) {
-            console.error('Skyflow API Error:', {
-                http_code: error.error?.http_code,
-                grpc_code: error.error?.grpc_code,
-                message: error.message,
-                details: error.error?.details,
-                request_ID: error.error?.request_ID  // Useful for support tickets
-            });
-
-            return {
-                statusCode: error.error?.http_code || 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    success: false,
-                    error: {
-                        message: error.message,
-                        type: 'SkyflowError',
-                        http_code: error.error?.http_code,
-                        grpc_code: error.error?.grpc_code,
-                        details: error.error?.details,
-                        request_ID: error.error?.request_ID
-                    }
-                })
-            };
-        } else {
-            // Non-Skyflow errors (validation, parsing, etc.)
-            console.error('Application Error:', error);
-            console.error('Stack:', error.stack);
-
-            return {
-                statusCode: error.statusCode || 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Access-Control-Allow-Origin': '*'
-                },
-                body: JSON.stringify({
-                    success: false,
-                    error: {
-                        message: error.message,
-                        type: error.name || 'Error'
-                    }
-                })
-            };
+        if (audit) {
+            await auditTrail.failure(audit, error);
         }
+        metrics.recordRequestError(toApiError(error).code);
+        metrics.flush();
+
+        // Typed errors carry a stable code and status; Skyflow details are preserved
+        return errorResponse(error, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        });
     }
 };
-
-/**
- * Request validation functions
- */
-function validateTokenizeRequest(body) {
-    if (!body.records || !Array.isArray(body.records)) {
-        throw new Error('Missing or invalid field: records (must be array)');
-    }
-    if (body.records.length === 0) {
-        throw new Error('records array cannot be empty');
-    }
-    body.records.forEach((record, index) => {
-        if (typeof record !== 'object' || record === null) {
-            throw new Error(`records[${index}] must be an object with column names as keys`);
-        }
-        if (Object.keys(record).length === 0) {
-            throw new Error(`records[${index}] cannot be empty - must contain at least one column`);
-        }
-    });
-}
-
-function validateDetokenizeRequest(body) {
-    if (!body.tokens || !Array.isArray(body.tokens)) {
-        throw new Error('Missing or invalid field: tokens (must be array)');
-    }
-    if (body.tokens.length === 0) {
-        throw new Error('tokens array cannot be empty');
-    }
-
-    // Validate redactionType if provided (optional - if omitted, Skyflow governance decides)
-    if (body.options && body.options.redactionType) {
-        const validRedactionTypes = ['PLAIN_TEXT', 'MASKED', 'REDACTED', 'DEFAULT'];
-        if (!validRedactionTypes.includes(body.options.redactionType)) {
-            throw new Error(`Invalid redactionType: ${body.options.redactionType}. Must be one of: ${validRedactionTypes.join(', ')}, or omit for governance-controlled redaction`);
-        }
-    }
-}
-
-function validateQueryRequest(body) {
-    if (!body.query || typeof body.query !== 'string') {
-        throw new Error('Missing or invalid field: query (must be string)');
-    }
-}
-
-function validateTokenizeByotRequest(body) {
-    if (!body.records || !Array.isArray(body.records)) {
-        throw new Error('Missing or invalid field: records (must be array)');
-    }
-    if (body.records.length === 0) {
-        throw new Error('records array cannot be empty');
-    }
-    body.records.forEach((record, index) => {
-        if (!record.fields || typeof record.fields !== 'object') {
-            throw new Error(`records[${index}] must have 'fields' object with column values`);
-        }
-        if (!record.tokens || typeof record.tokens !== 'object') {
-            throw new Error(`records[${index}] must have 'tokens' object with custom token values`);
-        }
-        if (Object.keys(record.fields).length === 0) {
-            throw new Error(`records[${index}].fields cannot be empty`);
-        }
-        if (Object.keys(record.tokens).length === 0) {
-            throw new Error(`records[${index}].tokens cannot be empty`);
-        }
-        // Ensure fields and tokens have matching keys
-        const fieldKeys = Object.keys(record.fields).sort();
-        const tokenKeys = Object.keys(record.tokens).sort();
-        if (fieldKeys.join(',') !== tokenKeys.join(',')) {
-            throw new Error(`records[${index}] fields and tokens must have matching column names`);
-        }
-    });
-}
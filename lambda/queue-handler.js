@@ -0,0 +1,331 @@
+/**
+ * SQS and Kinesis Data Streams Consumer Handler
+ *
+ * Runs asynchronous vault jobs when the function consumes an SQS queue or a
+ * Kinesis data stream (event source mapping, no API Gateway). Each message is
+ * one /process request, with the X-Skyflow-* headers as fields:
+ * {"id": "job-42", "operation": "tokenize", "profile": ..., "clusterId": ..., "vaultId": ..., "env": ..., "table": ...,
+ *  "records": [...], "options": {...}}
+ * The other fields are the /process body for the operation (records, tokens, query,
+ * ids, column and values, text or texts, document or documents and mapping, options).
+ *
+ * Each result goes to the configured destination (see utils/destinations.js):
+ * {"id": "job-42", "messageId": ..., "success": true, "data": [...], "metadata": {...}, "errors": [...]}
+ * {"id": "job-42", "messageId": ..., "success": false, "error": {"code": ..., "message": ...}}
+ * messageId is the SQS message ID or the Kinesis sequence number.
+ *
+ * Response: {"batchItemFailures": [{"itemIdentifier": ...}]}, so only those messages
+ * are retried (the event source mapping needs ReportBatchItemFailures):
+ * - Permanent failures (invalid message, policy denial, vault 4xx) are sent to the
+ *   destination as error results and not retried
+ * - Transient failures (vault throttled, unavailable or timed out, credentials
+ *   unavailable) are retried. Kinesis streams and FIFO queues stop at the first
+ *   one and retry everything after it, so message order is kept. Inserts without
+ *   an upsert column are only retried when throttled, since an unavailable vault
+ *   may still have stored their records.
+ * - Deliveries are retried within the invocation. If the destination stays
+ *   unreachable, the message is retried only when running it again is safe;
+ *   an insert without an upsert column is acknowledged instead, so it never
+ *   creates duplicate records.
+ *
+ * The authorization policy sees the queue or stream ARN as `principal` and, for
+ * SQS, the sender's ID (SenderId attribute) as the `sub` claim. One audit event
+ * is written per message.
+ */
+
+const SkyflowClient = require('./skyflow-client');
+const config = require('./config');
+const { ValidationError, errorBody, toApiError } = require('./utils/errors');
+const { getCaller, authorize } = require('./utils/policy');
+const { resolveProfile } = require('./utils/profiles');
+const { SUPPORTED_OPERATIONS, runOperation, successBody, requestedRedaction, countRecords, requestedTables } = require('./utils/operations');
+const { createDestination } = require('./utils/destinations');
+const { backoffDelay } = require('./utils/retry');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+const ROUTES = {
+    'aws:sqs': 'sqs',
+    'aws:kinesis': 'kinesis'
+};
+
+// How messages name their settings, for error messages
+const MESSAGE_LABELS = {
+    table: 'table',
+    operation: 'message field "operation"',
+    missing: missingField
+};
+
+// Delivery attempts per result, including the first
+const DELIVERY_ATTEMPTS = 3;
+
+// Singleton client, audit trail and destination (reused across warm invocations)
+let skyflowClient;
+let auditTrail;
+let destination;
+
+/**
+ * Whether a Lambda event is an SQS or Kinesis batch
+ *
+ * @param {Object} event - Lambda event
+ * @returns {boolean}
+ */
+function isQueueEvent(event) {
+    return !!event && Array.isArray(event.Records) && event.Records.length > 0 &&
+        !!ROUTES[event.Records[0].eventSource];
+}
+
+/**
+ * Main queue handler - runs each message in order and reports the ones to retry
+ */
+async function handler(event, context) {
+    const first = event.Records[0];
+    const route = ROUTES[first.eventSource];
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route });
+    logger.info('Queue request', {
+        source: first.eventSourceARN,
+        count: event.Records.length,
+        remainingTimeMs: context.getRemainingTimeInMillis()
+    });
+
+    if (!config.queue) {
+        const error = new Error('Queue consumer is not configured (set QUEUE_REPLY_QUEUE_URL, QUEUE_CALLBACK_URL or "queue" in skyflow-config.json)');
+        logger.error('Queue batch failed', { error });
+        throw error;
+    }
+
+    // Initialize on first invocation
+    if (!skyflowClient) {
+        skyflowClient = new SkyflowClient(config);
+    }
+    skyflowClient.setInvocationContext(context);
+    if (!auditTrail) {
+        auditTrail = new AuditTrail(config.audit);
+    }
+    if (!destination) {
+        destination = createDestination(config.queue.destination);
+    }
+
+    // Streams and FIFO queues must not run a message before an earlier one that will be retried
+    const ordered = route === 'kinesis' || String(first.eventSourceARN || '').endsWith('.fifo');
+    const batchItemFailures = [];
+
+    for (const record of event.Records) {
+        const itemIdentifier = messageIdOf(record, route);
+        if (ordered && batchItemFailures.length > 0) {
+            batchItemFailures.push({ itemIdentifier });
+            continue;
+        }
+        if (!await processMessage(record, route, context)) {
+            batchItemFailures.push({ itemIdentifier });
+        }
+    }
+
+    if (batchItemFailures.length > 0) {
+        logger.warn('Queue messages will be retried', { failed: batchItemFailures.length, count: event.Records.length });
+    }
+    return { batchItemFailures };
+}
+
+/**
+ * Run one message and deliver its result
+ *
+ * @returns {Promise<boolean>} false if the message should be retried
+ */
+async function processMessage(record, route, context) {
+    const messageId = messageIdOf(record, route);
+    const audit = auditTrail.begin(record, context, route);
+    metrics.begin(route);
+
+    let message = {};
+    let reply;
+    // Whether the vault call started, so running the message again may repeat its writes
+    let vaultCalled = false;
+
+    try {
+        message = parseMessage(record, route);
+        const operation = String(message.operation || '').toLowerCase();
+        audit.operation = operation;
+
+        // A profile supplies the vault target and credentials; raw vault fields only where it allows them
+        const { profile, clusterId, vaultId, table, env } = resolveProfile(config, {
+            profile: message.profile || null,
+            clusterId: message.clusterId || null,
+            vaultId: message.vaultId || null,
+            env: message.env || null,
+            table: message.table || null
+        });
+        Object.assign(audit, { profile, clusterId, vaultId, table, env });
+        metrics.setDimensions({
+            operation: SUPPORTED_OPERATIONS.includes(operation) ? operation : 'unknown',
+            vault: vaultId,
+            env
+        });
+
+        const redactionType = requestedRedaction(operation, message);
+        audit.recordCount = countRecords(operation, message);
+        audit.redactionType = redactionType;
+        metrics.count('Records', audit.recordCount);
+
+        if (!clusterId) {
+            throw missingField('clusterId');
+        }
+        if (!vaultId) {
+            throw missingField('vaultId');
+        }
+
+        // Check the queue or stream against the authorization policy before any vault call
+        const rule = authorize(config.policy, getCaller(record), {
+            operation,
+            profile,
+            clusterId,
+            vaultId,
+            tables: requestedTables(operation, message, table),
+            redactionType
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(profile);
+        await skyflowClient.loadCredentials();
+
+        const startTime = Date.now();
+        vaultCalled = true;
+        const result = await runOperation(skyflowClient, operation, { clusterId, vaultId, env, table }, message, MESSAGE_LABELS);
+
+        const elapsed = Date.now() - startTime;
+        logger.info('Operation completed', { messageId, operation, duration_ms: elapsed });
+
+        reply = successBody(operation, message, result, elapsed);
+        await auditTrail.success(audit, result);
+        metrics.recordRowErrors(result.errors);
+
+    } catch (error) {
+        await auditTrail.failure(audit, error);
+        const apiError = toApiError(error);
+        metrics.recordRequestError(apiError.code);
+
+        if (isTransient(apiError, String(message.operation || '').toLowerCase(), message)) {
+            metrics.flush();
+            logger.warn('Queue message failed, will be retried', { messageId, code: apiError.code, error_message: apiError.message, request_ID: apiError.requestId });
+            return false;
+        }
+
+        // Retrying would fail the same way: report the error as the message's result
+        logger.warn('Queue message rejected', { messageId, code: apiError.code, error_message: apiError.message, request_ID: apiError.requestId });
+        reply = errorBody(error).body;
+    }
+
+    try {
+        await deliver({ id: jobId(message), messageId, ...reply }, {
+            messageId,
+            groupId: record.attributes && record.attributes.MessageGroupId
+        });
+    } catch (error) {
+        metrics.recordRequestError('DELIVERY_FAILED');
+        metrics.flush();
+        if (vaultCalled && !isReplaySafe(String(message.operation || '').toLowerCase(), message)) {
+            // Running the insert again would add the records a second time
+            logger.error('Result delivery failed, not retried because the job would insert its records again', { messageId, id: jobId(message), error });
+            return true;
+        }
+        logger.error('Result delivery failed, will be retried', { messageId, error });
+        return false;
+    }
+
+    metrics.flush();
+    return true;
+}
+
+/**
+ * Send a result, retrying failed deliveries with backoff
+ *
+ * @throws The last delivery error after DELIVERY_ATTEMPTS attempts
+ */
+async function deliver(reply, delivery) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await destination.send(reply, delivery);
+            return;
+        } catch (error) {
+            if (attempt >= DELIVERY_ATTEMPTS) {
+                throw error;
+            }
+            const delay = backoffDelay(attempt, config.retry);
+            logger.warn('Result delivery failed, retrying', { messageId: delivery.messageId, attempt, delayMs: delay, error });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * SQS message ID or Kinesis sequence number (the batchItemFailures identifier)
+ */
+function messageIdOf(record, route) {
+    return route === 'kinesis' ? record.kinesis.sequenceNumber : record.messageId;
+}
+
+/**
+ * Decode a message body into a JSON object
+ */
+function parseMessage(record, route) {
+    const text = route === 'kinesis'
+        ? Buffer.from(record.kinesis.data || '', 'base64').toString('utf8')
+        : record.body;
+    const message = JSON.parse(text || '{}');
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new ValidationError('Message must be a JSON object', 'INVALID_BODY');
+    }
+    return message;
+}
+
+/**
+ * Caller-supplied job ID echoed in the result (null if absent or not a string or number)
+ */
+function jobId(message) {
+    return typeof message.id === 'string' || typeof message.id === 'number' ? message.id : null;
+}
+
+/**
+ * Whether a failed message may succeed if it is retried
+ * Throttling, an unavailable or timed-out vault and unavailable credentials clear up;
+ * other errors (including 500 INTERNAL_ERROR) would fail the same way again. An
+ * unavailable or timed-out vault may still have run an insert, so messages that are
+ * not safe to run twice are only retried when the vault throttled them.
+ */
+function isTransient(apiError, operation, message) {
+    if (apiError.statusCode === 429 || apiError.code === 'CREDENTIALS_UNAVAILABLE') {
+        return true;
+    }
+    return [503, 504].includes(apiError.statusCode) && isReplaySafe(operation, message);
+}
+
+/**
+ * Whether running a message that reached the vault again has the same effect as running it once
+ * Inserts without an upsert column add their records again, and a repeated delete fails.
+ */
+function isReplaySafe(operation, message) {
+    switch (operation) {
+        case 'tokenize':
+        case 'tokenize-document':
+            return !!(message.options && message.options.upsert);
+        case 'tokenize-byot':
+        case 'delete':
+            return false;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Shorthand for a missing message field
+ */
+function missingField(field, note) {
+    return new ValidationError(`Missing required message field: ${field}${note ? ` (${note})` : ''}`, 'MISSING_HEADER');
+}
+
+module.exports = {
+    handler,
+    isQueueEvent
+};
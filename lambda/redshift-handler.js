@@ -0,0 +1,230 @@
+/**
+ * Amazon Redshift Lambda UDF Handler
+ *
+ * Handles direct invocations from Redshift Lambda UDFs (no API Gateway):
+ * Event:    {"arguments": [[value, settings?], ...], "num_records": n, "external_function": "public.skyflow_tokenize_email", "user": ..., "cluster": ...}
+ * Response: {"success": true, "num_records": n, "results": [result, ...]}  (one result per row, in order)
+ * Error:    {"success": false, "error_msg": "CODE: message"} - Redshift fails the query with error_msg
+ *
+ * Detokenize returns NULL for tokens Skyflow does not find; any other failed
+ * token is an error response, never a NULL result (see utils/udf.js).
+ *
+ * Settings come from the UDF name and an optional second argument:
+ * - Name: the operation is the "tokenize" or "detokenize" in the function name;
+ *   for tokenize, any suffix after it is the vault column
+ *   (skyflow_tokenize_email -> tokenize into column "email", skyflow_detokenize -> detokenize)
+ * - Settings argument: a JSON object string with the same keys as the BigQuery
+ *   user_defined_context (operation, profile, clusterId, vaultId, env, table, column,
+ *   redactionType - see utils/udf.js); it overrides the name and must be the same on every row
+ *
+ * With a default profile (SKYFLOW_DEFAULT_PROFILE) supplying the vault and table,
+ * skyflow_tokenize_email(email) and skyflow_detokenize(token) need no settings argument.
+ *
+ * The authorization policy sees the Redshift cluster ARN as `principal` and the
+ * database user as the `sub` claim.
+ */
+
+const SkyflowClient = require('./skyflow-client');
+const config = require('./config');
+const { ValidationError, errorResponse, toApiError } = require('./utils/errors');
+const { UDF_OPERATIONS, UDF_SETTINGS, readSettings, validateUdfOperation, tokenizeValues, detokenizeValues } = require('./utils/udf');
+const { getCaller, authorize } = require('./utils/policy');
+const { TABLELESS_OPERATIONS } = require('./utils/operations');
+const { resolveProfile } = require('./utils/profiles');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+const ROUTE = 'redshift';
+
+// Singleton client and audit trail (reused across warm invocations)
+let skyflowClient;
+let auditTrail;
+
+/**
+ * Whether a Lambda event is a Redshift Lambda UDF invocation
+ *
+ * @param {Object} event - Lambda event
+ * @returns {boolean}
+ */
+function isRedshiftEvent(event) {
+    return !!event && Array.isArray(event.arguments) && typeof event.external_function === 'string';
+}
+
+/**
+ * Main Redshift handler - runs the operation named by the UDF or its settings argument
+ */
+async function handler(event, context) {
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route: ROUTE });
+    logger.info('Redshift request', {
+        externalFunction: event.external_function,
+        queryId: event.query_id,
+        remainingTimeMs: context.getRemainingTimeInMillis()
+    });
+
+    let audit;
+
+    try {
+        // Initialize client on first invocation
+        if (!skyflowClient) {
+            skyflowClient = new SkyflowClient(config);
+        }
+        skyflowClient.setInvocationContext(context);
+        if (!auditTrail) {
+            auditTrail = new AuditTrail(config.audit);
+        }
+        audit = auditTrail.begin(event, context, ROUTE);
+        metrics.begin(ROUTE);
+
+        const rows = event.arguments;
+        audit.recordCount = rows.length;
+        metrics.count('Records', audit.recordCount);
+
+        const requestConfig = extractSettings(event.external_function, rows);
+        audit.operation = requestConfig.operation;
+
+        // A profile supplies the vault target and credentials; raw vault settings only where it allows them
+        Object.assign(requestConfig, resolveProfile(config, requestConfig));
+        Object.assign(audit, {
+            profile: requestConfig.profile,
+            clusterId: requestConfig.clusterId,
+            vaultId: requestConfig.vaultId,
+            table: requestConfig.table,
+            env: requestConfig.env
+        });
+
+        // Validate required settings
+        if (!requestConfig.clusterId) {
+            throw missingSetting('clusterId');
+        }
+        if (!requestConfig.vaultId) {
+            throw missingSetting('vaultId');
+        }
+
+        const operation = requestConfig.operation;
+        if (!operation) {
+            throw missingSetting('operation', `name the UDF after the operation or set it to one of: ${UDF_OPERATIONS.join(', ')}`);
+        }
+        validateUdfOperation(operation);
+        if (operation === 'tokenize') {
+            if (!requestConfig.table) {
+                throw missingSetting('table', 'required for tokenize');
+            }
+            if (!requestConfig.column) {
+                throw missingSetting('column', 'required for tokenize');
+            }
+        }
+
+        metrics.setDimensions({ operation, vault: requestConfig.vaultId, env: requestConfig.env });
+
+        // Check the caller (the Redshift cluster and database user) against the authorization policy
+        audit.redactionType = operation === 'detokenize' ? (requestConfig.redactionType || null) : undefined;
+        const rule = authorize(config.policy, getCaller(event), {
+            operation,
+            profile: requestConfig.profile,
+            clusterId: requestConfig.clusterId,
+            vaultId: requestConfig.vaultId,
+            tables: TABLELESS_OPERATIONS.includes(operation) ? [] : [requestConfig.table],
+            redactionType: audit.redactionType
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(requestConfig.profile);
+        await skyflowClient.loadCredentials();
+
+        const startTime = Date.now();
+        const values = rows.map(row => Array.isArray(row) ? row[0] : row);
+        const result = rows.length === 0
+            ? { results: [] }
+            : operation === 'tokenize'
+                ? await tokenizeValues(values, requestConfig, skyflowClient)
+                : await detokenizeValues(values, requestConfig, skyflowClient);
+
+        const elapsed = Date.now() - startTime;
+        logger.info('Operation completed', { operation, duration_ms: elapsed });
+
+        await auditTrail.success(audit, result);
+        metrics.flush();
+
+        // Redshift expects the response as a JSON string
+        return JSON.stringify({ success: true, num_records: result.results.length, results: result.results });
+
+    } catch (error) {
+        if (audit) {
+            await auditTrail.failure(audit, error);
+        }
+        metrics.recordRequestError(toApiError(error).code);
+        metrics.flush();
+
+        // Logged like every other route; only the body reaches Redshift
+        return errorResponse(error, {}, redshiftError).body;
+    }
+}
+
+/**
+ * Settings from the UDF name, overridden by the settings argument
+ */
+function extractSettings(externalFunction, rows) {
+    const fromName = nameSettings(externalFunction);
+    const raw = rows.length > 0 && Array.isArray(rows[0]) ? rows[0][1] : undefined;
+    if (raw === undefined || raw === null) {
+        return readSettings(fromName);
+    }
+
+    rows.forEach((row, index) => {
+        if (row[1] !== raw) {
+            throw new ValidationError(`Row ${index}: the settings argument must be the same on every row`);
+        }
+    });
+
+    let fromArgument;
+    try {
+        fromArgument = JSON.parse(raw);
+    } catch (error) {
+        throw new ValidationError(`Invalid settings argument: ${error.message}`);
+    }
+    if (!fromArgument || typeof fromArgument !== 'object' || Array.isArray(fromArgument)) {
+        throw new ValidationError('Invalid settings argument: must be a JSON object');
+    }
+    const unknown = Object.keys(fromArgument).filter(key => !UDF_SETTINGS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Invalid settings argument: unknown key(s) ${unknown.join(', ')}. Supported: ${UDF_SETTINGS.join(', ')}`);
+    }
+
+    return readSettings({ ...fromName, ...fromArgument });
+}
+
+/**
+ * Operation (and tokenize column) from a UDF name such as "public.skyflow_tokenize_email"
+ */
+function nameSettings(externalFunction) {
+    const name = externalFunction.split('.').pop().toLowerCase();
+    const match = name.match(/(detokenize|tokenize)(?:_(\w+))?$/);
+    if (!match) {
+        return {};
+    }
+    return match[1] === 'tokenize' && match[2]
+        ? { operation: 'tokenize', column: match[2] }
+        : { operation: match[1] };
+}
+
+/**
+ * Shorthand for a missing UDF setting
+ */
+function missingSetting(key, note) {
+    return new ValidationError(`Missing required Redshift UDF setting: ${key}${note ? ` (${note})` : ''}`, 'MISSING_HEADER');
+}
+
+/**
+ * Redshift error body: a single message, with the Skyflow request ID for support tickets
+ */
+function redshiftError(body) {
+    const { code, message, request_ID: requestId } = body.error;
+    return { success: false, error_msg: `${code}: ${message}${requestId ? ` (request_ID ${requestId})` : ''}` };
+}
+
+module.exports = {
+    handler,
+    isRedshiftEvent
+};
@@ -0,0 +1,332 @@
+/**
+ * S3 Object Tokenization Handler
+ *
+ * Tokenizes PII in CSV and NDJSON files when the function is invoked by an S3
+ * "object created" notification (no API Gateway):
+ * Event:  {"Records": [{"eventSource": "aws:s3", "s3": {"bucket": {"name": ...}, "object": {"key": ...}}}, ...]}
+ * Output: s3://<bucket>/<outputPrefix><key>                 - tokenized copy of the file
+ *         s3://<bucket>/<outputPrefix><key>.errors.ndjson   - per-row error report (empty if every row succeeded)
+ *
+ * Files are streamed: rows are read, tokenized and written chunkRows at a time,
+ * so there is no size limit beyond the Lambda timeout. Each chunk goes through
+ * one SkyflowClient.tokenize call.
+ * - .csv: the first row is the header and is copied as is; fields are column names
+ *   (matched whole, so a column may be named "contact.email")
+ * - .ndjson / .jsonl: one JSON object per line; fields are paths (see utils/fields.js)
+ * Other extensions are skipped, and so is anything under outputPrefix (so the
+ * output does not trigger the function again).
+ *
+ * A row that the vault rejects (4xx) is left out of the tokenized copy and reported as
+ * {"row": n, "code": ..., "error": ..., "http_code": ..., "request_ID": ...}, where row is
+ * the 1-based position among the data rows (CSV header and blank lines not counted).
+ * The report never contains row values.
+ *
+ * Configuration (config "s3" or env vars):
+ * - fields       (S3_FIELDS, required) - CSV column names or NDJSON field paths to tokenize
+ * - table        (S3_TABLE) - vault table (or the profile's default table)
+ * - profile      (S3_PROFILE) - named vault profile
+ * - clusterId, vaultId, env (S3_CLUSTER_ID, S3_VAULT_ID, S3_ENV)
+ * - upsert       (S3_UPSERT) - vault column to upsert on (one of the tokenized columns)
+ * - outputPrefix (S3_OUTPUT_PREFIX) - key prefix of the output objects (default "tokenized/")
+ * - chunkRows    (S3_CHUNK_ROWS) - rows per tokenize call (default 1000)
+ * - provider     (S3_PROVIDER) - "aws" (default) or "local" with localDir (S3_LOCAL_DIR), see utils/object-store.js
+ * - bucket       - bucket deploy.sh grants the function access to (GetObject, PutObject under outputPrefix)
+ *
+ * The authorization policy sees the bucket ARN as `principal`. Errors that stop
+ * an object (no configuration, policy denial, credentials or S3 unavailable, a
+ * throttled or unavailable vault) are thrown so Lambda retries the notification;
+ * the output is then rewritten.
+ */
+
+const { PassThrough } = require('stream');
+const { once } = require('events');
+const { StringDecoder } = require('string_decoder');
+const SkyflowClient = require('./skyflow-client');
+const config = require('./config');
+const { toApiError } = require('./utils/errors');
+const { getCaller, authorize } = require('./utils/policy');
+const { tokenizeFields, resolveFieldTarget } = require('./utils/fields');
+const { parseCsv, formatCsvRow } = require('./utils/csv');
+const { createObjectStore } = require('./utils/object-store');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+const ROUTE = 's3';
+
+const FORMATS = {
+    '.csv': 'csv',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson'
+};
+
+// Singleton client, audit trail and object store (reused across warm invocations)
+let skyflowClient;
+let auditTrail;
+let objectStore;
+
+/**
+ * Whether a Lambda event is an S3 event notification
+ *
+ * @param {Object} event - Lambda event
+ * @returns {boolean}
+ */
+function isS3Event(event) {
+    return !!event && Array.isArray(event.Records) && event.Records.length > 0 &&
+        event.Records[0].eventSource === 'aws:s3';
+}
+
+/**
+ * Main S3 handler - tokenizes every object in the notification, one after another
+ */
+async function handler(event, context) {
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route: ROUTE });
+
+    if (!config.s3) {
+        const error = new Error('S3 tokenization is not configured (set S3_FIELDS or "s3" in skyflow-config.json)');
+        logger.error('S3 tokenization failed', { error });
+        throw error;
+    }
+
+    // Initialize on first invocation
+    if (!skyflowClient) {
+        skyflowClient = new SkyflowClient(config);
+    }
+    skyflowClient.setInvocationContext(context);
+    if (!auditTrail) {
+        auditTrail = new AuditTrail(config.audit);
+    }
+    if (!objectStore) {
+        objectStore = createObjectStore(config.s3);
+    }
+
+    const results = [];
+    for (const record of event.Records) {
+        results.push(await processObject(record, context));
+    }
+    return { objects: results };
+}
+
+/**
+ * Tokenize one object into its output copy and error report
+ */
+async function processObject(record, context) {
+    const bucket = record.s3.bucket.name;
+    // Keys in notifications are URL-encoded, with spaces as "+"
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+    const { outputPrefix } = config.s3;
+
+    const extension = (key.match(/\.[^./]+$/) || [''])[0].toLowerCase();
+    const format = FORMATS[extension];
+    if (key.startsWith(outputPrefix) || !format) {
+        logger.info('Skipping S3 object', { bucket, key, reason: format ? 'output object' : 'unsupported file type' });
+        return { bucket, key, skipped: true };
+    }
+
+    logger.info('S3 request', { bucket, key, size: record.s3.object.size, remainingTimeMs: context.getRemainingTimeInMillis() });
+
+    const audit = auditTrail.begin(record, context, ROUTE);
+    audit.operation = 'tokenize';
+    metrics.begin(ROUTE);
+
+    try {
+        const target = resolveFieldTarget(config, config.s3, 's3');
+        Object.assign(audit, {
+            profile: target.profile,
+            clusterId: target.clusterId,
+            vaultId: target.vaultId,
+            table: target.table,
+            env: target.env
+        });
+        metrics.setDimensions({ operation: 'tokenize', vault: target.vaultId, env: target.env });
+
+        // Check the bucket against the authorization policy
+        const rule = authorize(config.policy, getCaller(record), {
+            operation: 'tokenize',
+            profile: target.profile,
+            clusterId: target.clusterId,
+            vaultId: target.vaultId,
+            table: target.table
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(target.profile);
+        await skyflowClient.loadCredentials();
+
+        const startTime = Date.now();
+        const outputKey = `${outputPrefix}${key}`;
+        const input = await objectStore.getObjectStream(bucket, key);
+        const result = await transformObject(format, input, target, {
+            output: { bucket, key: outputKey, contentType: CONTENT_TYPES[format] },
+            report: { bucket, key: `${outputKey}.errors.ndjson`, contentType: CONTENT_TYPES.ndjson }
+        });
+
+        audit.recordCount = result.rows;
+        metrics.count('Records', result.rows);
+
+        const elapsed = Date.now() - startTime;
+        logger.info('Operation completed', { operation: 'tokenize', duration_ms: elapsed, rows: result.rows, tokenized: result.tokenized, failed: result.errors.length });
+        if (result.errors.length > 0) {
+            logger.warn('S3 rows failed', { failed: result.errors.length, codes: [...new Set(result.errors.map(error => error.code))] });
+        }
+
+        await auditTrail.success(audit, result);
+        metrics.recordRowErrors(result.errors);
+        metrics.flush();
+
+        return { bucket, key, outputKey, rows: result.rows, tokenized: result.tokenized, failed: result.errors.length };
+
+    } catch (error) {
+        await auditTrail.failure(audit, error);
+        metrics.recordRequestError(toApiError(error).code);
+        metrics.flush();
+
+        // Failing the invocation makes Lambda retry the notification
+        logger.error('S3 tokenization failed', { bucket, key, error });
+        throw error;
+    }
+}
+
+/**
+ * Stream rows from input to the output object, tokenizing chunkRows at a time
+ *
+ * @returns {Promise<Object>} { rows, tokenized, errors, requestIds }
+ */
+async function transformObject(format, input, target, destinations) {
+    const { fields, upsert, chunkRows } = config.s3;
+    // CSV rows are keyed by header, so field names are read as whole column names
+    const options = { ...(upsert ? { upsert } : {}), flat: format === 'csv' };
+
+    const output = new PassThrough();
+    const report = new PassThrough();
+    const uploads = Promise.all([
+        objectStore.putObjectStream(destinations.output.bucket, destinations.output.key, output, destinations.output.contentType),
+        objectStore.putObjectStream(destinations.report.bucket, destinations.report.key, report, destinations.report.contentType)
+    ]);
+    // Awaited below; until then a failed upload must not be an unhandled rejection
+    uploads.catch(() => {});
+
+    // Respect backpressure; an upload that fails stops reading, so stop waiting for it too
+    const write = (stream, text) => stream.write(text) ? null : Promise.race([once(stream, 'drain'), uploads]);
+
+    const totals = { rows: 0, tokenized: 0, errors: [], requestIds: [] };
+    let header = null;
+    let chunk = [];
+
+    const flushChunk = async () => {
+        const documents = chunk.map(row => row.document);
+        const result = await tokenizeFields(documents, fields, target, skyflowClient, options);
+        const failed = new Map(chunk.map((row, index) => [index, row.error]).filter(([, error]) => error));
+        result.errors.forEach(error => failed.set(error.index, error));
+
+        for (const [index, row] of chunk.entries()) {
+            if (failed.has(index)) {
+                const { code, error, http_code: httpCode, request_ID: requestId } = failed.get(index);
+                const entry = { row: row.number, code, error, http_code: httpCode, request_ID: requestId };
+                totals.errors.push(entry);
+                await write(report, JSON.stringify(entry) + '\n');
+            } else {
+                await write(output, format === 'csv'
+                    ? formatCsvRow(header.map(column => row.document[column])) + '\n'
+                    : JSON.stringify(row.document) + '\n');
+            }
+        }
+        totals.tokenized += result.tokenized;
+        totals.requestIds.push(...result.requestIds);
+        chunk = [];
+    };
+
+    try {
+        const rows = format === 'csv' ? parseCsv(input) : splitLines(input);
+        for await (const row of rows) {
+            if (format === 'csv' && !header) {
+                header = row;
+                const missing = Object.keys(fields).filter(column => !header.includes(column));
+                if (missing.length > 0) {
+                    logger.warn('CSV header is missing configured fields', { missing });
+                }
+                await write(output, formatCsvRow(header) + '\n');
+                continue;
+            }
+            if (format === 'ndjson' && row.trim() === '') {
+                continue;
+            }
+
+            totals.rows++;
+            chunk.push({ number: totals.rows, ...(format === 'csv' ? csvDocument(header, row) : jsonDocument(row)) });
+            if (chunk.length >= chunkRows) {
+                await flushChunk();
+            }
+        }
+        if (chunk.length > 0) {
+            await flushChunk();
+        }
+    } catch (error) {
+        // Abandon both uploads (S3 aborts the multipart upload) so no partial output is left behind
+        output.destroy(error);
+        report.destroy(error);
+        await uploads.catch(() => {});
+        throw error;
+    }
+
+    output.end();
+    report.end();
+    await uploads;
+    return totals;
+}
+
+/**
+ * One CSV data row as a document keyed by the header
+ */
+function csvDocument(header, values) {
+    if (values.length !== header.length) {
+        return { document: null, error: { code: 'INVALID_BODY', error: `Row has ${values.length} fields, the header has ${header.length}` } };
+    }
+    return { document: Object.fromEntries(header.map((column, index) => [column, values[index]])) };
+}
+
+/**
+ * One NDJSON line as a document (an error if it is not a JSON object)
+ */
+function jsonDocument(line) {
+    try {
+        const document = JSON.parse(line);
+        if (document !== null && typeof document === 'object' && !Array.isArray(document)) {
+            return { document };
+        }
+    } catch (error) {
+        // Reported below
+    }
+    return { document: null, error: { code: 'INVALID_BODY', error: 'Line is not a JSON object' } };
+}
+
+/**
+ * Split a byte stream into lines (LF or CRLF)
+ */
+async function* splitLines(chunks) {
+    const decoder = new StringDecoder('utf8');
+    let buffered = '';
+    for await (const chunk of chunks) {
+        buffered += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            yield line.replace(/\r$/, '');
+        }
+    }
+    buffered += decoder.end();
+    if (buffered !== '') {
+        yield buffered.replace(/\r$/, '');
+    }
+}
+
+module.exports = {
+    handler,
+    isS3Event
+};
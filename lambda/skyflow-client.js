@@ -1,11 +1,68 @@
 /**
- * Skyflow Client - Pure SDK Wrapper
+ * Skyflow Client - SDK Wrapper
  *
- * Provides clean interface to Skyflow SDK operations
- * No custom preprocessing or transformations - direct pass-through to SDK
+ * Runs vault and Detect operations through the Skyflow SDK for every route:
+ * - splits large requests into batches run with bounded concurrency (utils/batch.js)
+ * - retries transient failures under the configured policy (utils/retry.js)
+ * - sends repeated tokens, and repeated records when upserting, once and fans
+ *   the results back out to every position (utils/dedup.js)
+ * - maps per-row failures back to request positions with continueOnError
+ * - loads credentials per vault profile, renews them once when Skyflow rejects
+ *   them (401), and caches SDK clients per credential set and vault (utils/client-cache.js)
+ * - answers delete dry runs with one redacted lookup per id
+ * Values and tokens are otherwise passed to the SDK as sent.
  */
 
-const { Skyflow, InsertRequest, InsertOptions, DetokenizeRequest, DetokenizeOptions, QueryRequest, TokenMode, RedactionType, LogLevel, SkyflowError } = require('skyflow-node');
+const { Skyflow, generateBearerTokenFromCreds, InsertRequest, InsertOptions, DetokenizeRequest, DetokenizeOptions, QueryRequest, GetRequest, GetColumnRequest, GetOptions, UpdateRequest, UpdateOptions, DeleteRequest, DeidentifyTextRequest, DeidentifyTextOptions, ReidentifyTextRequest, ReidentifyTextOptions, TokenFormat, TokenType, DetectEntities, TokenMode, RedactionType, LogLevel } = require('skyflow-node');
+const { runBatches } = require('./utils/batch');
+const { withRetry } = require('./utils/retry');
+const { recordKey, dedupe, fanOut, callsSaved } = require('./utils/dedup');
+const { LocalDetectService } = require('./utils/local-detect');
+const { ValidationError, VaultError, toVaultError, rowError } = require('./utils/errors');
+const { CredentialProvider } = require('./utils/credentials');
+const { hasOwnCredentials } = require('./utils/profiles');
+const { ClientCache } = require('./utils/client-cache');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+// Skyflow SDK log level for each logger level
+const SDK_LOG_LEVELS = {
+    debug: LogLevel.DEBUG,
+    info: LogLevel.INFO,
+    warn: LogLevel.WARN,
+    error: LogLevel.ERROR,
+    off: LogLevel.OFF
+};
+
+// Pre-fetched bearer tokens are replaced this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60000;
+
+/**
+ * Skyflow request IDs named by an SDK response and its per-record errors
+ *
+ * @param {Object} response - SDK response
+ * @returns {Array<string>} Distinct request IDs (empty if the response names none)
+ */
+function responseRequestIds(response) {
+    const entries = [response, ...((response && response.errors) || [])];
+    const ids = entries.map(entry => entry && (entry.request_ID ?? entry.requestId ?? entry.error?.request_ID));
+    return [...new Set(ids.filter(Boolean))];
+}
+
+/**
+ * Expiry of a JWT bearer token from its exp claim
+ *
+ * @param {string} token - JWT
+ * @returns {number} Epoch ms (0 if the token cannot be decoded)
+ */
+function tokenExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return payload.exp ? payload.exp * 1000 : 0;
+    } catch (error) {
+        return 0;
+    }
+}
 
 class SkyflowClient {
     /**
@@ -14,60 +71,308 @@ class SkyflowClient {
      */
     constructor(config) {
         this.config = config;
-        this.credentials = config.credentials;
         this.batching = config.batching || {};
+        this.retry = config.retry || {};
+
+        // Credential sets: '' holds the top-level credentials, shared by profiles without their own.
+        // Each is static or fetched from Secrets Manager / SSM by loadCredentials()
+        this.credentialSets = { '': this._createCredentialSet(config.credentialSource, config.credentials) };
+        for (const [name, profile] of Object.entries(config.profiles || {})) {
+            if (hasOwnCredentials(profile)) {
+                this.credentialSets[name] = this._createCredentialSet(profile.credentialSource, profile.credentials);
+            }
+        }
 
-        // Cache SDK clients per cluster+vault ID for performance
-        this.clients = {};
+        // Profile of the current invocation (see setProfile)
+        this.profile = null;
 
-        console.log('SkyflowClient initialized', {
-            authType: this.credentials.apiKey ? 'API_KEY' : 'JWT'
+        // Epoch ms by which the current invocation must finish (see setInvocationContext)
+        this.deadline = null;
+
+        // SDK clients per credential set + cluster + vault ID, bounded (LRU + TTL)
+        this.clientCache = config.clientCache || {};
+        this.clients = new ClientCache({
+            maxSize: this.clientCache.maxSize,
+            ttlSeconds: this.clientCache.ttlSeconds,
+            onEvict: (clientKey, entry, reason) => this._releaseClient(clientKey, entry, reason)
+        });
+
+        // Local stand-in for Skyflow Detect (development and tests only)
+        this.localDetect = config.detect?.provider === 'local' ? new LocalDetectService() : null;
+
+        logger.info('SkyflowClient initialized', {
+            credentialSource: this.credentialSets[''].provider.describe(),
+            profiles: Object.keys(config.profiles || {}),
+            clientCacheSize: this.clients.maxSize,
+            prefetchTokens: !!this.clientCache.prefetchTokens
         });
     }
 
     /**
-     * Get or initialize SDK client for a specific cluster, vault, and environment
+     * Build a credential set: its provider and the credentials last loaded from it
+     * @private
+     */
+    _createCredentialSet(source, credentials) {
+        const provider = new CredentialProvider(source || { type: 'static' }, { credentials });
+        return { provider, credentials: credentials || null, version: provider.version, token: null, pendingToken: null };
+    }
+
+    /**
+     * Select the vault profile for the current invocation
+     * Calls then use the profile's credentials (or the top-level ones if it has none)
+     *
+     * @param {string|null} profile - Profile name, or null for the top-level credentials
+     */
+    setProfile(profile) {
+        this.profile = profile || null;
+    }
+
+    /**
+     * Name of the credential set used by the current profile
+     * @private
+     */
+    _credentialKey() {
+        return this.profile && this.credentialSets[this.profile] ? this.profile : '';
+    }
+
+    /**
+     * Make sure the current profile's credentials are loaded (call once per invocation)
+     * Its cached SDK clients are dropped when the credentials changed, so they are
+     * rebuilt with the rotated credentials on next use. With prefetchTokens, a
+     * service-account bearer token is also generated here, before it is needed.
+     *
+     * @param {boolean} [force] - Fetch again even if the cached credentials are fresh
+     * @throws {ApiError} CREDENTIALS_UNAVAILABLE if no credentials could be loaded
+     */
+    async loadCredentials(force = false) {
+        const key = this._credentialKey();
+        const credentialSet = this.credentialSets[key];
+        const { credentials, version } = await credentialSet.provider.get(force);
+        if (version !== credentialSet.version) {
+            const dropped = this._dropClients(key, 'rotation');
+            if (dropped > 0) {
+                logger.info('Rebuilding Skyflow clients with rotated credentials', { profile: key || null, clients: dropped });
+            }
+            credentialSet.credentials = credentials;
+            credentialSet.version = version;
+            credentialSet.token = null;
+        }
+
+        if (this.clientCache.prefetchTokens && credentialSet.credentials && !credentialSet.credentials.apiKey) {
+            await this._ensureBearerToken(key, credentialSet);
+        }
+    }
+
+    /**
+     * Generate a bearer token for a service-account credential set unless the
+     * current one is still valid; concurrent callers share one generation
+     * @private
+     */
+    async _ensureBearerToken(key, credentialSet) {
+        if (credentialSet.token && Date.now() < credentialSet.token.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+            return;
+        }
+        if (!credentialSet.pendingToken) {
+            credentialSet.pendingToken = (async () => {
+                try {
+                    const response = await generateBearerTokenFromCreds(JSON.stringify(credentialSet.credentials));
+                    const hadToken = !!credentialSet.token;
+                    credentialSet.token = {
+                        value: response.accessToken,
+                        expiresAt: tokenExpiry(response.accessToken) || Date.now() + this.clients.ttlMs
+                    };
+                    // Clients built with the previous token are rebuilt with the new one
+                    if (hadToken) {
+                        this._dropClients(key, 'token');
+                    }
+                    logger.info('Skyflow bearer token generated', {
+                        profile: key || null,
+                        expiresInSeconds: Math.round((credentialSet.token.expiresAt - Date.now()) / 1000)
+                    });
+                } catch (error) {
+                    logger.error('Bearer token generation failed', { profile: key || null, error });
+                    throw toVaultError(error, 'Bearer token generation failed');
+                } finally {
+                    credentialSet.pendingToken = null;
+                }
+            })();
+        }
+        await credentialSet.pendingToken;
+    }
+
+    /**
+     * Drop the cached SDK clients of one credential set
+     * @private
+     */
+    _dropClients(key, reason) {
+        return this.clients.deleteWhere(clientKey => clientKey.startsWith(`${key}|`), reason);
+    }
+
+    /**
+     * Release an SDK client removed from the cache
+     * @private
+     */
+    _releaseClient(clientKey, entry, reason) {
+        if (reason === 'capacity') {
+            // Frequent capacity evictions mean callers use more vaults than CLIENT_CACHE_MAX_SIZE
+            logger.warn('Skyflow client cache full, evicting least recently used client', { cache: this.clients.stats() });
+        } else {
+            logger.debug('Skyflow client evicted', { client: clientKey.split('|')[1], reason });
+        }
+        try {
+            if (typeof entry.skyflow.removeVaultConfig === 'function') {
+                entry.skyflow.removeVaultConfig(entry.vaultId);
+            }
+        } catch (error) {
+            logger.warn('Skyflow client release failed', { reason, error });
+        }
+    }
+
+    /**
+     * SDK client cache statistics for diagnostics
+     *
+     * @returns {Object} { size, maxSize, ttlSeconds, hits, misses, hitRate, evictions, oldestAgeMs }
+     */
+    getCacheStats() {
+        return this.clients.stats();
+    }
+
+    /**
+     * Bind the client to the current Lambda invocation
+     * Retries are kept inside the invocation's remaining time
+     *
+     * @param {Object} context - Lambda context object
+     */
+    setInvocationContext(context) {
+        this.deadline = context && typeof context.getRemainingTimeInMillis === 'function'
+            ? Date.now() + context.getRemainingTimeInMillis()
+            : null;
+    }
+
+    /**
+     * Run an SDK call under the configured retry policy
+     * Each call counts as one batch in the request's metrics. When Skyflow
+     * rejects the credentials (401), the credential set's cached clients are
+     * dropped and, if fresh credentials or a new bearer token can be obtained,
+     * the call is repeated once with rebuilt clients.
+     * Pass { idempotent: false } for inserts that would create duplicates if repeated.
+     * The outcome's requestIds are the Skyflow request IDs of the successful response.
+     * @private
+     */
+    async _withRetry(label, fn, options = {}) {
+        const startTime = Date.now();
+        const key = this._credentialKey();
+        const credentialSet = this.credentialSets[key];
+        const version = credentialSet.version;
+        const token = credentialSet.token;
+        try {
+            let outcome;
+            try {
+                outcome = await withRetry(fn, this.retry, { label, deadline: this.deadline, idempotent: options.idempotent });
+            } catch (error) {
+                if (this._httpCode(error) !== 401) {
+                    throw error;
+                }
+                this._dropClients(key, 'auth');
+                if (!(await this._renewCredentials(label, credentialSet, version, token))) {
+                    throw error;
+                }
+                outcome = await withRetry(fn, this.retry, { label, deadline: this.deadline, idempotent: options.idempotent });
+                outcome.retries += (error.retries || 0) + 1;
+            }
+            metrics.recordCall(Date.now() - startTime, outcome.retries);
+            outcome.requestIds = responseRequestIds(outcome.result);
+            return outcome;
+        } catch (error) {
+            metrics.recordCall(Date.now() - startTime, error.retries || 0);
+            throw error;
+        }
+    }
+
+    /**
+     * After an auth failure, get credentials worth retrying with
+     * @private
+     * @returns {Promise<boolean>} Whether a retry can succeed where the failed call did not
+     */
+    async _renewCredentials(label, credentialSet, version, token) {
+        // Another batch may already have picked up rotated credentials or a new token
+        if (credentialSet.version !== version || credentialSet.token !== token) {
+            return true;
+        }
+        logger.warn(`${label}: credentials rejected, renewing`, { source: credentialSet.provider.describe() });
+
+        credentialSet.token = null;
+        await this.loadCredentials(credentialSet.provider.isRefreshable());
+
+        // A static API key cannot be renewed; a service account gets a fresh bearer token on the rebuilt client
+        return credentialSet.version !== version || !credentialSet.credentials.apiKey;
+    }
+
+    /**
+     * HTTP status of a failed SDK call, if any
+     * @private
+     */
+    _httpCode(error) {
+        return Number(error.error?.http_code ?? error.http_code ?? error.statusCode);
+    }
+
+    /**
+     * Get or initialize SDK client for a specific cluster, vault, and environment,
+     * using the current profile's credentials
      * @private
      */
     _getClient(clusterId, vaultId, env = 'PROD') {
         // Validate environment
         const validEnvironments = ['SANDBOX', 'PROD'];
         if (!validEnvironments.includes(env)) {
-            throw new Error(`Invalid environment: ${env}. Must be one of: ${validEnvironments.join(', ')}`);
+            throw new ValidationError(`Invalid environment: ${env}. Must be one of: ${validEnvironments.join(', ')}`, 'INVALID_HEADER');
         }
 
-        const clientKey = `${clusterId}:${vaultId}:${env}`;
+        const credentialKey = this._credentialKey();
+        const clientKey = `${credentialKey}|${clusterId}:${vaultId}:${env}`;
 
-        if (!this.clients[clientKey]) {
-            console.log(`Initializing Skyflow client: cluster=${clusterId}, vault=${vaultId}, env=${env}`);
+        const cached = this.clients.get(clientKey);
+        if (cached) {
+            return cached.skyflow;
+        }
 
-            let credentials;
-            if (this.credentials.apiKey) {
-                credentials = {
-                    apiKey: this.credentials.apiKey
-                };
-            } else {
-                credentials = {
-                    credentialsString: JSON.stringify(this.credentials)
-                };
-            }
+        logger.info('Initializing Skyflow client', { cluster: clusterId, vault: vaultId, env, profile: this.profile });
 
-            const vaultConfig = {
-                vaultId: vaultId,
-                clusterId: clusterId,
-                env: env,
-                credentials: credentials
+        const credentialSet = this.credentialSets[credentialKey];
+        const profileCredentials = credentialSet.credentials;
+        let credentials;
+        if (profileCredentials.apiKey) {
+            credentials = {
+                apiKey: profileCredentials.apiKey
             };
-
-            const skyflowConfig = {
-                vaultConfigs: [vaultConfig],
-                logLevel: LogLevel.ERROR  // Recommended for production
+        } else if (credentialSet.token && Date.now() < credentialSet.token.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+            // Pre-fetched bearer token (prefetchTokens); the client is dropped when it expires
+            credentials = {
+                token: credentialSet.token.value
+            };
+        } else {
+            credentials = {
+                credentialsString: JSON.stringify(profileCredentials)
             };
-
-            this.clients[clientKey] = new Skyflow(skyflowConfig);
         }
 
-        return this.clients[clientKey];
+        const vaultConfig = {
+            vaultId: vaultId,
+            clusterId: clusterId,
+            env: env,
+            credentials: credentials
+        };
+
+        const skyflowConfig = {
+            vaultConfigs: [vaultConfig],
+            logLevel: SDK_LOG_LEVELS[logger.getLevel()]  // Follows LOG_LEVEL
+        };
+
+        const skyflow = new Skyflow(skyflowConfig);
+        this.clients.set(clientKey, { skyflow, vaultId }, {
+            expiresAt: credentials.token ? credentialSet.token.expiresAt - TOKEN_REFRESH_MARGIN_MS : undefined
+        });
+        return skyflow;
     }
 
     /**
@@ -82,49 +387,48 @@ class SkyflowClient {
      *                          - {upsert: "email"} - Upsert by single column (recommended)
      *                          - {upsert: ["email"]} - Array format (only first column used, SDK limitation)
      *                          Note: SDK only supports single-column upsert
+     *                          - {continueOnError: true} - Return per-row errors instead of failing the batch
+     *                          - {deduplicate: false} - Send identical records separately (upsert only)
      * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
-     * @returns {Promise<Array>} Array of tokenized records with all columns
+     * @returns {Promise<Object>} Object with data array and errors array
+     *                          With continueOnError, data is positional (null for failed rows) and each
+     *                          error carries the failed record's original input index
+     *                          With upsert, identical records are tokenized once and `dedup` reports the savings
      */
     async tokenize(clusterId, vaultId, table, records, options = {}, env = 'PROD') {
         const columnNames = records.length > 0 ? Object.keys(records[0]) : [];
         const batchSize = this.batching?.tokenize?.batchSize || 25;
+        const maxConcurrency = this.batching?.tokenize?.maxConcurrency || 5;
 
-        console.log(`Tokenize: cluster=${clusterId}, vault=${vaultId}, env=${env}, table=${table}, columns=[${columnNames.join(', ')}], count=${records.length}, batchSize=${batchSize}`);
+        logger.info('Tokenize', { cluster: clusterId, vault: vaultId, env, table, columns: columnNames, count: records.length, batchSize, maxConcurrency });
 
-        // If records fit in one batch, process directly
-        if (records.length <= batchSize) {
-            return await this._tokenizeBatch(clusterId, vaultId, table, records, options, env);
-        }
+        // Without upsert every insert creates a new vault record, so duplicates are only
+        // collapsed when an upsert column makes repeated inserts resolve to the same record
+        const { unique, positions } = options.upsert && options.deduplicate !== false
+            ? dedupe(records, recordKey)
+            : { unique: records, positions: null };
 
-        // Split into batches and process
-        const batches = [];
-        for (let i = 0; i < records.length; i += batchSize) {
-            batches.push(records.slice(i, i + batchSize));
+        if (positions && unique.length < records.length) {
+            logger.info('Tokenize: duplicate records collapsed', { duplicates: records.length - unique.length, unique: unique.length });
         }
 
-        console.log(`Processing ${batches.length} batches...`);
-
-        // Process all batches
-        const results = [];
-        const errors = [];
+        const result = await runBatches(unique, { batchSize, maxConcurrency, label: 'Tokenize' },
+            (batch, offset) => this._tokenizeBatch(clusterId, vaultId, table, batch, options, env, offset));
 
-        for (let i = 0; i < batches.length; i++) {
-            try {
-                const batchResult = await this._tokenizeBatch(clusterId, vaultId, table, batches[i], options, env);
-                results.push(...(batchResult.data || []));
-                if (batchResult.errors) {
-                    errors.push(...batchResult.errors);
-                }
-            } catch (error) {
-                // If a batch fails, collect the error and continue
-                console.error(`Batch ${i + 1}/${batches.length} failed:`, error.message);
-                throw error; // Fail fast on batch error
-            }
+        if (!positions || unique.length === records.length) {
+            return result;
         }
 
         return {
-            data: results,
-            errors: errors.length > 0 ? errors : null
+            data: positions.map(uniqueIndex => result.data[uniqueIndex] ?? null),
+            // Every original position that shared the failed record gets the error
+            errors: result.errors && fanOut(positions, result.errors, error => error.index, (error, index) => ({ ...error, index })),
+            retries: result.retries,
+            requestIds: result.requestIds,
+            dedup: {
+                duplicates: records.length - unique.length,
+                vaultCallsSaved: callsSaved(records.length, unique.length, batchSize)
+            }
         };
     }
 
@@ -132,44 +436,43 @@ class SkyflowClient {
      * Process a single batch of tokenization
      * @private
      */
-    async _tokenizeBatch(clusterId, vaultId, table, records, options = {}, env = 'PROD') {
-        const client = this._getClient(clusterId, vaultId, env);
-
+    async _tokenizeBatch(clusterId, vaultId, table, records, options = {}, env = 'PROD', offset = 0) {
         const insertRequest = new InsertRequest(table, records);
         const insertOptions = new InsertOptions();
         insertOptions.setReturnTokens(true);
 
-        if (options.upsert) {
-            if (typeof options.upsert === 'string') {
-                insertOptions.setUpsertColumn(options.upsert);
-            } else if (Array.isArray(options.upsert) && options.upsert.length > 0) {
-                // Use first column only (SDK limitation)
-                insertOptions.setUpsertColumn(options.upsert[0]);
-            }
+        let upsertColumn = null;
+        if (typeof options.upsert === 'string') {
+            upsertColumn = options.upsert;
+        } else if (Array.isArray(options.upsert) && options.upsert.length > 0) {
+            // Use first column only (SDK limitation)
+            upsertColumn = options.upsert[0];
         }
-        insertOptions.setContinueOnError(false);
+        if (upsertColumn) {
+            insertOptions.setUpsertColumn(upsertColumn);
+        }
+        insertOptions.setContinueOnError(!!options.continueOnError);
 
         try {
-            const response = await client.vault(vaultId).insert(insertRequest, insertOptions);
+            // Without upsert a repeated insert adds the records again
+            const { result: response, retries, requestIds } = await this._withRetry('Tokenize',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).insert(insertRequest, insertOptions),
+                { idempotent: !!upsertColumn });
+
+            if (options.continueOnError) {
+                return { ...this._collectInsertResults(response, records.length, offset), retries, requestIds };
+            }
 
             // Return both data and errors for partial failure handling
             return {
                 data: response.insertedFields || [],
-                errors: response.errors || null
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
             };
         } catch (error) {
-            if (error instanceof SkyflowError) {
-                console.error('Tokenize error (Skyflow):', {
-                    http_code: error.error?.http_code,
-                    grpc_code: error.error?.grpc_code,
-                    message: error.message,
-                    details: error.error?.details,
-                    request_ID: error.error?.request_ID
-                });
-            } else {
-                console.error('Tokenize error (Unexpected):', error.message);
-            }
-            throw new Error(`Tokenization failed: ${error.message}`);
+            logger.error('Tokenize error', { error });
+            throw toVaultError(error, 'Tokenization failed');
         }
     }
 
@@ -187,47 +490,40 @@ class SkyflowClient {
      *                          - Omit redactionType to let Skyflow's governance engine decide
      * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
      * @returns {Promise<Object>} Object with data array and errors array
+     *                          Repeated tokens are detokenized once and `dedup` reports the savings
      */
     async detokenize(clusterId, vaultId, tokens, options = {}, env = 'PROD') {
         const redactionType = options.redactionType;
         const batchSize = this.batching?.detokenize?.batchSize || 25;
+        const maxConcurrency = this.batching?.detokenize?.maxConcurrency || 5;
 
-        console.log(`Detokenize: cluster=${clusterId}, vault=${vaultId}, env=${env}, count=${tokens.length}, batchSize=${batchSize}, redactionType=${redactionType || 'governance-controlled'}`);
-
-        // If tokens fit in one batch, process directly
-        if (tokens.length <= batchSize) {
-            return await this._detokenizeBatch(clusterId, vaultId, tokens, options, env);
-        }
+        logger.info('Detokenize', { cluster: clusterId, vault: vaultId, env, count: tokens.length, batchSize, maxConcurrency, redactionType: redactionType || 'governance-controlled' });
 
-        // Split into batches and process
-        const batches = [];
-        for (let i = 0; i < tokens.length; i += batchSize) {
-            batches.push(tokens.slice(i, i + batchSize));
+        const { unique, positions } = dedupe(tokens);
+        if (unique.length === tokens.length) {
+            return await runBatches(tokens, { batchSize, maxConcurrency, label: 'Detokenize' },
+                (batch) => this._detokenizeBatch(clusterId, vaultId, batch, options, env));
         }
 
-        console.log(`Processing ${batches.length} batches...`);
+        logger.info('Detokenize: duplicate tokens collapsed', { duplicates: tokens.length - unique.length, unique: unique.length });
 
-        // Process all batches
-        const results = [];
-        const errors = [];
+        const result = await runBatches(unique, { batchSize, maxConcurrency, label: 'Detokenize' },
+            (batch) => this._detokenizeBatch(clusterId, vaultId, batch, options, env));
 
-        for (let i = 0; i < batches.length; i++) {
-            try {
-                const batchResult = await this._detokenizeBatch(clusterId, vaultId, batches[i], options, env);
-                results.push(...(batchResult.data || []));
-                if (batchResult.errors) {
-                    errors.push(...batchResult.errors);
-                }
-            } catch (error) {
-                // If a batch fails, collect the error and continue
-                console.error(`Batch ${i + 1}/${batches.length} failed:`, error.message);
-                throw error; // Fail fast on batch error
-            }
-        }
+        // Failed tokens are absent from data (reported in errors), so match results by token;
+        // every occurrence of a token gets its value or its error, in input order
+        const uniqueIndexByToken = new Map(unique.map((token, index) => [String(token), index]));
+        const uniqueIndexOf = item => uniqueIndexByToken.get(String(item.token));
 
         return {
-            data: results,
-            errors: errors.length > 0 ? errors : null
+            data: fanOut(positions, result.data, uniqueIndexOf),
+            errors: result.errors && fanOut(positions, result.errors, uniqueIndexOf),
+            retries: result.retries,
+            requestIds: result.requestIds,
+            dedup: {
+                duplicates: tokens.length - unique.length,
+                vaultCallsSaved: callsSaved(tokens.length, unique.length, batchSize)
+            }
         };
     }
 
@@ -237,8 +533,6 @@ class SkyflowClient {
      */
     async _detokenizeBatch(clusterId, vaultId, tokens, options = {}, env = 'PROD') {
         const redactionType = options.redactionType;
-        const client = this._getClient(clusterId, vaultId, env);
-
         // Only set redactionType if explicitly provided, otherwise let Skyflow governance decide
         const detokenizeData = tokens.map(token => {
             const data = { token: token };
@@ -256,7 +550,8 @@ class SkyflowClient {
         detokenizeOptions.setContinueOnError(true);
 
         try {
-            const response = await client.vault(vaultId).detokenize(detokenizeRequest, detokenizeOptions);
+            const { result: response, retries, requestIds } = await this._withRetry('Detokenize',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).detokenize(detokenizeRequest, detokenizeOptions));
 
             // Return both data and errors for partial failure handling
             return {
@@ -264,21 +559,13 @@ class SkyflowClient {
                     token: record.token,
                     value: record.value
                 })),
-                errors: response.errors || null
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
             };
         } catch (error) {
-            if (error instanceof SkyflowError) {
-                console.error('Detokenize error (Skyflow):', {
-                    http_code: error.error?.http_code,
-                    grpc_code: error.error?.grpc_code,
-                    message: error.message,
-                    details: error.error?.details,
-                    request_ID: error.error?.request_ID
-                });
-            } else {
-                console.error('Detokenize error (Unexpected):', error.message);
-            }
-            throw new Error(`Detokenization failed: ${error.message}`);
+            logger.error('Detokenize error', { error });
+            throw toVaultError(error, 'Detokenization failed');
         }
     }
 
@@ -292,13 +579,13 @@ class SkyflowClient {
      * @returns {Promise<Array>} Array of query results
      */
     async query(clusterId, vaultId, sqlQuery, env = 'PROD') {
-        console.log(`Query: cluster=${clusterId}, vault=${vaultId}, env=${env}, query=${sqlQuery.substring(0, 100)}...`);
+        logger.info('Query', { cluster: clusterId, vault: vaultId, env, query: sqlQuery });
 
-        const client = this._getClient(clusterId, vaultId, env);
         const queryRequest = new QueryRequest(sqlQuery);
 
         try {
-            const response = await client.vault(vaultId).query(queryRequest);
+            const { result: response, retries, requestIds } = await this._withRetry('Query',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).query(queryRequest));
 
             // Remove empty tokenizedData field from response
             const cleanedResults = (response.fields || []).map(record => {
@@ -309,85 +596,104 @@ class SkyflowClient {
             // Return both data and errors for partial failure handling
             return {
                 data: cleanedResults,
-                errors: response.errors || null
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
             };
         } catch (error) {
-            if (error instanceof SkyflowError) {
-                console.error('Query error (Skyflow):', {
-                    http_code: error.error?.http_code,
-                    grpc_code: error.error?.grpc_code,
-                    message: error.message,
-                    details: error.error?.details,
-                    request_ID: error.error?.request_ID
-                });
-            } else {
-                console.error('Query error (Unexpected):', error.message);
-            }
-            throw new Error(`Query failed: ${error.message}`);
+            logger.error('Query error', { error });
+            throw toVaultError(error, 'Query failed');
         }
     }
 
     /**
-     * Tokenize with BYOT - Bring Your Own Token (multi-column support)
-     * Insert records with custom tokens
+     * Get records by skyflow_id or by a unique column value
      *
      * @param {string} clusterId - Skyflow cluster ID
      * @param {string} vaultId - Skyflow vault ID
      * @param {string} table - Table name in vault
-     * @param {Array} records - Array of record objects with 'fields' (values) and 'tokens' (custom tokens)
-     *                          Example: [{fields: {email: "test@example.com"}, tokens: {email: "custom-token-123"}}]
+     * @param {Object} lookup - What to fetch:
+     *                          - {ids: ["uuid-1", "uuid-2"]} - By skyflow_id
+     *                          - {column: "email", values: ["john@example.com"]} - By unique column value
+     * @param {Object} options - Options object supporting:
+     *                          - {redactionType: "MASKED"} - Redaction for returned values
+     *                          - {returnTokens: true} - Return tokens instead of values
+     *                          - Omit both to let Skyflow's governance engine decide
      * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
-     * @returns {Promise<Array>} Array of inserted records with tokens
+     * @returns {Promise<Object>} Object with data array (found records, unordered) and errors array
      */
-    async tokenizeByot(clusterId, vaultId, table, records, env = 'PROD') {
-        const batchSize = this.batching?.tokenize?.batchSize || 25;
+    async get(clusterId, vaultId, table, lookup, options = {}, env = 'PROD') {
+        const keys = lookup.ids || lookup.values || [];
+        const batchSize = this.batching?.get?.batchSize || this.batching?.detokenize?.batchSize || 25;
+        const maxConcurrency = this.batching?.get?.maxConcurrency || this.batching?.detokenize?.maxConcurrency || 5;
 
-        console.log(`Tokenize-BYOT: cluster=${clusterId}, vault=${vaultId}, env=${env}, table=${table}, count=${records.length}, batchSize=${batchSize}`);
+        logger.info('Get', { cluster: clusterId, vault: vaultId, env, table, by: lookup.column || 'skyflow_id', count: keys.length, batchSize, redactionType: options.redactionType || (options.returnTokens ? 'tokens' : 'governance-controlled') });
 
-        // If records fit in one batch, process directly
-        if (records.length <= batchSize) {
-            return await this._tokenizeByotBatch(clusterId, vaultId, table, records, env);
-        }
+        return await runBatches(keys, { batchSize, maxConcurrency, label: 'Get' },
+            (batch) => this._getBatch(clusterId, vaultId, table, lookup.column ? { column: lookup.column, values: batch } : { ids: batch }, options, env));
+    }
 
-        // Split into batches and process
-        const batches = [];
-        for (let i = 0; i < records.length; i += batchSize) {
-            batches.push(records.slice(i, i + batchSize));
+    /**
+     * Process a single batch of get
+     * @private
+     */
+    async _getBatch(clusterId, vaultId, table, lookup, options = {}, env = 'PROD') {
+        const getRequest = lookup.column
+            ? new GetColumnRequest(table, lookup.column, lookup.values)
+            : new GetRequest(table, lookup.ids);
+        const getOptions = new GetOptions();
+        if (options.returnTokens) {
+            getOptions.setReturnTokens(true);
+        } else if (options.redactionType) {
+            getOptions.setRedactionType(RedactionType[options.redactionType] || RedactionType.PLAIN_TEXT);
         }
 
-        console.log(`Processing ${batches.length} batches...`);
-
-        // Process all batches
-        const results = [];
-        const errors = [];
+        try {
+            const { result: response, retries, requestIds } = await this._withRetry('Get',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).get(getRequest, getOptions));
 
-        for (let i = 0; i < batches.length; i++) {
-            try {
-                const batchResult = await this._tokenizeByotBatch(clusterId, vaultId, table, batches[i], env);
-                results.push(...(batchResult.data || []));
-                if (batchResult.errors) {
-                    errors.push(...batchResult.errors);
-                }
-            } catch (error) {
-                // If a batch fails, collect the error and continue
-                console.error(`Batch ${i + 1}/${batches.length} failed:`, error.message);
-                throw error; // Fail fast on batch error
-            }
+            // Return both data and errors for partial failure handling
+            return {
+                data: response.data || [],
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
+            };
+        } catch (error) {
+            logger.error('Get error', { error });
+            throw toVaultError(error, 'Get failed');
         }
+    }
 
-        return {
-            data: results,
-            errors: errors.length > 0 ? errors : null
-        };
+    /**
+     * Tokenize with BYOT - Bring Your Own Token (multi-column support)
+     * Insert records with custom tokens
+     *
+     * @param {string} clusterId - Skyflow cluster ID
+     * @param {string} vaultId - Skyflow vault ID
+     * @param {string} table - Table name in vault
+     * @param {Array} records - Array of record objects with 'fields' (values) and 'tokens' (custom tokens)
+     *                          Example: [{fields: {email: "test@example.com"}, tokens: {email: "custom-token-123"}}]
+     * @param {Object} options - Options object supporting:
+     *                          - {continueOnError: true} - Return per-row errors instead of failing the batch
+     * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
+     * @returns {Promise<Object>} Object with data array and errors array (same shape as tokenize)
+     */
+    async tokenizeByot(clusterId, vaultId, table, records, options = {}, env = 'PROD') {
+        const batchSize = this.batching?.tokenize?.batchSize || 25;
+        const maxConcurrency = this.batching?.tokenize?.maxConcurrency || 5;
+
+        logger.info('Tokenize-BYOT', { cluster: clusterId, vault: vaultId, env, table, count: records.length, batchSize, maxConcurrency });
+
+        return await runBatches(records, { batchSize, maxConcurrency, label: 'Tokenize-BYOT' },
+            (batch, offset) => this._tokenizeByotBatch(clusterId, vaultId, table, batch, options, env, offset));
     }
 
     /**
      * Process a single batch of tokenize-BYOT
      * @private
      */
-    async _tokenizeByotBatch(clusterId, vaultId, table, records, env = 'PROD') {
-        const client = this._getClient(clusterId, vaultId, env);
-
+    async _tokenizeByotBatch(clusterId, vaultId, table, records, options = {}, env = 'PROD', offset = 0) {
         const insertData = records.map(record => record.fields);
         const tokens = records.map(record => record.tokens);
 
@@ -395,38 +701,366 @@ class SkyflowClient {
         const insertOptions = new InsertOptions();
         insertOptions.setTokenMode(TokenMode.ENABLE);
         insertOptions.setTokens(tokens);
-        insertOptions.setContinueOnError(false);
+        insertOptions.setContinueOnError(!!options.continueOnError);
 
         try {
-            const response = await client.vault(vaultId).insert(insertRequest, insertOptions);
+            const { result: response, retries, requestIds } = await this._withRetry('Tokenize-BYOT',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).insert(insertRequest, insertOptions),
+                { idempotent: false });
+
+            if (options.continueOnError) {
+                return { ...this._collectInsertResults(response, records.length, offset), retries, requestIds };
+            }
 
             // Return both data and errors for partial failure handling
             return {
                 data: response.insertedFields || [],
-                errors: response.errors || null
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
+            };
+        } catch (error) {
+            logger.error('Tokenize-BYOT error', { error });
+            throw toVaultError(error, 'Tokenize-BYOT failed');
+        }
+    }
+
+    /**
+     * Update records in place (one Skyflow call per record)
+     *
+     * @param {string} clusterId - Skyflow cluster ID
+     * @param {string} vaultId - Skyflow vault ID
+     * @param {string} table - Table name in vault
+     * @param {Array} records - Array of record objects with skyflow_id and the columns to change
+     *                          Example: [{skyflow_id: "uuid-1", email: "new@example.com"}]
+     * @param {Object} options - Options object supporting:
+     *                          - {returnTokens: true} - Return tokens for the updated columns (default)
+     *                          - {continueOnError: true} - Return per-row errors instead of failing the request
+     * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
+     * @returns {Promise<Object>} Object with positional data array (null for failed rows) and errors array
+     */
+    async update(clusterId, vaultId, table, records, options = {}, env = 'PROD') {
+        const maxConcurrency = this.batching?.tokenize?.maxConcurrency || 5;
+
+        logger.info('Update', { cluster: clusterId, vault: vaultId, env, table, count: records.length, maxConcurrency });
+
+        // The SDK updates a single record per request
+        return await runBatches(records, { batchSize: 1, maxConcurrency, label: 'Update' },
+            (batch, offset) => this._updateRecord(clusterId, vaultId, table, batch[0], options, env, offset));
+    }
+
+    /**
+     * Update a single record
+     * @private
+     */
+    async _updateRecord(clusterId, vaultId, table, record, options = {}, env = 'PROD', index = 0) {
+        const { skyflow_id: skyflowId, ...fields } = record;
+        const updateRequest = new UpdateRequest(table, { skyflowId, ...fields });
+        const updateOptions = new UpdateOptions();
+        updateOptions.setReturnTokens(options.returnTokens !== false);
+
+        try {
+            const { result: response, retries, requestIds } = await this._withRetry('Update',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).update(updateRequest, updateOptions));
+
+            const { skyflowId: updatedId, ...updated } = response.updatedField || {};
+            return {
+                data: [{ skyflow_id: updatedId || skyflowId, ...updated }],
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
+            };
+        } catch (error) {
+            if (options.continueOnError) {
+                logger.warn('Update: record failed', { index, error });
+                return { data: [null], errors: [rowError(index, error)], retries: error.retries || 0 };
+            }
+            logger.error('Update error', { error });
+            throw toVaultError(error, 'Update failed');
+        }
+    }
+
+    /**
+     * Delete records by skyflow_id
+     *
+     * @param {string} clusterId - Skyflow cluster ID
+     * @param {string} vaultId - Skyflow vault ID
+     * @param {string} table - Table name in vault
+     * @param {Array} ids - Array of skyflow_id strings
+     * @param {Object} options - Options object supporting:
+     *                          - {dryRun: true} - Only report which records exist and would be deleted
+     *                            (one lookup per id, so an unknown id is reported as not existing)
+     *                          - {continueOnError: true} - Return per-row errors instead of failing the request
+     * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
+     * @returns {Promise<Object>} Object with data array ({skyflow_id, deleted[, exists]} per id) and errors array
+     */
+    async delete(clusterId, vaultId, table, ids, options = {}, env = 'PROD') {
+        const batchSize = this.batching?.tokenize?.batchSize || 25;
+        const maxConcurrency = this.batching?.tokenize?.maxConcurrency || 5;
+
+        logger.info('Delete', { cluster: clusterId, vault: vaultId, env, table, count: ids.length, batchSize, dryRun: !!options.dryRun });
+
+        if (options.dryRun) {
+            // Skyflow fails a whole get when any of its ids is unknown, so each id is read on its own
+            return await runBatches(ids, { batchSize: 1, maxConcurrency, label: 'Delete-DryRun' },
+                (batch, offset) => this._recordExists(clusterId, vaultId, table, batch[0], options, env, offset));
+        }
+
+        return await runBatches(ids, { batchSize, maxConcurrency, label: 'Delete' },
+            (batch, offset) => this._deleteBatch(clusterId, vaultId, table, batch, options, env, offset));
+    }
+
+    /**
+     * Check whether a record exists, with a fully redacted read that exposes no values
+     * A 404 means the record does not exist; any other failure fails the request
+     * (or, with continueOnError, is reported as a row error).
+     * @private
+     */
+    async _recordExists(clusterId, vaultId, table, id, options = {}, env = 'PROD', index = 0) {
+        const getRequest = new GetRequest(table, [id]);
+        const getOptions = new GetOptions();
+        getOptions.setRedactionType(RedactionType.REDACTED);
+
+        try {
+            const { result: response, retries, requestIds } = await this._withRetry('Delete-DryRun',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).get(getRequest, getOptions));
+
+            return {
+                data: [{ skyflow_id: id, deleted: false, exists: (response.data || []).length > 0 }],
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
+            };
+        } catch (error) {
+            if (this._httpCode(error) === 404) {
+                const { request_ID: requestId } = rowError(index, error);
+                return {
+                    data: [{ skyflow_id: id, deleted: false, exists: false }],
+                    errors: null,
+                    retries: error.retries || 0,
+                    requestIds: requestId ? [requestId] : []
+                };
+            }
+            if (options.continueOnError) {
+                logger.warn('Delete-DryRun: lookup failed', { index, error });
+                return { data: [{ skyflow_id: id, deleted: false, exists: null }], errors: [rowError(index, error)], retries: error.retries || 0 };
+            }
+            logger.error('Delete-DryRun error', { error });
+            throw toVaultError(error, 'Delete dry run failed');
+        }
+    }
+
+    /**
+     * Process a single batch of delete
+     * @private
+     */
+    async _deleteBatch(clusterId, vaultId, table, ids, options = {}, env = 'PROD', offset = 0) {
+        const deleteRequest = new DeleteRequest(table, ids);
+
+        try {
+            const { result: response, retries, requestIds } = await this._withRetry('Delete',
+                () => this._getClient(clusterId, vaultId, env).vault(vaultId).delete(deleteRequest));
+
+            const deleted = new Set(response.deletedIds || []);
+            return {
+                data: ids.map(id => ({ skyflow_id: id, deleted: deleted.has(id) })),
+                errors: response.errors || null,
+                retries: retries,
+                requestIds: requestIds
+            };
+        } catch (error) {
+            if (options.continueOnError) {
+                logger.warn('Delete: batch failed', { offset, error });
+                return {
+                    data: ids.map(id => ({ skyflow_id: id, deleted: false })),
+                    errors: ids.map((id, i) => rowError(offset + i, error)),
+                    retries: error.retries || 0
+                };
+            }
+            logger.error('Delete error', { error });
+            throw toVaultError(error, 'Delete failed');
+        }
+    }
+
+    /**
+     * De-identify free text: replace PII entities with vault tokens or entity placeholders
+     *
+     * @param {string} clusterId - Skyflow cluster ID
+     * @param {string} vaultId - Skyflow vault ID
+     * @param {Array} texts - Array of text strings
+     * @param {Object} options - Options object supporting:
+     *                          - {entities: ["EMAIL_ADDRESS", "SSN"]} - Entity types to detect (defaults to all)
+     *                          - {tokenType: "VAULT_TOKEN"} - VAULT_TOKEN (reversible), ENTITY_ONLY or ENTITY_UNIQUE_COUNTER
+     * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
+     * @returns {Promise<Object>} Object with data array ({text, entities} per input, no plaintext) and errors array
+     */
+    async deidentifyText(clusterId, vaultId, texts, options = {}, env = 'PROD') {
+        const maxConcurrency = this.batching?.detect?.maxConcurrency || 5;
+
+        logger.info('Deidentify-Text', { cluster: clusterId, vault: vaultId, env, count: texts.length, entities: options.entities || ['all'], tokenType: options.tokenType || 'VAULT_TOKEN' });
+
+        return await runBatches(texts, { batchSize: 1, maxConcurrency, label: 'Deidentify-Text' },
+            (batch) => this._detectCall('Deidentify-Text', clusterId, vaultId, env,
+                (detect) => detect.deidentifyText(batch[0], options),
+                (response) => ({
+                    text: response.processedText,
+                    // Never echo detected plaintext back to the caller
+                    entities: (response.entities || []).map(entity => ({
+                        entity: entity.entity,
+                        token: entity.token,
+                        start: entity.processedIndex?.start,
+                        end: entity.processedIndex?.end
+                    }))
+                })));
+    }
+
+    /**
+     * Re-identify free text produced by deidentifyText
+     *
+     * @param {string} clusterId - Skyflow cluster ID
+     * @param {string} vaultId - Skyflow vault ID
+     * @param {Array} texts - Array of de-identified text strings
+     * @param {Object} options - Options object supporting:
+     *                          - {redactionType: "MASKED"} - PLAIN_TEXT, MASKED or REDACTED for restored entities
+     *                          - {entities: ["EMAIL_ADDRESS"]} - Entity types the redaction applies to (defaults to all)
+     *                          - Omit redactionType to let Skyflow's governance engine decide
+     * @param {string} env - Skyflow environment (SANDBOX or PROD), defaults to PROD
+     * @returns {Promise<Object>} Object with data array ({text} per input) and errors array
+     */
+    async reidentifyText(clusterId, vaultId, texts, options = {}, env = 'PROD') {
+        const maxConcurrency = this.batching?.detect?.maxConcurrency || 5;
+
+        logger.info('Reidentify-Text', { cluster: clusterId, vault: vaultId, env, count: texts.length, redactionType: options.redactionType || 'governance-controlled' });
+
+        return await runBatches(texts, { batchSize: 1, maxConcurrency, label: 'Reidentify-Text' },
+            (batch) => this._detectCall('Reidentify-Text', clusterId, vaultId, env,
+                (detect) => detect.reidentifyText(batch[0], options),
+                (response) => ({ text: response.processedText })));
+    }
+
+    /**
+     * Run one Detect call and shape its result like a single-row batch
+     * @private
+     */
+    async _detectCall(label, clusterId, vaultId, env, call, shape) {
+        try {
+            const { result: response, retries, requestIds } = await this._withRetry(label,
+                () => call(this._getDetect(clusterId, vaultId, env)));
+            return {
+                data: [shape(response)],
+                errors: null,
+                retries: retries,
+                requestIds: requestIds
             };
         } catch (error) {
-            if (error instanceof SkyflowError) {
-                console.error('Tokenize-BYOT error (Skyflow):', {
-                    http_code: error.error?.http_code,
-                    grpc_code: error.error?.grpc_code,
-                    message: error.message,
-                    details: error.error?.details,
-                    request_ID: error.error?.request_ID
-                });
-            } else {
-                console.error('Tokenize-BYOT error (Unexpected):', error.message);
+            logger.error(`${label} error`, { error });
+            throw toVaultError(error, `${label} failed`);
+        }
+    }
+
+    /**
+     * Get the Detect service for a vault: the local stand-in when configured,
+     * otherwise an adapter over the SDK's detect API
+     * @private
+     */
+    _getDetect(clusterId, vaultId, env = 'PROD') {
+        if (this.localDetect) {
+            return this.localDetect;
+        }
+
+        const detect = this._getClient(clusterId, vaultId, env).detect(vaultId);
+        const toEntities = (names) => names.map(name => {
+            if (!DetectEntities[name]) {
+                throw new ValidationError(`Unsupported entity type: ${name}`, 'INVALID_ENTITY_TYPE');
+            }
+            return DetectEntities[name];
+        });
+
+        return {
+            deidentifyText: async (text, options = {}) => {
+                const deidentifyOptions = new DeidentifyTextOptions();
+                if (options.entities) {
+                    deidentifyOptions.setEntities(toEntities(options.entities));
+                }
+                const tokenFormat = new TokenFormat();
+                tokenFormat.setDefault(TokenType[options.tokenType || 'VAULT_TOKEN']);
+                deidentifyOptions.setTokenFormat(tokenFormat);
+                return await detect.deidentifyText(new DeidentifyTextRequest(text), deidentifyOptions);
+            },
+            reidentifyText: async (text, options = {}) => {
+                const reidentifyOptions = new ReidentifyTextOptions();
+                if (options.redactionType) {
+                    const entities = toEntities(options.entities || Object.keys(DetectEntities));
+                    if (options.redactionType === 'PLAIN_TEXT') {
+                        reidentifyOptions.setPlainTextEntities(entities);
+                    } else if (options.redactionType === 'MASKED') {
+                        reidentifyOptions.setMaskedEntities(entities);
+                    } else {
+                        reidentifyOptions.setRedactedEntities(entities);
+                    }
+                }
+                return await detect.reidentifyText(new ReidentifyTextRequest(text), reidentifyOptions);
             }
-            throw new Error(`Tokenize-BYOT failed: ${error.message}`);
+        };
+    }
+
+    /**
+     * Map a continueOnError insert response back to input positions
+     *
+     * The SDK tags each inserted record and each error with the requestIndex of
+     * the record within the batch. Data is returned positionally (null where the
+     * record failed) and errors carry the index in the original request.
+     * Errors without a requestIndex are matched, in order, to the rows that got
+     * neither a record nor a tagged error; when that cannot place them exactly,
+     * the batch fails rather than blame the wrong rows.
+     * @private
+     */
+    _collectInsertResults(response, count, offset) {
+        const inserted = response.insertedFields || [];
+        const failed = response.errors || [];
+        const isTagged = entry => entry.requestIndex !== undefined && entry.requestIndex !== null;
+        const unplaceable = () => new VaultError('Insert failed: Skyflow did not say which records failed', { request_ID: response.request_ID ?? response.requestId });
+
+        // Untagged records are in request order only when no record failed
+        if (failed.length > 0 && !inserted.every(isTagged)) {
+            throw unplaceable();
+        }
+
+        const data = new Array(count).fill(null);
+        inserted.forEach((record, position) => {
+            const { requestIndex, ...fields } = record;
+            data[isTagged(record) ? requestIndex : position] = fields;
+        });
+
+        const taggedRows = new Set(failed.filter(isTagged).map(entry => entry.requestIndex));
+        const unclaimedRows = data.map((record, index) => index).filter(index => data[index] === null && !taggedRows.has(index));
+        const untaggedCount = failed.filter(entry => !isTagged(entry)).length;
+        if (untaggedCount > 0 && untaggedCount !== unclaimedRows.length) {
+            throw unplaceable();
+        }
+
+        const errors = failed.map(entry => rowError(offset + (isTagged(entry) ? entry.requestIndex : unclaimedRows.shift()), entry));
+
+        if (errors.length > 0) {
+            logger.warn('Insert batch: records failed', { offset, failed: errors.length, count });
         }
+
+        return {
+            data: data,
+            errors: errors.length > 0 ? errors : null
+        };
     }
 
     /**
      * Clean up resources
      */
     destroy() {
-        this.clients = {};
-        console.log('SkyflowClient destroyed');
+        const stats = this.clients.stats();
+        this.clients.clear();
+        for (const credentialSet of Object.values(this.credentialSets)) {
+            credentialSet.token = null;
+        }
+        logger.info('SkyflowClient destroyed', { clientsReleased: stats.size });
     }
 }
 
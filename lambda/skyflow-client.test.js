@@ -0,0 +1,110 @@
+/**
+ * Simple manual tests for the Skyflow client
+ * Run with: node lambda/skyflow-client.test.js
+ */
+
+const assert = require('node:assert');
+const SkyflowClient = require('./skyflow-client');
+const logger = require('./utils/logger');
+
+logger.setLevel('off');
+
+// Error shaped like the SDK's: Skyflow details under `error`
+function skyflowError(httpCode, requestId) {
+    return Object.assign(new Error(`Skyflow returned ${httpCode}`), { error: { http_code: httpCode, request_ID: requestId } });
+}
+
+// Stand-in vault: get fails the whole call when any id is unknown, like Skyflow does
+const records = new Set(['uuid-1', 'uuid-3']);
+const vault = {
+    calls: [],
+    async get(request) {
+        const ids = request.ids;
+        this.calls.push(ids);
+        if (ids.includes('uuid-broken')) {
+            throw skyflowError(403, 'req-403');
+        }
+        if (!ids.every(id => records.has(id))) {
+            throw skyflowError(404, 'req-404');
+        }
+        return { data: ids.map(id => ({ skyflow_id: id })), errors: [], request_ID: 'req-200' };
+    },
+    // Answers each insert with the next queued response
+    inserts: [],
+    async insert() {
+        return this.inserts.shift();
+    }
+};
+
+const client = new SkyflowClient({ credentials: { apiKey: 'sky-test' }, retry: { maxAttempts: 1 } });
+client._getClient = () => ({ vault: () => vault });
+
+// Two records per batch, one batch at a time, so responses match batches in order
+const batched = new SkyflowClient({ credentials: { apiKey: 'sky-test' }, retry: { maxAttempts: 1 }, batching: { tokenize: { batchSize: 2, maxConcurrency: 1 } } });
+batched._getClient = client._getClient;
+const failure = (message, requestIndex) => ({ requestIndex, error: { http_code: 400, message, request_ID: 'req-400' } });
+
+async function runTests() {
+    console.log('=== Testing delete dry run ===\n');
+
+    // Test 1: A missing id is reported as not existing without failing the others
+    console.log('Test 1: Missing id');
+    vault.calls = [];
+    const result = await client.delete('c1', 'v1', 'users', ['uuid-1', 'uuid-2', 'uuid-3'], { dryRun: true });
+    console.log('  Data:', JSON.stringify(result.data));
+    console.log('  Calls:', vault.calls.length, 'requestIds:', result.requestIds);
+    assert.deepStrictEqual(result.data, [
+        { skyflow_id: 'uuid-1', deleted: false, exists: true },
+        { skyflow_id: 'uuid-2', deleted: false, exists: false },
+        { skyflow_id: 'uuid-3', deleted: false, exists: true }
+    ]);
+    assert.strictEqual(result.errors, null);
+    assert.strictEqual(vault.calls.length, 3);
+    assert.deepStrictEqual(result.requestIds.sort(), ['req-200', 'req-404']);
+    console.log('  ✓ Should be uuid-1 and uuid-3 existing, uuid-2 not, from 3 lookups\n');
+
+    // Test 2: Other failures still fail the request, or become row errors with continueOnError
+    console.log('Test 2: Failed lookup');
+    await assert.rejects(client.delete('c1', 'v1', 'users', ['uuid-1', 'uuid-broken'], { dryRun: true }), error => {
+        console.log('  Thrown:', error.message);
+        return /^Delete dry run failed/.test(error.message);
+    });
+    const partial = await client.delete('c1', 'v1', 'users', ['uuid-1', 'uuid-broken'], { dryRun: true, continueOnError: true });
+    console.log('  Errors:', JSON.stringify(partial.errors));
+    assert.deepStrictEqual(partial.data.map(record => record.exists), [true, null]);
+    assert.deepStrictEqual(partial.errors.map(error => [error.index, error.code]), [[1, 'VAULT_FORBIDDEN']]);
+    console.log('  ✓ Should fail the dry run, then report VAULT_FORBIDDEN for row 1 with continueOnError\n');
+
+    console.log('=== Testing tokenize with continueOnError ===\n');
+
+    // Test 3: Data by position and errors by request index, across batches
+    console.log('Test 3: Partial failures');
+    vault.inserts = [
+        { insertedFields: [{ requestIndex: 1, skyflowId: 'id-b', email: 'tok-b' }], errors: [failure('Invalid email', 0)] },
+        // The second batch's error carries no requestIndex: it belongs to the row left without a record
+        { insertedFields: [{ requestIndex: 0, skyflowId: 'id-c', email: 'tok-c' }], errors: [failure('Invalid email')] }
+    ];
+    const records = [{ email: 'a' }, { email: 'b' }, { email: 'c' }, { email: 'd' }];
+    const tokenized = await batched.tokenize('c1', 'v1', 'users', records, { continueOnError: true });
+    console.log('  Data:', JSON.stringify(tokenized.data));
+    console.log('  Errors:', JSON.stringify(tokenized.errors));
+    assert.deepStrictEqual(tokenized.data.map(record => record && record.email), [null, 'tok-b', 'tok-c', null]);
+    assert.deepStrictEqual(tokenized.errors.map(error => [error.index, error.code]), [[0, 'VAULT_BAD_REQUEST'], [3, 'VAULT_BAD_REQUEST']]);
+    console.log('  ✓ Should be NULL, tok-b, tok-c, NULL with errors for rows 0 and 3\n');
+
+    // Test 4: Errors that cannot be placed fail the batch instead of naming the wrong row
+    console.log('Test 4: Unplaceable errors');
+    vault.inserts = [{ insertedFields: [{ skyflowId: 'id-a', email: 'tok-a' }], errors: [failure('Invalid email')] }];
+    await assert.rejects(batched.tokenize('c1', 'v1', 'users', records.slice(0, 2), { continueOnError: true }), error => {
+        console.log('  Thrown:', error.code, error.message);
+        return error.code === 'VAULT_ERROR' && /did not say which records failed/.test(error.message);
+    });
+    console.log('  ✓ Should fail with VAULT_ERROR\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -5,138 +5,224 @@
  * Request:  {"data": [[rowNum, value], [rowNum, value], ...]}
  * Response: {"data": [[rowNum, result], [rowNum, result], ...]}
  *
+ * Multi-column tokenize accepts several arguments or a single OBJECT argument:
+ * Request:  {"data": [[rowNum, v1, v2, ...], ...]} or {"data": [[rowNum, {"email": v1, ...}], ...]}
+ * Response: {"data": [[rowNum, {"email": token1, ..., "skyflow_id": id}], ...]}
+ *
  * IMPORTANT: Snowflake automatically prefixes all custom headers with 'sf-custom-'
  * When you define a header in Snowflake SQL as 'X-Skyflow-Operation',
  * Snowflake sends it as 'sf-custom-X-Skyflow-Operation'
  *
+ * Other operations (one argument per row unless noted):
+ * - tokenize-byot: [rowNum, value, token] -> token
+ * - query:         [rowNum, sql]          -> ARRAY of records (VARIANT)
+ * - lookup:        [rowNum, key]          -> record OBJECT (VARIANT), or NULL if not found
+ *
  * Headers to define in Snowflake SQL (without prefix):
- * - X-Skyflow-Operation (required) - "tokenize" or "detokenize"
- * - X-Skyflow-Cluster-ID (required)
- * - X-Skyflow-Vault-ID (required)
+ * - X-Skyflow-Operation (required) - "tokenize", "detokenize", "tokenize-byot", "query" or "lookup"
+ * - X-Skyflow-Profile (optional) - named vault profile supplying cluster, vault, env,
+ *   default table and credentials (see utils/profiles.js)
+ * - X-Skyflow-Cluster-ID (required without a profile)
+ * - X-Skyflow-Vault-ID (required without a profile)
  * - X-Skyflow-Env (optional) - "SANDBOX" or "PROD" (defaults to PROD)
- * - X-Skyflow-Table (required for tokenize)
- * - X-Skyflow-Column-Name (required for tokenize)
+ * - X-Skyflow-Table (required for tokenize, tokenize-byot and lookup)
+ * - X-Skyflow-Column-Name (required for single-column tokenize and tokenize-byot)
+ * - X-Skyflow-Column-Names (multi-column tokenize) - comma-separated vault columns,
+ *   in argument order (or the OBJECT keys to tokenize)
+ * - X-Skyflow-Redaction-Type (optional, detokenize and lookup) - PLAIN_TEXT, MASKED, REDACTED or DEFAULT
+ *   (omit to let Skyflow governance decide)
+ * - X-Skyflow-Lookup-Column (optional, lookup) - unique column to match keys against (defaults to skyflow_id)
+ *
+ * NULL and empty-string inputs are returned as NULL without calling Skyflow.
+ * Detokenize returns NULL for tokens Skyflow does not find and fails the call on
+ * any other token error.
  *
  * Handler looks for these with 'sf-custom-' prefix added by Snowflake.
  */
 
 const SkyflowClient = require('./skyflow-client');
 const config = require('./config');
-const { SkyflowError } = require('skyflow-node');
 const { getHeader } = require('./utils/headers');
+const { ValidationError, errorResponse, missingHeader, toApiError } = require('./utils/errors');
+const { validateRedactionType, isNullValue } = require('./utils/validation');
+const { runBatches } = require('./utils/batch');
+const { dedupe } = require('./utils/dedup');
+const { TABLELESS_OPERATIONS, queryTable } = require('./utils/operations');
+const { detokenizeValues } = require('./utils/udf');
+const { getCaller, authorize } = require('./utils/policy');
+const { resolveProfile } = require('./utils/profiles');
+const { AuditTrail } = require('./utils/audit');
+const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+
+const SUPPORTED_OPERATIONS = ['tokenize', 'detokenize', 'tokenize-byot', 'query', 'lookup'];
 
-// Singleton client instance (reused across warm invocations)
+// Singleton client and audit trail (reused across warm invocations)
 let skyflowClient;
+let auditTrail;
 
 /**
- * Main Snowflake handler - routes to tokenize or detokenize
+ * Main Snowflake handler - routes to the operation named in X-Skyflow-Operation
  */
 exports.handler = async (event, context) => {
-    console.log('Snowflake request:', {
-        requestId: context.requestId,
-        path: event.path,
+    logger.setContext({ requestId: context.awsRequestId || context.requestId, route: event.path || '/processSnowflake' });
+    logger.info('Snowflake request', {
         remainingTimeMs: context.getRemainingTimeInMillis()
     });
 
+    let audit;
+
     try {
         // Initialize client on first invocation
         if (!skyflowClient) {
             skyflowClient = new SkyflowClient(config);
         }
+        skyflowClient.setInvocationContext(context);
+        if (!auditTrail) {
+            auditTrail = new AuditTrail(config.audit);
+        }
+        audit = auditTrail.begin(event, context, '/processSnowflake');
+        metrics.begin('/processSnowflake');
 
         // Extract headers (case-insensitive)
         const headers = event.headers || {};
         const requestConfig = extractHeaders(headers);
+        audit.operation = requestConfig.operation;
+
+        // A profile supplies the vault target and credentials; raw vault headers only where it allows them
+        Object.assign(requestConfig, resolveProfile(config, requestConfig));
+        Object.assign(audit, {
+            profile: requestConfig.profile,
+            clusterId: requestConfig.clusterId,
+            vaultId: requestConfig.vaultId,
+            table: requestConfig.table,
+            env: requestConfig.env
+        });
 
         // Parse request body (Snowflake format)
         const body = JSON.parse(event.body || '{}');
         const rows = body.data || [];
+        audit.recordCount = Array.isArray(rows) ? rows.length : 0;
+        metrics.count('Records', audit.recordCount);
 
         if (!Array.isArray(rows) || rows.length === 0) {
-            throw new Error('Invalid request: data array is empty or missing');
+            throw new ValidationError('Invalid request: data array is empty or missing');
         }
 
         // Validate required headers
         if (!requestConfig.clusterId) {
-            throw new Error('Missing required header: X-Skyflow-Cluster-ID');
+            throw missingHeader('X-Skyflow-Cluster-ID');
         }
         if (!requestConfig.vaultId) {
-            throw new Error('Missing required header: X-Skyflow-Vault-ID');
+            throw missingHeader('X-Skyflow-Vault-ID');
         }
 
         // Determine operation from header
         const operation = requestConfig.operation;
         if (!operation) {
-            throw new Error('Missing required header: X-Skyflow-Operation (must be "tokenize" or "detokenize")');
+            throw missingHeader('X-Skyflow-Operation', `must be one of: ${SUPPORTED_OPERATIONS.join(', ')}`);
         }
-        if (operation !== 'tokenize' && operation !== 'detokenize') {
-            throw new Error(`Invalid operation: ${operation}. Must be "tokenize" or "detokenize"`);
+        if (!SUPPORTED_OPERATIONS.includes(operation)) {
+            throw new ValidationError(`Invalid operation: ${operation}. Must be one of: ${SUPPORTED_OPERATIONS.join(', ')}`, 'UNKNOWN_OPERATION');
         }
 
+        metrics.setDimensions({ operation, vault: requestConfig.vaultId, env: requestConfig.env });
+
+        // Check the caller (the API integration's IAM role) against the authorization policy
+        audit.redactionType = requestedRedaction(operation, requestConfig);
+        const rule = authorize(config.policy, getCaller(event), {
+            operation,
+            profile: requestConfig.profile,
+            clusterId: requestConfig.clusterId,
+            vaultId: requestConfig.vaultId,
+            tables: requestedTables(operation, rows, requestConfig.table),
+            redactionType: audit.redactionType
+        });
+        audit.policyRule = rule && rule.name ? rule.name : null;
+
+        // Use the profile's credentials: fetched at cold start, then again when their TTL expires
+        skyflowClient.setProfile(requestConfig.profile);
+        await skyflowClient.loadCredentials();
+
         const startTime = Date.now();
+        // { data, errors, requestIds }: Snowflake rows, and the outcome for the audit trail
         let result;
 
-        if (operation === 'tokenize') {
-            result = await handleTokenize(rows, requestConfig, skyflowClient);
-        } else {
-            result = await handleDetokenize(rows, requestConfig, skyflowClient);
+        switch (operation) {
+            case 'tokenize':
+                result = await handleTokenize(rows, requestConfig, skyflowClient);
+                break;
+            case 'detokenize':
+                result = await handleDetokenize(rows, requestConfig, skyflowClient);
+                break;
+            case 'tokenize-byot':
+                result = await handleTokenizeByot(rows, requestConfig, skyflowClient);
+                break;
+            case 'query':
+                result = await handleQuery(rows, requestConfig, skyflowClient);
+                break;
+            case 'lookup':
+                result = await handleLookup(rows, requestConfig, skyflowClient);
+                break;
         }
 
         const elapsed = Date.now() - startTime;
-        console.log(`Operation completed in ${elapsed}ms`);
+        logger.info('Operation completed', { operation, duration_ms: elapsed });
+
+        await auditTrail.success(audit, result);
+        metrics.flush();
 
         return {
             statusCode: 200,
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ data: result })
+            body: JSON.stringify({ data: result.data })
         };
 
     } catch (error) {
-        console.error('Error:', error);
-        console.error('Stack:', error.stack);
-
-        // Snowflake expects 200 with error details, or proper error codes
-        if (error instanceof SkyflowError) {
-            console.error('Skyflow API Error:', {
-                http_code: error.error?.http_code,
-                grpc_code: error.error?.grpc_code,
-                message: error.message,
-                request_ID: error.error?.request_ID
-            });
-
-            return {
-                statusCode: error.error?.http_code || 500,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    error: {
-                        message: error.message,
-                        type: 'SkyflowError',
-                        http_code: error.error?.http_code,
-                        request_ID: error.error?.request_ID
-                    }
-                })
-            };
-        } else {
-            return {
-                statusCode: 500,
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    error: {
-                        message: error.message,
-                        type: error.name || 'Error'
-                    }
-                })
-            };
+        if (audit) {
+            await auditTrail.failure(audit, error);
         }
+        metrics.recordRequestError(toApiError(error).code);
+        metrics.flush();
+
+        // Same error shape and status mapping as /process
+        return errorResponse(error);
     }
 };
 
+/**
+ * Redaction level a request asks for, for the authorization policy
+ * null means governance-controlled; undefined means the operation reveals no values
+ */
+function requestedRedaction(operation, requestConfig) {
+    switch (operation) {
+        case 'detokenize':
+        case 'lookup':
+            return requestConfig.redactionType || null;
+        case 'query':
+            return null;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Tables a request reads from or writes to, for the authorization policy
+ * query rows each name their table in the SQL (null if it cannot be parsed);
+ * detokenize names none, whatever X-Skyflow-Table says
+ */
+function requestedTables(operation, rows, table) {
+    if (TABLELESS_OPERATIONS.includes(operation)) {
+        return [];
+    }
+    if (operation === 'query') {
+        return [...new Set(rows.map(row => row[1]).filter(sql => !isNullValue(sql)).map(queryTable))];
+    }
+    return table ? [table] : [];
+}
+
 /**
  * Handle tokenize operation
  * Converts plaintext values to tokens
@@ -145,52 +231,275 @@ async function handleTokenize(rows, requestConfig, client) {
     const { clusterId, vaultId, table, columnName, env } = requestConfig;
 
     if (!table) {
-        throw new Error('Missing required header: X-Skyflow-Table (required for tokenize)');
+        throw missingHeader('X-Skyflow-Table', 'required for tokenize');
+    }
+    if (isMultiColumn(rows, requestConfig)) {
+        return await handleMultiColumnTokenize(rows, requestConfig, client);
     }
     if (!columnName) {
-        throw new Error('Missing required header: X-Skyflow-Column-Name (required for tokenize)');
+        throw missingHeader('X-Skyflow-Column-Name', 'required for tokenize');
     }
 
-    console.log(`Tokenize: cluster=${clusterId}, vault=${vaultId}, env=${env}, table=${table}, column=${columnName}, count=${rows.length}`);
+    // NULL cells are returned as NULL without reaching the vault
+    const pending = rows.filter(row => !isNullValue(row[1]));
 
-    // Extract row numbers and values
-    const rowNumbers = rows.map(row => row[0]);
-    const values = rows.map(row => row[1]);
+    logger.info('Tokenize', { cluster: clusterId, vault: vaultId, env, table, column: columnName, count: rows.length, nulls: rows.length - pending.length });
+
+    if (pending.length === 0) {
+        return { data: rows.map(row => [row[0], null]), errors: null, requestIds: [] };
+    }
 
     // Build records for Skyflow (single column)
-    const records = values.map(val => ({ [columnName]: val }));
+    const records = pending.map(row => ({ [columnName]: row[1] }));
 
     // Call Skyflow tokenize
     const response = await client.tokenize(clusterId, vaultId, table, records, {}, env);
 
-    // Extract tokens from response (Skyflow preserves order)
-    const tokens = response.data.map(record => record[columnName]);
+    // Map tokens back to row numbers (Skyflow preserves order)
+    const tokenByRow = new Map(pending.map((row, index) => [row[0], response.data[index]?.[columnName] ?? null]));
 
     // Build Snowflake response format: [[rowNum, token], ...]
-    return rowNumbers.map((rowNum, index) => [rowNum, tokens[index]]);
+    return {
+        data: rows.map(row => [row[0], tokenByRow.has(row[0]) ? tokenByRow.get(row[0]) : null]),
+        errors: response.errors,
+        requestIds: response.requestIds
+    };
+}
+
+/**
+ * Whether a tokenize request uses the multi-column form
+ * (column-list header, more than one argument, or a single OBJECT argument)
+ */
+function isMultiColumn(rows, requestConfig) {
+    if (requestConfig.columnNames) {
+        return true;
+    }
+    const first = rows[0] || [];
+    return first.length > 2 || isObjectArgument(first[1]);
+}
+
+function isObjectArgument(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Handle multi-column tokenize operation
+ * Inserts each row as one Skyflow record and returns an OBJECT of tokens per row
+ */
+async function handleMultiColumnTokenize(rows, requestConfig, client) {
+    const { clusterId, vaultId, table, columnNames, env } = requestConfig;
+
+    const records = rows.map(row => {
+        if (isObjectArgument(row[1])) {
+            if (row.length > 2) {
+                throw new ValidationError(`Row ${row[0]}: an OBJECT argument must be the only argument`);
+            }
+            const keys = columnNames || Object.keys(row[1]);
+            return Object.fromEntries(keys.map(key => [key, row[1][key]]));
+        }
+        if (row.length === 2 && isNullValue(row[1])) {
+            return {};
+        }
+
+        if (!columnNames) {
+            throw missingHeader('X-Skyflow-Column-Names', 'required for multi-argument tokenize');
+        }
+        const values = row.slice(1);
+        if (values.length !== columnNames.length) {
+            throw new ValidationError(`Row ${row[0]}: expected ${columnNames.length} values for columns [${columnNames.join(', ')}], got ${values.length}`);
+        }
+        return Object.fromEntries(columnNames.map((column, i) => [column, values[i]]));
+    });
+
+    // NULL columns are left out of the vault record and come back as NULL;
+    // rows with no non-NULL columns are not sent at all
+    const nonNullRecords = records.map(record =>
+        Object.fromEntries(Object.entries(record).filter(([, value]) => !isNullValue(value))));
+    const pending = [];
+    nonNullRecords.forEach((record, index) => {
+        if (Object.keys(record).length > 0) {
+            pending.push(index);
+        }
+    });
+
+    logger.info('Tokenize (multi-column)', { cluster: clusterId, vault: vaultId, env, table, columns: Object.keys(records[0]), count: rows.length, nullRows: rows.length - pending.length });
+
+    const tokensByIndex = new Map();
+    let response = { data: [], errors: null, requestIds: [] };
+    if (pending.length > 0) {
+        response = await client.tokenize(clusterId, vaultId, table, pending.map(index => nonNullRecords[index]), {}, env);
+        pending.forEach((recordIndex, position) => tokensByIndex.set(recordIndex, response.data[position]));
+    }
+
+    // Build Snowflake response format: [[rowNum, {column: token, ...}], ...]
+    const data = rows.map((row, index) => {
+        if (!tokensByIndex.has(index)) {
+            return [row[0], null];
+        }
+        const nullColumns = Object.keys(records[index]).filter(column => isNullValue(records[index][column]));
+        return [row[0], { ...Object.fromEntries(nullColumns.map(column => [column, null])), ...tokensByIndex.get(index) }];
+    });
+    return { data, errors: response.errors, requestIds: response.requestIds };
+}
+
+/**
+ * Parse a comma-separated column list header
+ */
+function parseColumnList(value) {
+    if (!value) {
+        return null;
+    }
+    const columns = value.split(',').map(column => column.trim()).filter(Boolean);
+    return columns.length > 0 ? columns : null;
 }
 
 /**
  * Handle detokenize operation
- * Converts tokens to plaintext values
+ * Converts tokens to plaintext values: NULL for NULL or empty cells and tokens
+ * not found, and a failed call for any other token error
  */
 async function handleDetokenize(rows, requestConfig, client) {
+    const result = await detokenizeValues(rows.map(row => row[1]), requestConfig, client);
+
+    // Build Snowflake response format: [[rowNum, value], ...]
+    return {
+        data: rows.map((row, index) => [row[0], result.results[index]]),
+        errors: result.errors,
+        requestIds: result.requestIds
+    };
+}
+
+/**
+ * Handle tokenize-byot operation
+ * Inserts values with caller-supplied tokens: [[rowNum, value, token], ...]
+ */
+async function handleTokenizeByot(rows, requestConfig, client) {
+    const { clusterId, vaultId, table, columnName, env } = requestConfig;
+
+    if (!table) {
+        throw missingHeader('X-Skyflow-Table', 'required for tokenize-byot');
+    }
+    if (!columnName) {
+        throw missingHeader('X-Skyflow-Column-Name', 'required for tokenize-byot');
+    }
+
+    // NULL values are returned as NULL without reaching the vault
+    const pending = rows.filter(row => !isNullValue(row[1]));
+    pending.forEach(row => {
+        if (isNullValue(row[2])) {
+            throw new ValidationError(`Row ${row[0]}: token is required for tokenize-byot (expected [rowNum, value, token])`);
+        }
+    });
+
+    logger.info('Tokenize-BYOT', { cluster: clusterId, vault: vaultId, env, table, column: columnName, count: rows.length, nulls: rows.length - pending.length });
+
+    if (pending.length === 0) {
+        return { data: rows.map(row => [row[0], null]), errors: null, requestIds: [] };
+    }
+
+    const records = pending.map(row => ({
+        fields: { [columnName]: row[1] },
+        tokens: { [columnName]: row[2] }
+    }));
+
+    const response = await client.tokenizeByot(clusterId, vaultId, table, records, {}, env);
+
+    // Map tokens back to row numbers (Skyflow preserves order)
+    const tokenByRow = new Map(pending.map((row, index) => [row[0], response.data[index]?.[columnName] ?? null]));
+
+    // Build Snowflake response format: [[rowNum, token], ...]
+    return {
+        data: rows.map(row => [row[0], tokenByRow.has(row[0]) ? tokenByRow.get(row[0]) : null]),
+        errors: response.errors,
+        requestIds: response.requestIds
+    };
+}
+
+/**
+ * Handle query operation
+ * Runs each distinct SQL string once and returns its records as a VARIANT array
+ */
+async function handleQuery(rows, requestConfig, client) {
     const { clusterId, vaultId, env } = requestConfig;
 
-    console.log(`Detokenize: cluster=${clusterId}, vault=${vaultId}, env=${env}, count=${rows.length}`);
+    const { unique: queries } = dedupe(rows.map(row => row[1]).filter(sql => !isNullValue(sql)));
 
-    // Extract row numbers and tokens
-    const rowNumbers = rows.map(row => row[0]);
-    const tokens = rows.map(row => row[1]);
+    logger.info('Query', { cluster: clusterId, vault: vaultId, env, count: rows.length, distinct: queries.length });
 
-    // Call Skyflow detokenize
-    const response = await client.detokenize(clusterId, vaultId, tokens, {}, env);
+    const recordsBySql = new Map();
+    const maxConcurrency = client.batching?.detokenize?.maxConcurrency || 5;
+    const result = await runBatches(queries, { batchSize: 1, maxConcurrency, label: 'Query' }, async ([sql]) => {
+        const response = await client.query(clusterId, vaultId, sql, env);
+        recordsBySql.set(sql, response.data);
+        return { data: [], errors: response.errors, retries: response.retries, requestIds: response.requestIds };
+    });
 
-    // Extract plaintext values from response (Skyflow preserves order)
-    const values = response.data.map(record => record.value);
+    // Build Snowflake response format: [[rowNum, [record, ...]], ...]
+    return {
+        data: rows.map(row => [row[0], isNullValue(row[1]) ? null : recordsBySql.get(row[1])]),
+        errors: result.errors,
+        requestIds: result.requestIds
+    };
+}
 
-    // Build Snowflake response format: [[rowNum, value], ...]
-    return rowNumbers.map((rowNum, index) => [rowNum, values[index]]);
+/**
+ * Handle lookup operation
+ * Fetches the vault record for each skyflow_id (or unique column value), or NULL
+ * for a key Skyflow does not know
+ */
+async function handleLookup(rows, requestConfig, client) {
+    const { clusterId, vaultId, table, lookupColumn, redactionType, env } = requestConfig;
+
+    if (!table) {
+        throw missingHeader('X-Skyflow-Table', 'required for lookup');
+    }
+    validateRedactionType(redactionType);
+
+    const { unique: keys } = dedupe(rows.map(row => row[1]).filter(key => !isNullValue(key)));
+    const options = redactionType ? { redactionType } : {};
+
+    logger.info('Lookup', { cluster: clusterId, vault: vaultId, env, table, by: lookupColumn || 'skyflow_id', count: rows.length, distinct: keys.length });
+
+    // Looks up keys one per call; a key Skyflow does not know (404) stays NULL
+    const recordByKey = new Map();
+    const maxConcurrency = client.batching?.detokenize?.maxConcurrency || 5;
+    const lookupEach = (keysToFetch, lookupOf) => runBatches(keysToFetch, { batchSize: 1, maxConcurrency, label: 'Lookup' }, async ([key]) => {
+        try {
+            const response = await client.get(clusterId, vaultId, table, lookupOf(key), options, env);
+            recordByKey.set(key, response.data[0] ?? null);
+            return { data: [], errors: response.errors, retries: response.retries, requestIds: response.requestIds };
+        } catch (error) {
+            if (Number(error.httpCode) !== 404) {
+                throw error;
+            }
+            return { data: [], errors: null, requestIds: error.requestId ? [error.requestId] : [] };
+        }
+    });
+
+    let result = { data: [], errors: null, requestIds: [] };
+    if (keys.length > 0 && !lookupColumn) {
+        try {
+            result = await client.get(clusterId, vaultId, table, { ids: keys }, options, env);
+            result.data.forEach(record => recordByKey.set(record.skyflow_id ?? record.skyflowId, record));
+        } catch (error) {
+            if (Number(error.httpCode) !== 404) {
+                throw error;
+            }
+            // Skyflow fails a whole get when any of its ids is unknown, so fetch the ids one at a time
+            logger.info('Lookup: unknown skyflow_id in batch, fetching ids one at a time', { count: keys.length });
+            result = await lookupEach(keys, key => ({ ids: [key] }));
+        }
+    } else if (keys.length > 0) {
+        // Redacted values can't be matched back to the keys, so look up one value per call
+        result = await lookupEach(keys, key => ({ column: lookupColumn, values: [key] }));
+    }
+
+    // Build Snowflake response format: [[rowNum, record], ...]
+    return {
+        data: rows.map(row => [row[0], isNullValue(row[1]) ? null : (recordByKey.get(row[1]) ?? null)]),
+        errors: result.errors,
+        requestIds: result.requestIds
+    };
 }
 
 /**
@@ -203,10 +512,14 @@ async function handleDetokenize(rows, requestConfig, client) {
 function extractHeaders(headers) {
     return {
         operation: getHeader(headers, 'sf-custom-x-skyflow-operation'),
+        profile: getHeader(headers, 'sf-custom-x-skyflow-profile'),
         clusterId: getHeader(headers, 'sf-custom-x-skyflow-cluster-id'),
         vaultId: getHeader(headers, 'sf-custom-x-skyflow-vault-id'),
-        env: getHeader(headers, 'sf-custom-x-skyflow-env') || 'PROD',
+        env: getHeader(headers, 'sf-custom-x-skyflow-env'),
         table: getHeader(headers, 'sf-custom-x-skyflow-table'),
-        columnName: getHeader(headers, 'sf-custom-x-skyflow-column-name')
+        columnName: getHeader(headers, 'sf-custom-x-skyflow-column-name'),
+        columnNames: parseColumnList(getHeader(headers, 'sf-custom-x-skyflow-column-names')),
+        redactionType: getHeader(headers, 'sf-custom-x-skyflow-redaction-type'),
+        lookupColumn: getHeader(headers, 'sf-custom-x-skyflow-lookup-column')
     };
 }
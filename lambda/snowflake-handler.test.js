@@ -0,0 +1,72 @@
+/**
+ * Simple manual tests for the Snowflake external function handler
+ * Run with: node lambda/snowflake-handler.test.js
+ */
+
+process.env.SKYFLOW_API_KEY = process.env.SKYFLOW_API_KEY || 'sky-test';
+process.env.LOG_LEVEL = 'off';
+process.env.AUDIT_SINKS = 'memory';
+process.env.METRICS_ENABLED = 'false';
+
+const assert = require('node:assert');
+const SkyflowClient = require('./skyflow-client');
+const { VaultError } = require('./utils/errors');
+const { handler } = require('./snowflake-handler');
+
+// Stand-in for SkyflowClient.get: like Skyflow, one unknown id fails the whole call
+const records = new Set(['uuid-1', 'uuid-3']);
+const calls = [];
+SkyflowClient.prototype.get = async function (clusterId, vaultId, table, lookup) {
+    calls.push(lookup.ids.length);
+    if (lookup.ids.includes('uuid-broken')) {
+        throw new VaultError('Get failed: forbidden', { http_code: 403, request_ID: 'req-403' });
+    }
+    if (!lookup.ids.every(id => records.has(id))) {
+        throw new VaultError('Get failed: not found', { http_code: 404, request_ID: 'req-404' });
+    }
+    return { data: lookup.ids.map(id => ({ skyflow_id: id, email: '*REDACTED*' })), errors: null, retries: 0, requestIds: ['req-200'] };
+};
+
+const context = { awsRequestId: 'lambda-1', getRemainingTimeInMillis: () => 30000 };
+
+function lookup(keys) {
+    return handler({
+        headers: {
+            'sf-custom-X-Skyflow-Operation': 'lookup',
+            'sf-custom-X-Skyflow-Cluster-ID': 'c1',
+            'sf-custom-X-Skyflow-Vault-ID': 'v1',
+            'sf-custom-X-Skyflow-Table': 'users'
+        },
+        body: JSON.stringify({ data: keys.map((key, index) => [index, key]) })
+    }, context);
+}
+
+async function runTests() {
+    console.log('=== Testing lookup ===\n');
+
+    // Test 1: An unknown skyflow_id in a batch is NULL; the other rows still resolve
+    console.log('Test 1: Unknown id');
+    calls.length = 0;
+    const response = await lookup(['uuid-1', 'uuid-2', null, 'uuid-3']);
+    const rows = JSON.parse(response.body).data;
+    console.log('  Status:', response.statusCode, 'rows:', JSON.stringify(rows), 'calls:', calls);
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(rows.map(([, record]) => record && record.skyflow_id), ['uuid-1', null, null, 'uuid-3']);
+    assert.deepStrictEqual(calls, [3, 1, 1, 1]);
+    console.log('  ✓ Should be uuid-1, NULL, NULL, uuid-3 from a failed batch of 3 and 3 single lookups\n');
+
+    // Test 2: Any other failure still fails the query
+    console.log('Test 2: Other failures');
+    const failed = await lookup(['uuid-1', 'uuid-broken']);
+    console.log('  Status:', failed.statusCode, failed.body);
+    assert.strictEqual(failed.statusCode, 403);
+    assert.strictEqual(JSON.parse(failed.body).error.code, 'VAULT_FORBIDDEN');
+    console.log('  ✓ Should be 403 VAULT_FORBIDDEN\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,227 @@
+/**
+ * Audit Trail
+ *
+ * One structured audit event per request on every route, written to
+ * pluggable sinks. Events carry who/what/where/outcome metadata only -
+ * never plaintext values, tokens, query text or request bodies.
+ *
+ * Event shape:
+ * {
+ *   "type": "skyflow.audit", "version": 1,
+ *   "timestamp": "2025-01-01T00:00:00.000Z",
+ *   "lambda_request_id": "...",
+ *   "caller": { "principal": "...", "api_key_id": "...", "subject": "...", "source_ip": "..." },
+ *   "route": "/process", "operation": "detokenize",
+ *   "profile": "payments", "cluster_id": "...", "vault_id": "...", "table": null, "env": "PROD",
+ *   "record_count": 100, "redaction_type": "MASKED",
+ *   "policy_rule": "analysts",
+ *   "outcome": "success" | "partial" | "denied" | "error",
+ *   "status_code": 200, "error_code": null, "error_count": 0,
+ *   "skyflow_request_ids": [], "duration_ms": 42
+ * }
+ *
+ * Sinks (config "audit": {"sinks": [...]} or AUDIT_SINKS=stdout,file):
+ * - stdout  - one JSON line per event (CloudWatch Logs; default)
+ * - file    - appends NDJSON to `path` (AUDIT_FILE_PATH, default /tmp/skyflow-audit.ndjson)
+ * - memory  - in-process queue stand-in, read with drainMemoryQueue() (local development and tests);
+ *             keeps the newest `limit` events (default 1000)
+ * Custom sinks are any object with an async write(event) method.
+ */
+
+const fs = require('fs');
+const { getCaller } = require('./policy');
+const { toApiError } = require('./errors');
+const logger = require('./logger');
+
+const DEFAULT_FILE_PATH = '/tmp/skyflow-audit.ndjson';
+
+// A warm container keeps the memory queue between invocations; older events are dropped past this
+const MEMORY_QUEUE_LIMIT = 1000;
+
+// Shared by every MemorySink so events from all routes land in one queue
+const memoryQueue = [];
+
+// Writes directly to stdout: audit events are records, not logs, and ignore LOG_LEVEL
+class StdoutSink {
+    async write(event) {
+        console.log(JSON.stringify(event));
+    }
+}
+
+class FileSink {
+    constructor(options = {}) {
+        this.path = options.path || DEFAULT_FILE_PATH;
+    }
+
+    async write(event) {
+        await fs.promises.appendFile(this.path, JSON.stringify(event) + '\n');
+    }
+}
+
+class MemorySink {
+    constructor(options = {}) {
+        this.limit = options.limit || MEMORY_QUEUE_LIMIT;
+    }
+
+    async write(event) {
+        memoryQueue.push(event);
+        if (memoryQueue.length > this.limit) {
+            memoryQueue.splice(0, memoryQueue.length - this.limit);
+        }
+    }
+}
+
+const SINK_TYPES = {
+    stdout: StdoutSink,
+    file: FileSink,
+    memory: MemorySink
+};
+
+class AuditTrail {
+    /**
+     * @param {Object} [options] - Audit config
+     * @param {Array<string|Object>} [options.sinks] - Sink names ('stdout'), sink configs
+     *        ({type: 'file', path}) or sink objects with write(event). Defaults to ['stdout'].
+     */
+    constructor(options = {}) {
+        this.sinks = (options.sinks || ['stdout']).map(createSink);
+    }
+
+    /**
+     * Start an audit entry for a request
+     *
+     * @param {Object} event - API Gateway event
+     * @param {Object} context - Lambda context
+     * @param {string} route - Route name, e.g. '/process'
+     * @returns {Object} Entry to fill in as the request is parsed, then pass to success/failure
+     */
+    begin(event, context, route) {
+        const caller = getCaller(event);
+        return {
+            startTime: Date.now(),
+            lambdaRequestId: context.awsRequestId || context.requestId || null,
+            caller: {
+                principal: caller.principal,
+                api_key_id: caller.apiKeyId,
+                subject: caller.claims.sub || null,
+                source_ip: caller.sourceIp
+            },
+            route: route,
+            operation: null,
+            profile: null,
+            clusterId: null,
+            vaultId: null,
+            table: null,
+            env: null,
+            recordCount: null,
+            redactionType: undefined,
+            policyRule: null
+        };
+    }
+
+    /**
+     * Record a completed request
+     *
+     * @param {Object} entry - Entry from begin()
+     * @param {Object} [result] - Operation result: errors for partial-failure counts, and the
+     *        Skyflow request IDs of the successful calls (requestIds) and of the failed rows
+     */
+    async success(entry, result = {}) {
+        const errors = result.errors || [];
+        await this.record(entry, {
+            outcome: errors.length > 0 ? 'partial' : 'success',
+            status_code: 200,
+            error_code: null,
+            error_count: errors.length,
+            skyflow_request_ids: [...(result.requestIds || []), ...errors.map(error => error.request_ID)]
+        });
+    }
+
+    /**
+     * Record a failed or denied request
+     *
+     * @param {Object} entry - Entry from begin()
+     * @param {Error} error - Error that ended the request
+     */
+    async failure(entry, error) {
+        const apiError = toApiError(error);
+        await this.record(entry, {
+            outcome: apiError.statusCode === 403 && apiError.code === 'ACCESS_DENIED' ? 'denied' : 'error',
+            status_code: apiError.statusCode,
+            error_code: apiError.code,
+            error_count: null,
+            skyflow_request_ids: [apiError.requestId]
+        });
+    }
+
+    /**
+     * Build the event and write it to every sink
+     * A failing sink is logged and never fails the request.
+     */
+    async record(entry, outcome) {
+        const event = {
+            type: 'skyflow.audit',
+            version: 1,
+            timestamp: new Date().toISOString(),
+            lambda_request_id: entry.lambdaRequestId,
+            caller: entry.caller,
+            route: entry.route,
+            operation: entry.operation,
+            profile: entry.profile,
+            cluster_id: entry.clusterId,
+            vault_id: entry.vaultId,
+            table: entry.table,
+            env: entry.env,
+            record_count: entry.recordCount,
+            redaction_type: describeRedaction(entry.redactionType),
+            policy_rule: entry.policyRule,
+            ...outcome,
+            skyflow_request_ids: [...new Set(outcome.skyflow_request_ids.filter(Boolean))],
+            duration_ms: Date.now() - entry.startTime
+        };
+
+        const results = await Promise.allSettled(this.sinks.map(sink => sink.write(event)));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logger.error('Audit sink failed', { sink: this.sinks[index].constructor.name, error: result.reason });
+            }
+        });
+    }
+}
+
+function createSink(sink) {
+    if (sink && typeof sink.write === 'function') {
+        return sink;
+    }
+    const options = typeof sink === 'string' ? { type: sink } : sink;
+    const SinkType = SINK_TYPES[options.type];
+    if (!SinkType) {
+        throw new Error(`Unknown audit sink: ${options.type}. Must be one of: ${Object.keys(SINK_TYPES).join(', ')}`);
+    }
+    return new SinkType(options);
+}
+
+// undefined: operation reveals no values; null: governance-controlled
+function describeRedaction(redactionType) {
+    if (redactionType === undefined) {
+        return null;
+    }
+    return redactionType || 'GOVERNANCE_CONTROLLED';
+}
+
+/**
+ * Remove and return all events in the in-memory queue
+ *
+ * @returns {Array<Object>} Audit events, oldest first
+ */
+function drainMemoryQueue() {
+    return memoryQueue.splice(0, memoryQueue.length);
+}
+
+module.exports = {
+    AuditTrail,
+    StdoutSink,
+    FileSink,
+    MemorySink,
+    drainMemoryQueue
+};
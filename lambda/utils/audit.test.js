@@ -0,0 +1,92 @@
+/**
+ * Simple manual tests for the audit trail
+ * Run with: node lambda/utils/audit.test.js
+ */
+
+const assert = require('node:assert');
+const { AuditTrail, drainMemoryQueue } = require('./audit');
+const { ForbiddenError, VaultError } = require('./errors');
+
+const event = {
+    requestContext: { identity: { userArn: 'arn:aws:sts::123456789012:assumed-role/etl/session', apiKeyId: 'key123', sourceIp: '10.0.0.1' } },
+    body: JSON.stringify({ tokens: ['tok-secret'] })
+};
+const context = { awsRequestId: 'lambda-1' };
+
+function entry(trail) {
+    return Object.assign(trail.begin(event, context, '/process'), {
+        operation: 'detokenize',
+        vaultId: 'v1',
+        recordCount: 3,
+        redactionType: null
+    });
+}
+
+async function runTests() {
+    const trail = new AuditTrail({ sinks: ['memory'] });
+    drainMemoryQueue();
+
+    console.log('=== Testing success ===\n');
+
+    // Test 1: Request IDs from successful calls and from failed rows
+    console.log('Test 1: Successful and partial requests');
+    await trail.success(entry(trail), { data: [{ token: 'tok-secret', value: 'a@x.com' }], errors: null, requestIds: ['req-1', 'req-2'] });
+    await trail.success(entry(trail), { errors: [{ index: 2, code: 'VAULT_NOT_FOUND', request_ID: 'req-3' }], requestIds: ['req-1', 'req-3'] });
+    await trail.success(entry(trail));
+    const [success, partial, bare] = drainMemoryQueue();
+    console.log('  Success:', JSON.stringify(success));
+    console.log('  Partial:', partial.outcome, partial.error_count, partial.skyflow_request_ids);
+    assert.strictEqual(success.outcome, 'success');
+    assert.deepStrictEqual(success.skyflow_request_ids, ['req-1', 'req-2']);
+    assert.strictEqual(success.redaction_type, 'GOVERNANCE_CONTROLLED');
+    assert.deepStrictEqual(success.caller, { principal: 'arn:aws:sts::123456789012:assumed-role/etl/session', api_key_id: 'key123', subject: null, source_ip: '10.0.0.1' });
+    assert.doesNotMatch(JSON.stringify(success), /tok-secret|a@x\.com/);
+    assert.strictEqual(partial.outcome, 'partial');
+    assert.strictEqual(partial.error_count, 1);
+    assert.deepStrictEqual(partial.skyflow_request_ids, ['req-1', 'req-3']);
+    assert.deepStrictEqual(bare.skyflow_request_ids, []);
+    console.log('  ✓ Should record req-1 and req-2 with no tokens or values, then a partial with req-1 and req-3\n');
+
+    console.log('=== Testing failure ===\n');
+
+    // Test 2: Denials and vault errors
+    console.log('Test 2: Denied and failed requests');
+    await trail.failure(entry(trail), new ForbiddenError('Caller is not allowed to detokenize'));
+    await trail.failure(entry(trail), new VaultError('Detokenization failed', { http_code: 503, request_ID: 'req-4' }));
+    const [denied, failed] = drainMemoryQueue();
+    console.log('  Denied:', denied.outcome, denied.status_code, denied.error_code);
+    console.log('  Failed:', failed.outcome, failed.status_code, failed.error_code, failed.skyflow_request_ids);
+    assert.deepStrictEqual([denied.outcome, denied.status_code, denied.error_code, denied.skyflow_request_ids], ['denied', 403, 'ACCESS_DENIED', []]);
+    assert.deepStrictEqual([failed.outcome, failed.status_code, failed.error_code, failed.skyflow_request_ids], ['error', 503, 'VAULT_UNAVAILABLE', ['req-4']]);
+    console.log('  ✓ Should be denied 403 ACCESS_DENIED, then error 503 VAULT_UNAVAILABLE with req-4\n');
+
+    console.log('=== Testing sinks ===\n');
+
+    // Test 3: The memory queue keeps only the newest events
+    console.log('Test 3: Memory queue limit');
+    const capped = new AuditTrail({ sinks: [{ type: 'memory', limit: 3 }] });
+    for (let i = 0; i < 5; i++) {
+        await capped.success(Object.assign(entry(capped), { recordCount: i }));
+    }
+    const kept = drainMemoryQueue().map(audit => audit.record_count);
+    console.log('  Kept:', kept);
+    assert.deepStrictEqual(kept, [2, 3, 4]);
+    console.log('  ✓ Should keep record counts 2, 3 and 4\n');
+
+    // Test 4: A failing sink does not fail the request or the other sinks
+    console.log('Test 4: Failing sink');
+    const mixed = new AuditTrail({ sinks: [{ write: async () => { throw new Error('disk full'); } }, 'memory'] });
+    await mixed.success(entry(mixed));
+    const written = drainMemoryQueue();
+    console.log('  Written:', written.length);
+    assert.strictEqual(written.length, 1);
+    assert.throws(() => new AuditTrail({ sinks: ['kafka'] }), /Unknown audit sink: kafka/);
+    console.log('  ✓ Should still write 1 event, and reject an unknown sink\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
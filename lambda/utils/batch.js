@@ -0,0 +1,118 @@
+/**
+ * Batch Utilities
+ *
+ * Shared bounded-concurrency executor used by SkyflowClient to split large
+ * requests into Skyflow-sized batches and run them in parallel
+ */
+
+const logger = require('./logger');
+
+/**
+ * Split an array into consecutive chunks of at most batchSize items
+ *
+ * @param {Array} items - Items to split
+ * @param {number} batchSize - Maximum number of items per chunk
+ * @returns {Array<Array>} Array of chunks, in input order
+ *
+ * @example
+ * chunk([1, 2, 3, 4, 5], 2); // returns [[1, 2], [3, 4], [5]]
+ */
+function chunk(items, batchSize) {
+    const size = Math.max(1, batchSize || 1);
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Run batches with at most maxConcurrency in flight at once
+ *
+ * Each batch result must be an object with `data` and `errors` arrays (the
+ * shape returned by the SkyflowClient `_*Batch` methods), and may carry a
+ * `retries` count and `requestIds` (Skyflow request IDs). Results are merged
+ * in input order regardless of completion order, retries are summed and
+ * request IDs are collected without duplicates.
+ *
+ * If a batch throws, no further batches are started and the error is
+ * rethrown with a `batch` property describing which batch failed:
+ * `{ index, count, offset, size }` where `offset` is the position of the
+ * batch's first item in the original input.
+ *
+ * @param {Array} items - Items to process
+ * @param {Object} options - Executor options
+ * @param {number} options.batchSize - Maximum items per batch
+ * @param {number} options.maxConcurrency - Maximum batches in flight
+ * @param {string} [options.label] - Operation name used in log lines
+ * @param {Function} processBatch - async (batchItems, offset, index) => ({ data, errors })
+ * @returns {Promise<Object>} Object with merged data array, errors array (or null), total retries and requestIds
+ *
+ * @example
+ * const result = await runBatches(records, { batchSize: 25, maxConcurrency: 5, label: 'Tokenize' },
+ *     (batch) => client._tokenizeBatch(clusterId, vaultId, table, batch, options, env));
+ */
+async function runBatches(items, options, processBatch) {
+    const { batchSize, label = 'Batch' } = options;
+    const maxConcurrency = Math.max(1, options.maxConcurrency || 1);
+    const batches = chunk(items, batchSize);
+    const offsets = batches.map((_, index) => index * Math.max(1, batchSize || 1));
+
+    if (batches.length > 1) {
+        logger.info(`${label}: processing batches`, { batches: batches.length, maxConcurrency: Math.min(maxConcurrency, batches.length) });
+    }
+
+    const results = new Array(batches.length);
+    let nextIndex = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (!failed && nextIndex < batches.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await processBatch(batches[index], offsets[index], index);
+            } catch (error) {
+                failed = true;
+                error.batch = {
+                    index: index,
+                    count: batches.length,
+                    offset: offsets[index],
+                    size: batches[index].length
+                };
+                logger.error(`${label}: batch failed`, { batch: error.batch, error });
+                throw error;
+            }
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(maxConcurrency, batches.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    const data = [];
+    const errors = [];
+    let retries = 0;
+    const requestIds = new Set();
+    for (const result of results) {
+        data.push(...((result && result.data) || []));
+        if (result && result.errors) {
+            errors.push(...result.errors);
+        }
+        retries += (result && result.retries) || 0;
+        ((result && result.requestIds) || []).forEach(id => requestIds.add(id));
+    }
+
+    return {
+        data: data,
+        errors: errors.length > 0 ? errors : null,
+        retries: retries,
+        requestIds: [...requestIds]
+    };
+}
+
+module.exports = {
+    chunk,
+    runBatches
+};
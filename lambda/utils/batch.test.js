@@ -0,0 +1,78 @@
+/**
+ * Simple manual tests for batch utility
+ * Run with: node lambda/utils/batch.test.js
+ */
+
+const assert = require('node:assert');
+const { chunk, runBatches } = require('./batch');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    console.log('=== Testing chunk ===\n');
+
+    // Test 1: Even and uneven splits
+    console.log('Test 1: Even and uneven splits');
+    console.log('  chunk([1..4], 2):', JSON.stringify(chunk([1, 2, 3, 4], 2)));
+    console.log('  chunk([1..5], 2):', JSON.stringify(chunk([1, 2, 3, 4, 5], 2)));
+    assert.deepStrictEqual(chunk([1, 2, 3, 4], 2), [[1, 2], [3, 4]]);
+    assert.deepStrictEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    console.log('  ✓ Should return [[1,2],[3,4]] and [[1,2],[3,4],[5]]\n');
+
+    console.log('=== Testing runBatches ===\n');
+
+    // Test 2: Output stays in input order even when later batches finish first
+    console.log('Test 2: Output order preserved under concurrency');
+    const items = Array.from({ length: 10 }, (_, i) => i);
+    let inFlight = 0;
+    let peak = 0;
+    const ordered = await runBatches(items, { batchSize: 3, maxConcurrency: 2 }, async (batch, offset) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await sleep(batch.length === 1 ? 1 : 20 - offset);
+        inFlight--;
+        return { data: batch.map(n => n * 10), errors: null };
+    });
+    console.log('  data:', JSON.stringify(ordered.data));
+    console.log('  errors:', ordered.errors);
+    console.log('  peak concurrency:', peak);
+    assert.deepStrictEqual(ordered.data, items.map(n => n * 10));
+    assert.strictEqual(ordered.errors, null);
+    assert.strictEqual(peak, 2);
+    console.log('  ✓ Should return [0,10,...,90], null errors, peak concurrency 2\n');
+
+    // Test 3: Errors and request IDs from each batch are merged
+    console.log('Test 3: Per-batch errors merged');
+    const merged = await runBatches(items, { batchSize: 5, maxConcurrency: 5 }, async (batch, offset) => ({
+        data: batch,
+        errors: [{ batchOffset: offset }],
+        requestIds: [`req-${offset}`, 'req-shared']
+    }));
+    console.log('  errors:', JSON.stringify(merged.errors), 'requestIds:', merged.requestIds);
+    assert.deepStrictEqual(merged.errors, [{ batchOffset: 0 }, { batchOffset: 5 }]);
+    assert.deepStrictEqual(merged.requestIds, ['req-0', 'req-shared', 'req-5']);
+    console.log('  ✓ Should return [{"batchOffset":0},{"batchOffset":5}] and request IDs req-0, req-shared, req-5\n');
+
+    // Test 4: A failing batch is reported with its position
+    console.log('Test 4: Failed batch reported');
+    await assert.rejects(runBatches(items, { batchSize: 4, maxConcurrency: 1, label: 'Test' }, async (batch, offset) => {
+        if (offset === 4) {
+            throw new Error('boom');
+        }
+        return { data: batch, errors: null };
+    }), error => {
+        console.log('  error.message:', error.message);
+        console.log('  error.batch:', JSON.stringify(error.batch));
+        assert.strictEqual(error.message, 'boom');
+        assert.deepStrictEqual(error.batch, { index: 1, count: 3, offset: 4, size: 4 });
+        return true;
+    });
+    console.log('  ✓ Should report {"index":1,"count":3,"offset":4,"size":4}\n');
+
+    console.log('✅ All batch tests completed!');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,140 @@
+/**
+ * Client Cache
+ *
+ * Bounded LRU cache for Skyflow SDK clients. Cache keys come from request
+ * headers, so the cache is capped at maxSize entries (least recently used
+ * evicted first) and each entry expires after ttlSeconds, or earlier at its
+ * own expiresAt (e.g. when its bearer token expires).
+ *
+ * Settings (config "clientCache" or env vars):
+ * - maxSize     (CLIENT_CACHE_MAX_SIZE, default 50)
+ * - ttlSeconds  (CLIENT_CACHE_TTL_SECONDS, default 3300 - under Skyflow's 60-minute bearer token lifetime)
+ *
+ * Every removal goes through onEvict(key, value, reason) so the owner can
+ * release the client. Reasons: capacity, expired, replaced, auth, rotation, token, cleared.
+ */
+
+const DEFAULT_MAX_SIZE = 50;
+const DEFAULT_TTL_SECONDS = 3300;
+
+class ClientCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSize] - Maximum number of clients kept
+     * @param {number} [options.ttlSeconds] - Maximum client age
+     * @param {Function} [options.onEvict] - Called with (key, value, reason) for every removed entry
+     */
+    constructor(options = {}) {
+        this.maxSize = Math.max(1, options.maxSize || DEFAULT_MAX_SIZE);
+        this.ttlMs = (options.ttlSeconds || DEFAULT_TTL_SECONDS) * 1000;
+        this.onEvict = options.onEvict || (() => {});
+
+        // Map iteration order is insertion order: the first entry is the least recently used
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = {};
+    }
+
+    /**
+     * Get a live entry and mark it most recently used
+     *
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined if missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+        if (Date.now() >= entry.expiresAt) {
+            this._evict(key, 'expired');
+            this.misses++;
+            return undefined;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Add an entry, evicting the least recently used ones beyond maxSize
+     *
+     * @param {string} key - Cache key
+     * @param {*} value - Value to cache
+     * @param {Object} [options]
+     * @param {number} [options.expiresAt] - Epoch ms after which the entry is dropped, if before the TTL
+     */
+    set(key, value, options = {}) {
+        if (this.entries.has(key)) {
+            this._evict(key, 'replaced');
+        }
+        while (this.entries.size >= this.maxSize) {
+            this._evict(this.entries.keys().next().value, 'capacity');
+        }
+        const createdAt = Date.now();
+        this.entries.set(key, {
+            value,
+            createdAt,
+            expiresAt: Math.min(createdAt + this.ttlMs, options.expiresAt || Infinity)
+        });
+    }
+
+    /**
+     * Remove every entry whose key matches
+     *
+     * @param {Function} predicate - Called with each key
+     * @param {string} reason - Eviction reason for onEvict and stats
+     * @returns {number} Entries removed
+     */
+    deleteWhere(predicate, reason) {
+        const keys = [...this.entries.keys()].filter(predicate);
+        keys.forEach(key => this._evict(key, reason));
+        return keys.length;
+    }
+
+    /**
+     * Remove every entry
+     *
+     * @param {string} [reason] - Eviction reason (defaults to 'cleared')
+     */
+    clear(reason = 'cleared') {
+        this.deleteWhere(() => true, reason);
+    }
+
+    /**
+     * Cache statistics for diagnostics
+     *
+     * @returns {Object} { size, maxSize, ttlSeconds, hits, misses, hitRate, evictions, oldestAgeMs }
+     */
+    stats() {
+        const now = Date.now();
+        const oldest = this.entries.size > 0
+            ? Math.max(...[...this.entries.values()].map(entry => now - entry.createdAt))
+            : 0;
+        const lookups = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            ttlSeconds: this.ttlMs / 1000,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null,
+            evictions: { ...this.evictions },
+            oldestAgeMs: oldest
+        };
+    }
+
+    _evict(key, reason) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.evictions[reason] = (this.evictions[reason] || 0) + 1;
+        this.onEvict(key, entry.value, reason);
+    }
+}
+
+module.exports = {
+    ClientCache
+};
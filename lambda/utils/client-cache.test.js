@@ -0,0 +1,59 @@
+/**
+ * Simple manual tests for the SDK client cache
+ * Run with: node lambda/utils/client-cache.test.js
+ */
+
+const assert = require('node:assert');
+const { ClientCache } = require('./client-cache');
+
+const evicted = [];
+const cache = new ClientCache({
+    maxSize: 2,
+    ttlSeconds: 60,
+    onEvict: (key, value, reason) => evicted.push(`${key}:${reason}`)
+});
+
+console.log('=== Testing ClientCache ===\n');
+
+// Test 1: Least recently used entry evicted at capacity
+console.log('Test 1: LRU eviction');
+cache.set('a|c1:v1:PROD', 'client-1');
+cache.set('a|c1:v2:PROD', 'client-2');
+cache.get('a|c1:v1:PROD');
+cache.set('b|c1:v3:PROD', 'client-3');
+console.log('  Keys:', [...cache.entries.keys()]);
+console.log('  Evicted:', evicted);
+assert.deepStrictEqual([...cache.entries.keys()], ['a|c1:v1:PROD', 'b|c1:v3:PROD']);
+assert.deepStrictEqual(evicted, ['a|c1:v2:PROD:capacity']);
+console.log('  ✓ v2 should be evicted (capacity); v1 and v3 kept\n');
+
+// Test 2: Entry dropped at its own expiresAt
+console.log('Test 2: Per-entry expiry');
+cache.set('a|c1:v4:PROD', 'client-4', { expiresAt: Date.now() - 1 });
+const expired = cache.get('a|c1:v4:PROD');
+console.log('  Result:', expired);
+assert.strictEqual(expired, undefined);
+console.log('  ✓ Should be undefined (expired)\n');
+
+// Test 3: Drop one credential set's clients
+console.log('Test 3: deleteWhere');
+cache.set('a|c1:v1:PROD', 'client-1b');
+const removed = cache.deleteWhere(key => key.startsWith('a|'), 'auth');
+console.log('  Removed:', removed);
+console.log('  Keys:', [...cache.entries.keys()]);
+assert.strictEqual(removed, 1);
+assert.deepStrictEqual([...cache.entries.keys()], ['b|c1:v3:PROD']);
+console.log('  ✓ Should remove 1 (a|c1:v1) and keep b|c1:v3\n');
+
+// Test 4: Statistics
+console.log('Test 4: stats');
+const stats = cache.stats();
+console.log('  Result:', stats);
+assert.strictEqual(stats.size, 1);
+assert.strictEqual(stats.hits, 1);
+assert.strictEqual(stats.misses, 1);
+assert.strictEqual(stats.evictions.auth, 1);
+assert.strictEqual(stats.evictions.expired, 1);
+console.log('  ✓ Should show size 1, hits/misses and evictions by reason\n');
+
+console.log('=== All tests completed ===');
@@ -0,0 +1,224 @@
+/**
+ * Columnar Payloads
+ *
+ * Column-oriented JSON and Apache Arrow IPC bodies for /processDatabricks, so
+ * Spark batch UDFs can send a pandas/Arrow batch as-is instead of row records.
+ * The format is chosen by Content-Type and the response uses the same format.
+ *
+ * Formats:
+ * - application/json (default) - the /process format
+ * - application/vnd.skyflow.columnar+json
+ *     {"columns": {"email": ["a@x.com", null], "name": ["Ann", "Bob"]}, "options": {...}}
+ * - application/vnd.apache.arrow.stream - Arrow IPC stream (base64 through API Gateway);
+ *     options go in the schema metadata key "options" as JSON
+ *
+ * Only tokenize and detokenize are supported. Both go through the existing
+ * SkyflowClient batching:
+ * - tokenize: each row becomes one record (null cells omitted, all-null rows skipped);
+ *   the response has a token column per input column plus skyflow_id
+ * - detokenize: the non-null tokens of every column are detokenized together;
+ *   the response has the same columns with values in place of tokens
+ *
+ * Cells that were null, or whose row or token failed, are null in the response.
+ * Error `index` values refer to the input row.
+ */
+
+const { ValidationError } = require('./errors');
+const { getHeader } = require('./headers');
+
+const CONTENT_TYPES = {
+    json: 'application/json',
+    columnar: 'application/vnd.skyflow.columnar+json',
+    arrow: 'application/vnd.apache.arrow.stream'
+};
+
+const COLUMNAR_OPERATIONS = ['tokenize', 'detokenize'];
+
+/**
+ * Request format from the Content-Type header
+ *
+ * @param {Object} headers - The headers object from the Lambda event
+ * @returns {string} 'json', 'columnar' or 'arrow'
+ */
+function requestFormat(headers) {
+    const contentType = (getHeader(headers, 'content-type') || '').split(';')[0].trim().toLowerCase();
+    const format = Object.keys(CONTENT_TYPES).find(name => CONTENT_TYPES[name] === contentType);
+    return format || 'json';
+}
+
+/**
+ * Turn a columnar or Arrow request into a /process body
+ *
+ * @param {Object} event - Lambda event (body, isBase64Encoded)
+ * @param {string} format - 'columnar' or 'arrow'
+ * @param {string} operation - X-Skyflow-Operation
+ * @returns {Object} { body, layout } - body is { records | tokens, options }; layout maps results back to columns
+ * @throws {ValidationError} INVALID_BODY if the body cannot be decoded, INVALID_REQUEST if its shape is wrong
+ *
+ * @example
+ * parseColumnarRequest({ body: '{"columns": {"email": ["a@x.com", null]}}' }, 'columnar', 'tokenize');
+ * // returns { body: { records: [{ email: 'a@x.com' }], options: {} }, layout: { columnNames: ['email'], rowCount: 2, ... } }
+ */
+function parseColumnarRequest(event, format, operation) {
+    if (!COLUMNAR_OPERATIONS.includes(operation)) {
+        throw new ValidationError(`Operation ${operation || '(none)'} does not support ${CONTENT_TYPES[format]} bodies. Supported: ${COLUMNAR_OPERATIONS.join(', ')}`);
+    }
+
+    const { columns, options } = format === 'arrow' ? decodeArrow(event) : decodeColumnarJson(event);
+    const columnNames = Object.keys(columns);
+    const rowCount = columnNames.length > 0 ? columns[columnNames[0]].length : 0;
+    const layout = { operation, columnNames, columns, rowCount };
+
+    if (operation === 'tokenize') {
+        const records = [];
+        layout.rowIndexes = [];
+        for (let row = 0; row < rowCount; row++) {
+            const record = {};
+            columnNames.forEach(name => {
+                if (columns[name][row] !== null) {
+                    record[name] = columns[name][row];
+                }
+            });
+            if (Object.keys(record).length > 0) {
+                records.push(record);
+                layout.rowIndexes.push(row);
+            }
+        }
+        return { body: { records, options }, layout };
+    }
+
+    const tokens = columnNames.flatMap(name => columns[name].filter(token => token !== null));
+    return { body: { tokens, options }, layout };
+}
+
+/**
+ * Build the Lambda response for a columnar or Arrow request
+ *
+ * @param {string} format - 'columnar' or 'arrow'
+ * @param {Object} layout - Layout from parseColumnarRequest
+ * @param {Object} result - SkyflowClient tokenize/detokenize result ({ data, errors })
+ * @param {Object} metadata - Response metadata (operation, duration_ms, retries, ...)
+ * @returns {Object} Lambda response in the request's format
+ */
+function columnarResponse(format, layout, result, metadata) {
+    const columns = layout.operation === 'tokenize'
+        ? tokenizedColumns(layout, result)
+        : detokenizedColumns(layout, result);
+    const errors = layout.operation === 'tokenize' && result.errors
+        ? result.errors.map(error => error.index !== undefined ? { ...error, index: layout.rowIndexes[error.index] } : error)
+        : result.errors;
+
+    const headers = {
+        'Content-Type': CONTENT_TYPES[format],
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    if (format === 'arrow') {
+        const { Table, Utf8, vectorFromArray, tableToIPC } = require('apache-arrow');
+        const table = new Table(Object.fromEntries(Object.entries(columns).map(([name, values]) =>
+            [name, vectorFromArray(values.map(value => value === null ? null : String(value)), new Utf8())])));
+        table.schema.metadata.set('metadata', JSON.stringify(metadata));
+        if (errors && errors.length > 0) {
+            table.schema.metadata.set('errors', JSON.stringify(errors));
+        }
+        return {
+            statusCode: 200,
+            headers,
+            isBase64Encoded: true,
+            body: Buffer.from(tableToIPC(table, 'stream')).toString('base64')
+        };
+    }
+
+    const response = { success: true, columns, metadata };
+    if (errors && errors.length > 0) {
+        response.errors = errors;
+    }
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(response)
+    };
+}
+
+function tokenizedColumns(layout, result) {
+    const names = [...layout.columnNames.filter(name => name !== 'skyflow_id'), 'skyflow_id'];
+    const columns = Object.fromEntries(names.map(name => [name, new Array(layout.rowCount).fill(null)]));
+    layout.rowIndexes.forEach((row, index) => {
+        const record = result.data[index];
+        if (record) {
+            names.forEach(name => {
+                columns[name][row] = record[name] ?? null;
+            });
+        }
+    });
+    return columns;
+}
+
+function detokenizedColumns(layout, result) {
+    const valueByToken = new Map(result.data.map(record => [String(record.token), record.value]));
+    return Object.fromEntries(layout.columnNames.map(name => [name, layout.columns[name].map(token =>
+        token === null ? null : (valueByToken.get(String(token)) ?? null))]));
+}
+
+function decodeColumnarJson(event) {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '{}');
+    const body = JSON.parse(raw);
+    const columns = body.columns;
+
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+        throw new ValidationError('Missing or invalid field: columns (must be an object of column arrays)');
+    }
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+        throw new ValidationError('columns cannot be empty - must contain at least one column');
+    }
+    names.forEach(name => {
+        if (!Array.isArray(columns[name])) {
+            throw new ValidationError(`columns.${name} must be an array`);
+        }
+        if (columns[name].length !== columns[names[0]].length) {
+            throw new ValidationError(`columns.${name} has ${columns[name].length} values; expected ${columns[names[0]].length} like columns.${names[0]}`);
+        }
+    });
+
+    return {
+        columns: Object.fromEntries(names.map(name => [name, columns[name].map(value => value ?? null)])),
+        options: body.options || {}
+    };
+}
+
+function decodeArrow(event) {
+    const { tableFromIPC } = require('apache-arrow');
+    let table;
+    try {
+        table = tableFromIPC(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'latin1'));
+    } catch (error) {
+        throw new ValidationError(`Invalid Arrow IPC stream body: ${error.message}`, 'INVALID_BODY');
+    }
+    if (table.schema.fields.length === 0) {
+        throw new ValidationError('Arrow body cannot be empty - must contain at least one column');
+    }
+
+    let options = {};
+    const rawOptions = table.schema.metadata.get('options');
+    if (rawOptions) {
+        try {
+            options = JSON.parse(rawOptions);
+        } catch (error) {
+            throw new ValidationError(`Invalid Arrow schema metadata "options": ${error.message}`, 'INVALID_BODY');
+        }
+    }
+
+    // Int64 columns come back as BigInt, which neither the SDK nor JSON accepts
+    const columns = Object.fromEntries(table.schema.fields.map(field => [field.name,
+        [...table.getChild(field.name)].map(value => typeof value === 'bigint' ? String(value) : (value ?? null))]));
+
+    return { columns, options };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    requestFormat,
+    parseColumnarRequest,
+    columnarResponse
+};
@@ -0,0 +1,106 @@
+/**
+ * Simple manual tests for columnar and Arrow payloads
+ * Run with: node lambda/utils/columnar.test.js
+ */
+
+const assert = require('node:assert');
+const { tableFromArrays, tableFromIPC, tableToIPC } = require('apache-arrow');
+const { requestFormat, parseColumnarRequest, columnarResponse } = require('./columnar');
+
+function attempt(fn) {
+    try {
+        return fn();
+    } catch (error) {
+        return `${error.code}: ${error.message}`;
+    }
+}
+
+console.log('=== Testing requestFormat ===\n');
+
+// Test 1: Format chosen by Content-Type
+console.log('Test 1: Content-Type');
+console.log('  Columnar:', requestFormat({ 'content-type': 'application/vnd.skyflow.columnar+json; charset=utf-8' }));
+console.log('  Arrow:', requestFormat({ 'Content-Type': 'application/vnd.apache.arrow.stream' }));
+console.log('  None:', requestFormat({}));
+assert.strictEqual(requestFormat({ 'content-type': 'application/vnd.skyflow.columnar+json; charset=utf-8' }), 'columnar');
+assert.strictEqual(requestFormat({ 'Content-Type': 'application/vnd.apache.arrow.stream' }), 'arrow');
+assert.strictEqual(requestFormat({}), 'json');
+console.log('  ✓ Should be columnar, arrow, json\n');
+
+console.log('=== Testing columnar JSON ===\n');
+
+// Test 2: Rows become records; null cells omitted, all-null rows skipped
+console.log('Test 2: Tokenize request');
+const tokenizeEvent = { body: JSON.stringify({ columns: { email: ['a@x.com', null, 'c@x.com'], name: ['Ann', null, null] } }) };
+const tokenize = parseColumnarRequest(tokenizeEvent, 'columnar', 'tokenize');
+console.log('  Records:', tokenize.body.records, 'rows:', tokenize.layout.rowIndexes);
+assert.deepStrictEqual(tokenize.body.records, [{ email: 'a@x.com', name: 'Ann' }, { email: 'c@x.com' }]);
+assert.deepStrictEqual(tokenize.layout.rowIndexes, [0, 2]);
+console.log('  ✓ Should be 2 records from rows 0 and 2\n');
+
+// Test 3: Tokens placed back by row; error index refers to the input row
+console.log('Test 3: Tokenize response');
+const tokenized = columnarResponse('columnar', tokenize.layout, {
+    data: [{ skyflow_id: 'id-0', email: 'tok-a', name: 'tok-ann' }, null],
+    errors: [{ index: 1, error: 'invalid email' }]
+}, { operation: 'tokenize' });
+console.log('  Body:', tokenized.body);
+const tokenizedBody = JSON.parse(tokenized.body);
+assert.deepStrictEqual(tokenizedBody.columns.email, ['tok-a', null, null]);
+assert.deepStrictEqual(tokenizedBody.columns.skyflow_id, ['id-0', null, null]);
+assert.strictEqual(tokenizedBody.errors[0].index, 2);
+console.log('  ✓ Should have row 1 null, row 2 null (failed) and error index 2\n');
+
+// Test 4: Tokens from every column detokenized together
+console.log('Test 4: Detokenize round trip');
+const detokenize = parseColumnarRequest({ body: JSON.stringify({ columns: { email: ['t1', null], ssn: ['t2', 't3'] } }) }, 'columnar', 'detokenize');
+console.log('  Tokens:', detokenize.body.tokens);
+const detokenized = columnarResponse('columnar', detokenize.layout, {
+    data: [{ token: 't1', value: 'a@x.com' }, { token: 't3', value: '123-45-6789' }]
+}, { operation: 'detokenize' });
+console.log('  Columns:', JSON.parse(detokenized.body).columns);
+assert.deepStrictEqual(detokenize.body.tokens, ['t1', 't2', 't3']);
+assert.deepStrictEqual(JSON.parse(detokenized.body).columns, { email: ['a@x.com', null], ssn: [null, '123-45-6789'] });
+console.log('  ✓ Should be [t1, t2, t3]; t2 (failed) and the null cell come back null\n');
+
+// Test 5: Malformed bodies and other operations
+console.log('Test 5: Invalid requests');
+const ragged = attempt(() => parseColumnarRequest({ body: '{"columns": {"a": [1, 2], "b": [1]}}' }, 'columnar', 'tokenize'));
+const query = attempt(() => parseColumnarRequest(tokenizeEvent, 'columnar', 'query'));
+console.log('  Ragged:', ragged);
+console.log('  Query:', query);
+assert.match(ragged, /^INVALID_REQUEST: /);
+assert.match(query, /^INVALID_REQUEST: /);
+console.log('  ✓ Both should be INVALID_REQUEST\n');
+
+console.log('=== Testing Arrow ===\n');
+
+// Test 6: Arrow batch in, Arrow batch out, options from schema metadata
+console.log('Test 6: Arrow round trip');
+const input = tableFromArrays({ email: ['a@x.com', 'b@x.com'] });
+input.schema.metadata.set('options', JSON.stringify({ upsert: 'email' }));
+const arrowRequest = parseColumnarRequest({
+    body: Buffer.from(tableToIPC(input, 'stream')).toString('base64'),
+    isBase64Encoded: true
+}, 'arrow', 'tokenize');
+console.log('  Records:', arrowRequest.body.records, 'options:', arrowRequest.body.options);
+const arrowResponse = columnarResponse('arrow', arrowRequest.layout, {
+    data: [{ skyflow_id: 'id-a', email: 'tok-a' }, { skyflow_id: 'id-b', email: 'tok-b' }]
+}, { operation: 'tokenize', retries: 0 });
+const output = tableFromIPC(Buffer.from(arrowResponse.body, 'base64'));
+console.log('  Email:', [...output.getChild('email')], 'skyflow_id:', [...output.getChild('skyflow_id')]);
+console.log('  Metadata:', output.schema.metadata.get('metadata'));
+assert.deepStrictEqual(arrowRequest.body.records, [{ email: 'a@x.com' }, { email: 'b@x.com' }]);
+assert.deepStrictEqual(arrowRequest.body.options, { upsert: 'email' });
+assert.deepStrictEqual([...output.getChild('email')], ['tok-a', 'tok-b']);
+assert.deepStrictEqual([...output.getChild('skyflow_id')], ['id-a', 'id-b']);
+console.log('  ✓ Should be 2 records with upsert option; tokens and ids back in order\n');
+
+// Test 7: Garbage bytes
+console.log('Test 7: Invalid Arrow body');
+const garbage = attempt(() => parseColumnarRequest({ body: 'bm90IGFycm93', isBase64Encoded: true }, 'arrow', 'tokenize'));
+console.log('  Result:', garbage);
+assert.match(garbage, /^INVALID_BODY: /);
+console.log('  ✓ Should be INVALID_BODY\n');
+
+console.log('=== All tests completed ===');
@@ -0,0 +1,282 @@
+/**
+ * Credential Provider
+ *
+ * Supplies Skyflow credentials to SkyflowClient from one of these sources:
+ * - static          - credentials from environment variables or skyflow-config.json
+ * - secretsmanager  - AWS Secrets Manager secret (SKYFLOW_CREDENTIALS_SECRET_ID, name or ARN)
+ * - ssm             - SSM Parameter Store SecureString (SKYFLOW_CREDENTIALS_PARAMETER)
+ *
+ * Remote credentials are fetched on first use, cached for ttlSeconds
+ * (SKYFLOW_CREDENTIALS_TTL_SECONDS, default 300) and fetched again when the
+ * TTL expires or when Skyflow rejects them (see SkyflowClient._withRetry).
+ *
+ * The secret or parameter value is either an API key string ("sky-..."),
+ * or JSON with the same shape as "credentials" in skyflow-config.json:
+ * {"apiKey": "..."} or {"clientID", "clientName", "tokenURI", "keyID", "privateKey"}
+ * (a {"credentials": {...}} wrapper is also accepted).
+ *
+ * For local development and tests, set provider "local" (SKYFLOW_CREDENTIALS_PROVIDER=local)
+ * to read secrets and parameters from LocalSecretStore instead of AWS.
+ */
+
+const fs = require('fs');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+
+const DEFAULT_TTL_SECONDS = 300;
+const REQUIRED_JWT_FIELDS = ['clientID', 'clientName', 'tokenURI', 'keyID', 'privateKey'];
+
+/**
+ * Check that credentials have an API key or every service-account field
+ *
+ * @param {Object} credentials - { apiKey } or service-account fields
+ * @throws {Error} If credentials are missing or incomplete
+ */
+function validateCredentials(credentials) {
+    if (!credentials || typeof credentials !== 'object') {
+        throw new Error('Missing required config: credentials');
+    }
+    if (credentials.apiKey) {
+        if (!credentials.apiKey.startsWith('sky-')) {
+            logger.warn('API key does not start with "sky-"');
+        }
+        return;
+    }
+    for (const field of REQUIRED_JWT_FIELDS) {
+        if (!credentials[field]) {
+            throw new Error(`Missing required JWT credential: ${field}`);
+        }
+    }
+}
+
+/**
+ * Check that a remote credential source names its secret or parameter
+ *
+ * @param {Object} source - { type: 'secretsmanager'|'ssm', secretId, parameterName }
+ * @param {string} [label] - Config path for error messages
+ * @throws {Error} If the source is malformed
+ */
+function validateCredentialSource(source, label = 'credentialSource') {
+    const sourceTypes = ['secretsmanager', 'ssm'];
+    if (!sourceTypes.includes(source.type)) {
+        throw new Error(`Invalid ${label}.type: ${source.type}. Must be one of: ${sourceTypes.join(', ')}`);
+    }
+    if (source.type === 'secretsmanager' && !source.secretId) {
+        throw new Error(`Missing required config: ${label}.secretId`);
+    }
+    if (source.type === 'ssm' && !source.parameterName) {
+        throw new Error(`Missing required config: ${label}.parameterName`);
+    }
+}
+
+/**
+ * Parse a secret or parameter value into credentials
+ *
+ * @param {string} value - API key or credentials JSON
+ * @returns {Object} Credentials
+ */
+function parseCredentials(value) {
+    const text = String(value || '').trim();
+    if (text.startsWith('sky-')) {
+        return { apiKey: text };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Credential value is neither an API key nor valid JSON');
+    }
+    return parsed.credentials || parsed;
+}
+
+/**
+ * Secrets Manager and SSM reads through the AWS SDK (v3, loaded on first use)
+ */
+class AwsSecretStore {
+    constructor(options = {}) {
+        this.region = options.region || process.env.AWS_REGION;
+        this.secretsManager = null;
+        this.ssm = null;
+    }
+
+    async getSecretValue(secretId) {
+        const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+        if (!this.secretsManager) {
+            this.secretsManager = new SecretsManagerClient({ region: this.region });
+        }
+        const response = await this.secretsManager.send(new GetSecretValueCommand({ SecretId: secretId }));
+        if (response.SecretString === undefined) {
+            throw new Error(`Secret ${secretId} has no SecretString (binary secrets are not supported)`);
+        }
+        return response.SecretString;
+    }
+
+    async getParameter(name) {
+        const { SSMClient, GetParameterCommand } = require('@aws-sdk/client-ssm');
+        if (!this.ssm) {
+            this.ssm = new SSMClient({ region: this.region });
+        }
+        const response = await this.ssm.send(new GetParameterCommand({ Name: name, WithDecryption: true }));
+        return response.Parameter.Value;
+    }
+}
+
+/**
+ * Local stand-in for Secrets Manager and SSM (development and tests only)
+ *
+ * Values come from put() or from a JSON file ({"secrets": {id: value}, "parameters": {name: value}})
+ * that is re-read on every fetch, so editing the file simulates a rotation.
+ */
+class LocalSecretStore {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.secrets = new Map();
+        this.parameters = new Map();
+        this.calls = 0;
+    }
+
+    putSecretValue(secretId, value) {
+        this.secrets.set(secretId, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    putParameter(name, value) {
+        this.parameters.set(name, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    async getSecretValue(secretId) {
+        return this._read('secrets', this.secrets, secretId);
+    }
+
+    async getParameter(name) {
+        return this._read('parameters', this.parameters, name);
+    }
+
+    _read(kind, store, key) {
+        this.calls++;
+        if (this.file) {
+            const values = JSON.parse(fs.readFileSync(this.file, 'utf8'))[kind] || {};
+            if (values[key] !== undefined) {
+                return typeof values[key] === 'string' ? values[key] : JSON.stringify(values[key]);
+            }
+        }
+        if (!store.has(key)) {
+            const error = new Error(`${kind === 'secrets' ? 'Secret' : 'Parameter'} not found: ${key}`);
+            error.name = kind === 'secrets' ? 'ResourceNotFoundException' : 'ParameterNotFound';
+            throw error;
+        }
+        return store.get(key);
+    }
+}
+
+class CredentialProvider {
+    /**
+     * @param {Object} source - { type: 'static'|'secretsmanager'|'ssm', secretId, parameterName,
+     *                          ttlSeconds, provider: 'aws'|'local', file }
+     * @param {Object} [options]
+     * @param {Object} [options.credentials] - Static credentials (type 'static')
+     * @param {Object} [options.store] - Secret store override ({ getSecretValue, getParameter })
+     */
+    constructor(source = { type: 'static' }, options = {}) {
+        this.source = source;
+        this.ttlMs = (source.ttlSeconds ?? DEFAULT_TTL_SECONDS) * 1000;
+        this.store = options.store || (source.provider === 'local'
+            ? new LocalSecretStore({ file: source.file })
+            : new AwsSecretStore({ region: source.region }));
+
+        this.credentials = source.type === 'static' ? options.credentials : null;
+        this.fetchedAt = 0;
+        this.version = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Whether credentials can be fetched again (remote sources only)
+     */
+    isRefreshable() {
+        return this.source.type !== 'static';
+    }
+
+    /**
+     * Human-readable source for log lines
+     */
+    describe() {
+        switch (this.source.type) {
+            case 'secretsmanager': return `secretsmanager:${this.source.secretId}`;
+            case 'ssm': return `ssm:${this.source.parameterName}`;
+            default: return 'static';
+        }
+    }
+
+    /**
+     * Get current credentials, fetching them if missing, expired or forced
+     * Concurrent callers share one fetch. If a refresh fails while cached
+     * credentials exist, the cached ones keep being used.
+     *
+     * @param {boolean} [force] - Fetch even if the cache is fresh (e.g. after an auth failure)
+     * @returns {Promise<Object>} { credentials, version } - version changes whenever credentials change
+     * @throws {ApiError} CREDENTIALS_UNAVAILABLE if no credentials could be loaded
+     */
+    async get(force = false) {
+        if (!this.isRefreshable()) {
+            return { credentials: this.credentials, version: this.version };
+        }
+        const expired = Date.now() - this.fetchedAt >= this.ttlMs;
+        if (this.credentials && !expired && !force) {
+            return { credentials: this.credentials, version: this.version };
+        }
+
+        if (!this.pending) {
+            this.pending = this._fetch().finally(() => {
+                this.pending = null;
+            });
+        }
+        await this.pending;
+        return { credentials: this.credentials, version: this.version };
+    }
+
+    async _fetch() {
+        try {
+            const value = this.source.type === 'secretsmanager'
+                ? await this.store.getSecretValue(this.source.secretId)
+                : await this.store.getParameter(this.source.parameterName);
+            const credentials = parseCredentials(value);
+            validateCredentials(credentials);
+
+            if (JSON.stringify(credentials) !== JSON.stringify(this.credentials)) {
+                if (this.credentials) {
+                    logger.info('Skyflow credentials rotated', { source: this.describe() });
+                }
+                this.credentials = credentials;
+                this.version++;
+            }
+            this.fetchedAt = Date.now();
+            logger.info('Skyflow credentials loaded', {
+                source: this.describe(),
+                authType: credentials.apiKey ? 'API_KEY' : 'JWT',
+                version: this.version
+            });
+        } catch (error) {
+            if (this.credentials) {
+                // Try again in at most 30 seconds rather than on every request
+                this.fetchedAt = Date.now() - this.ttlMs + Math.min(this.ttlMs, 30000);
+                logger.warn('Credential refresh failed, keeping cached credentials', { source: this.describe(), error });
+                return;
+            }
+            logger.error('Credential load failed', { source: this.describe(), error });
+            throw new ApiError(`Could not load Skyflow credentials from ${this.describe()}: ${error.message}`, {
+                code: 'CREDENTIALS_UNAVAILABLE',
+                statusCode: 503,
+                cause: error
+            });
+        }
+    }
+}
+
+module.exports = {
+    CredentialProvider,
+    AwsSecretStore,
+    LocalSecretStore,
+    parseCredentials,
+    validateCredentials,
+    validateCredentialSource
+};
@@ -0,0 +1,85 @@
+/**
+ * Simple manual tests for the credential provider
+ * Run with: node lambda/utils/credentials.test.js
+ */
+
+const assert = require('node:assert');
+const { CredentialProvider, LocalSecretStore, parseCredentials } = require('./credentials');
+const logger = require('./logger');
+
+logger.setLevel('off');
+
+async function runTests() {
+    console.log('=== Testing parseCredentials ===\n');
+
+    // Test 1: API key string and JSON forms
+    console.log('Test 1: Secret formats');
+    console.log('  API key:', parseCredentials('sky-abc'));
+    console.log('  JSON:', parseCredentials('{"credentials": {"apiKey": "sky-def"}}'));
+    assert.deepStrictEqual(parseCredentials('sky-abc'), { apiKey: 'sky-abc' });
+    assert.deepStrictEqual(parseCredentials('{"credentials": {"apiKey": "sky-def"}}'), { apiKey: 'sky-def' });
+    console.log('  ✓ Both should be { apiKey: ... }\n');
+
+    console.log('=== Testing CredentialProvider ===\n');
+
+    // Test 2: Fetched once, then served from cache within the TTL
+    console.log('Test 2: Cold start fetch and cache');
+    const store = new LocalSecretStore();
+    store.putSecretValue('skyflow-creds', 'sky-first');
+    const provider = new CredentialProvider({ type: 'secretsmanager', secretId: 'skyflow-creds', ttlSeconds: 60 }, { store });
+    const [a, b] = await Promise.all([provider.get(), provider.get()]);
+    await provider.get();
+    console.log('  Credentials:', a.credentials, 'version:', a.version, 'same as concurrent call:', a.version === b.version);
+    console.log('  Store calls:', store.calls);
+    assert.deepStrictEqual(a.credentials, { apiKey: 'sky-first' });
+    assert.strictEqual(a.version, 1);
+    assert.strictEqual(b.version, 1);
+    assert.strictEqual(store.calls, 1);
+    console.log('  ✓ Should be sky-first, version 1, 1 store call\n');
+
+    // Test 3: Forced refresh picks up a rotation and bumps the version
+    console.log('Test 3: Rotation on forced refresh');
+    store.putSecretValue('skyflow-creds', 'sky-second');
+    const rotated = await provider.get(true);
+    console.log('  Credentials:', rotated.credentials, 'version:', rotated.version);
+    assert.deepStrictEqual(rotated.credentials, { apiKey: 'sky-second' });
+    assert.strictEqual(rotated.version, 2);
+    console.log('  ✓ Should be sky-second, version 2\n');
+
+    // Test 4: Expired TTL triggers a fetch; unchanged value keeps the version
+    console.log('Test 4: TTL expiry');
+    provider.fetchedAt = 0;
+    const refreshed = await provider.get();
+    console.log('  Version:', refreshed.version, 'store calls:', store.calls);
+    assert.strictEqual(refreshed.version, 2);
+    assert.strictEqual(store.calls, 3);
+    console.log('  ✓ Should be version 2, 3 store calls\n');
+
+    // Test 5: Failed refresh keeps cached credentials
+    console.log('Test 5: Refresh failure keeps cache');
+    store.secrets.delete('skyflow-creds');
+    const kept = await provider.get(true);
+    console.log('  Credentials:', kept.credentials);
+    assert.deepStrictEqual(kept.credentials, { apiKey: 'sky-second' });
+    console.log('  ✓ Should still be sky-second\n');
+
+    // Test 6: Nothing cached and nothing to fetch
+    console.log('Test 6: Missing SSM parameter');
+    const missing = new CredentialProvider({ type: 'ssm', parameterName: '/skyflow/missing' }, { store });
+    try {
+        await missing.get();
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  Error:', error.code, error.statusCode);
+        assert.strictEqual(error.code, 'CREDENTIALS_UNAVAILABLE');
+        assert.strictEqual(error.statusCode, 503);
+        console.log('  ✓ Should be CREDENTIALS_UNAVAILABLE 503\n');
+    }
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
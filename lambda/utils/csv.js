@@ -0,0 +1,131 @@
+/**
+ * CSV Utilities
+ *
+ * Streaming RFC 4180 parsing and formatting for file tokenization:
+ * comma-separated, double-quoted fields (quotes escaped by doubling),
+ * quoted fields may contain commas and newlines, LF or CRLF line endings.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parse CSV text chunks into rows
+ *
+ * @param {AsyncIterable<string|Buffer>} chunks - e.g. a readable stream
+ * @yields {Array<string>} Fields of each row (blank lines are skipped)
+ * @throws {Error} If the input ends inside a quoted field
+ *
+ * @example
+ * for await (const row of parseCsv(fs.createReadStream('users.csv'))) { ... }
+ */
+async function* parseCsv(chunks) {
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    let pendingCr = false;
+    // Buffers are decoded across chunk boundaries (a character may be split between two)
+    const decoder = new StringDecoder('utf8');
+
+    const endRow = () => {
+        row.push(field);
+        const complete = row;
+        row = [];
+        field = '';
+        afterQuote = false;
+        return complete.length === 1 && complete[0] === '' ? null : complete;
+    };
+
+    for await (const chunk of chunks) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (pendingCr) {
+                pendingCr = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+
+            if (quoted) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (i + 1 === text.length) {
+                        // The next chunk decides whether this quote is escaped
+                        quoted = false;
+                        afterQuote = 'maybe-escaped';
+                    } else {
+                        quoted = false;
+                        afterQuote = true;
+                    }
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (afterQuote === 'maybe-escaped') {
+                afterQuote = true;
+                if (char === '"') {
+                    field += '"';
+                    quoted = true;
+                    afterQuote = false;
+                    continue;
+                }
+            }
+
+            if (char === '"' && field === '' && !afterQuote) {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+                afterQuote = false;
+            } else if (char === '\n' || char === '\r') {
+                pendingCr = char === '\r';
+                const complete = endRow();
+                if (complete) {
+                    yield complete;
+                }
+            } else {
+                field += char;
+            }
+        }
+    }
+
+    // Bytes of an incomplete character at the end become a replacement character
+    const rest = decoder.end();
+    if (rest) {
+        field += rest;
+    }
+
+    if (quoted) {
+        throw new Error('CSV ends inside a quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        const complete = endRow();
+        if (complete) {
+            yield complete;
+        }
+    }
+}
+
+/**
+ * Format one CSV row, quoting fields that need it
+ *
+ * @param {Array} values - Field values (null and undefined become empty fields)
+ * @returns {string} Row without a line ending
+ */
+function formatCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+module.exports = {
+    parseCsv,
+    formatCsvRow
+};
@@ -0,0 +1,81 @@
+/**
+ * Simple manual tests for CSV parsing and formatting
+ * Run with: node lambda/utils/csv.test.js
+ */
+
+const assert = require('node:assert');
+const { parseCsv, formatCsvRow } = require('./csv');
+
+async function collect(chunks) {
+    const rows = [];
+    for await (const row of parseCsv(chunks)) {
+        rows.push(row);
+    }
+    return rows;
+}
+
+async function runTests() {
+    console.log('=== Testing parseCsv ===\n');
+
+    // Test 1: Plain rows, CRLF line endings, blank lines
+    console.log('Test 1: Plain rows');
+    const plain = await collect(['name,email\r\nAda,ada@x.com\r\n\r\nBob,\r\n']);
+    console.log('  Rows:', JSON.stringify(plain));
+    assert.deepStrictEqual(plain, [['name', 'email'], ['Ada', 'ada@x.com'], ['Bob', '']]);
+    console.log('  ✓ Should be [["name","email"],["Ada","ada@x.com"],["Bob",""]]\n');
+
+    // Test 2: Quoted fields with commas, doubled quotes and newlines
+    console.log('Test 2: Quoted fields');
+    const quoted = await collect(['id,note\n1,"a, ""b""\nc"\n2,x']);
+    console.log('  Rows:', JSON.stringify(quoted));
+    assert.deepStrictEqual(quoted, [['id', 'note'], ['1', 'a, "b"\nc'], ['2', 'x']]);
+    console.log('  ✓ Should be [["id","note"],["1","a, \\"b\\"\\nc"],["2","x"]] (last row needs no newline)\n');
+
+    // Test 3: Rows, quotes and multi-byte characters split across chunks
+    console.log('Test 3: Chunk boundaries');
+    const text = 'id,note\r\n1,"say ""hi"""\r\n2,"x,ü"\n';
+    const bytes = Buffer.from(text);
+    const whole = JSON.stringify(await collect([text]));
+    let same = true;
+    for (let size = 1; size <= 4; size++) {
+        const chunks = [];
+        for (let i = 0; i < bytes.length; i += size) {
+            chunks.push(bytes.subarray(i, i + size));
+        }
+        same = same && JSON.stringify(await collect(chunks)) === whole;
+    }
+    console.log('  Rows:', whole, 'same for every chunk size:', same);
+    assert.deepStrictEqual(JSON.parse(whole), [['id', 'note'], ['1', 'say "hi"'], ['2', 'x,ü']]);
+    assert.strictEqual(same, true);
+    console.log('  ✓ Should be [["id","note"],["1","say \\"hi\\""],["2","x,ü"]] and true\n');
+
+    // Test 4: Unterminated quote
+    console.log('Test 4: Unterminated quote');
+    try {
+        await collect(['id,note\n1,"open']);
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  Error:', error.message);
+        assert.strictEqual(error.message, 'CSV ends inside a quoted field');
+        console.log('  ✓ Should reject the input\n');
+    }
+
+    console.log('=== Testing formatCsvRow ===\n');
+
+    // Test 5: Quoting round trip
+    console.log('Test 5: Quoting');
+    const row = formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 42]);
+    console.log('  Row:', JSON.stringify(row));
+    const parsed = (await collect([row]))[0];
+    console.log('  Parsed back:', JSON.stringify(parsed));
+    assert.strictEqual(row, 'plain,"a,b","say ""hi""","two\nlines",,42');
+    assert.deepStrictEqual(parsed, ['plain', 'a,b', 'say "hi"', 'two\nlines', '', '42']);
+    console.log('  ✓ Should quote fields 2-4 and parse back to the same values (null as "")\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
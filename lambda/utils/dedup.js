@@ -0,0 +1,99 @@
+/**
+ * De-duplication Utilities
+ *
+ * Collapse repeated values within a request so each distinct value reaches
+ * the vault once, then fan results back out to every original position
+ */
+
+/**
+ * Build a stable key for a flat record (column order does not matter)
+ *
+ * @param {Object} record - Record with column names as keys
+ * @returns {string} Key identical for records with the same columns and values
+ *
+ * @example
+ * recordKey({ email: 'a@b.com', name: 'A' }) === recordKey({ name: 'A', email: 'a@b.com' }); // true
+ */
+function recordKey(record) {
+    return JSON.stringify(Object.keys(record).sort().map(key => [key, record[key]]));
+}
+
+/**
+ * Collapse duplicates, remembering where each original item went
+ *
+ * @param {Array} items - Items to de-duplicate
+ * @param {Function} [keyFn] - Maps an item to its identity key (defaults to String)
+ * @returns {Object} { unique, positions } where unique[positions[i]] is the
+ *                   representative of items[i]
+ *
+ * @example
+ * dedupe(['a', 'b', 'a']);
+ * // returns { unique: ['a', 'b'], positions: [0, 1, 0] }
+ */
+function dedupe(items, keyFn = String) {
+    const indexByKey = new Map();
+    const unique = [];
+    const positions = items.map(item => {
+        const key = keyFn(item);
+        if (!indexByKey.has(key)) {
+            indexByKey.set(key, unique.length);
+            unique.push(item);
+        }
+        return indexByKey.get(key);
+    });
+    return { unique, positions };
+}
+
+/**
+ * Fan results for the unique items back out to every original position
+ *
+ * @param {number[]} positions - From dedupe: positions[i] is the unique index of item i
+ * @param {Array} results - Results (values or errors) for the unique items
+ * @param {Function} uniqueIndexOf - Maps a result to the index of its unique item
+ * @param {Function} [place] - (result, index) => the result as reported for original item `index`
+ * @returns {Array} Results in input order, repeated for every duplicate; results that
+ *                  match no item are kept once, at the end
+ *
+ * @example
+ * fanOut([0, 1, 0], [{ index: 0, error: 'bad' }], error => error.index, (error, index) => ({ ...error, index }));
+ * // returns [{ index: 0, error: 'bad' }, { index: 2, error: 'bad' }]
+ */
+function fanOut(positions, results, uniqueIndexOf, place = result => result) {
+    const byUnique = new Map();
+    const unmatched = [];
+    results.forEach(result => {
+        const uniqueIndex = uniqueIndexOf(result);
+        if (uniqueIndex === undefined) {
+            unmatched.push(result);
+            return;
+        }
+        if (!byUnique.has(uniqueIndex)) {
+            byUnique.set(uniqueIndex, []);
+        }
+        byUnique.get(uniqueIndex).push(result);
+    });
+    return [
+        ...positions.flatMap((uniqueIndex, index) => (byUnique.get(uniqueIndex) || []).map(result => place(result, index))),
+        ...unmatched
+    ];
+}
+
+/**
+ * Number of vault calls saved by sending `uniqueCount` instead of `inputCount` items
+ *
+ * @param {number} inputCount - Items in the original request
+ * @param {number} uniqueCount - Distinct items actually sent
+ * @param {number} batchSize - Items per vault call
+ * @returns {number} Vault calls avoided
+ */
+function callsSaved(inputCount, uniqueCount, batchSize) {
+    const size = Math.max(1, batchSize || 1);
+    return Math.ceil(inputCount / size) - Math.ceil(uniqueCount / size);
+}
+
+module.exports = {
+    recordKey,
+    dedupe,
+    fanOut,
+    callsSaved
+};
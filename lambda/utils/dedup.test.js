@@ -0,0 +1,61 @@
+/**
+ * Simple manual tests for de-duplication
+ * Run with: node lambda/utils/dedup.test.js
+ */
+
+const assert = require('node:assert');
+const { recordKey, dedupe, fanOut, callsSaved } = require('./dedup');
+
+console.log('=== Testing dedupe ===\n');
+
+// Test 1: Duplicate values collapse; positions point at the first occurrence
+console.log('Test 1: Duplicate values');
+const tokens = dedupe(['t1', 't2', 't1', 't3', 't2']);
+console.log('  Result:', JSON.stringify(tokens));
+assert.deepStrictEqual(tokens, { unique: ['t1', 't2', 't3'], positions: [0, 1, 0, 2, 1] });
+console.log('  ✓ Should be unique [t1, t2, t3] with positions [0, 1, 0, 2, 1]\n');
+
+// Test 2: Records match regardless of column order
+console.log('Test 2: Record keys');
+const records = dedupe([{ email: 'a', name: 'A' }, { name: 'A', email: 'a' }, { email: 'a' }], recordKey);
+console.log('  Unique:', records.unique.length, 'positions:', records.positions);
+assert.strictEqual(records.unique.length, 2);
+assert.deepStrictEqual(records.positions, [0, 0, 1]);
+console.log('  ✓ Should be 2 unique records with positions [0, 0, 1]\n');
+
+console.log('=== Testing fanOut ===\n');
+
+// Test 3: Values fanned out in input order, one per occurrence
+console.log('Test 3: Values in input order');
+const { unique, positions } = dedupe(['t1', 'nope', 't1', 'nope', 't2']);
+const indexByToken = new Map(unique.map((token, index) => [token, index]));
+const uniqueIndexOf = item => indexByToken.get(item.token);
+const values = fanOut(positions, [{ token: 't2', value: 'b' }, { token: 't1', value: 'a' }], uniqueIndexOf);
+console.log('  Values:', JSON.stringify(values));
+assert.deepStrictEqual(values.map(value => value.token), ['t1', 't1', 't2']);
+console.log('  ✓ Should be t1, t1, t2 (input order, failed token absent)\n');
+
+// Test 4: Errors reach every duplicate, re-indexed to the original position
+console.log('Test 4: Duplicate errors');
+const errors = fanOut(positions, [{ token: 'nope', error: 'not found' }, { error: 'batch failed' }], uniqueIndexOf);
+console.log('  Errors:', JSON.stringify(errors));
+assert.deepStrictEqual(errors, [
+    { token: 'nope', error: 'not found' },
+    { token: 'nope', error: 'not found' },
+    { error: 'batch failed' }
+]);
+const indexed = fanOut([0, 1, 0, 1], [{ index: 1, code: 'VAULT_BAD_REQUEST' }], error => error.index, (error, index) => ({ ...error, index }));
+console.log('  Indexed:', JSON.stringify(indexed));
+assert.deepStrictEqual(indexed, [{ index: 1, code: 'VAULT_BAD_REQUEST' }, { index: 3, code: 'VAULT_BAD_REQUEST' }]);
+console.log('  ✓ Should repeat the "nope" error twice, keep the unmatched error once, and re-index to 1 and 3\n');
+
+console.log('=== Testing callsSaved ===\n');
+
+// Test 5: Batches avoided
+console.log('Test 5: Calls saved');
+console.log('  Result:', callsSaved(100, 30, 25), callsSaved(10, 10, 25));
+assert.strictEqual(callsSaved(100, 30, 25), 2);
+assert.strictEqual(callsSaved(10, 10, 25), 0);
+console.log('  ✓ Should be 2 and 0\n');
+
+console.log('=== All tests completed ===');
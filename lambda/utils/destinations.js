@@ -0,0 +1,148 @@
+/**
+ * Result Destinations
+ *
+ * Where the SQS and Kinesis consumers (queue-handler.js) send the result of
+ * each message. Results contain vault data (tokens, or plaintext for
+ * detokenize), so destinations come from config only, never from messages.
+ *
+ * Destinations (config "queue": {"destination": {...}}):
+ * - sqs      - {"type": "sqs", "queueUrl": ...} reply queue (QUEUE_REPLY_QUEUE_URL);
+ *              FIFO queues get the message's group (or job id) as MessageGroupId
+ * - callback - {"type": "callback", "url": ..., "headers": {...}} HTTPS POST of the
+ *              result as JSON (QUEUE_CALLBACK_URL); any non-2xx status is a failure
+ * - memory   - in-process stand-in, read with drainMemoryReplies() (local development and tests)
+ *
+ * A failed delivery is thrown; the consumer retries it and decides whether the
+ * message is redelivered.
+ */
+
+const DESTINATION_TYPES = ['sqs', 'callback', 'memory'];
+
+// Shared by every MemoryDestination so replies from all invocations land in one queue
+const memoryReplies = [];
+
+/**
+ * Reply queue through the AWS SDK (v3, loaded on first use)
+ */
+class SqsDestination {
+    constructor(options = {}) {
+        this.queueUrl = options.queueUrl;
+        this.region = options.region || process.env.AWS_REGION;
+        this.sqs = null;
+    }
+
+    /**
+     * @param {Object} reply - Result to send
+     * @param {Object} [delivery] - { messageId, groupId } of the source message
+     */
+    async send(reply, delivery = {}) {
+        const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+        if (!this.sqs) {
+            this.sqs = new SQSClient({ region: this.region });
+        }
+        const fifo = this.queueUrl.endsWith('.fifo');
+        await this.sqs.send(new SendMessageCommand({
+            QueueUrl: this.queueUrl,
+            MessageBody: JSON.stringify(reply),
+            // Retried deliveries of the same source message are dropped by FIFO deduplication
+            MessageGroupId: fifo ? (delivery.groupId || reply.id || delivery.messageId) : undefined,
+            MessageDeduplicationId: fifo ? delivery.messageId : undefined
+        }));
+    }
+}
+
+/**
+ * HTTPS callback (Node's global fetch)
+ */
+class CallbackDestination {
+    constructor(options = {}) {
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    async send(reply, delivery = {}) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                ...this.headers,
+                'Content-Type': 'application/json',
+                'X-Skyflow-Message-Id': delivery.messageId || ''
+            },
+            body: JSON.stringify(reply),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Callback returned HTTP ${response.status}`);
+        }
+    }
+}
+
+class MemoryDestination {
+    async send(reply, delivery = {}) {
+        memoryReplies.push({ reply, delivery });
+    }
+}
+
+/**
+ * Check a destination from config
+ *
+ * @param {Object} destination - { type, queueUrl | url, headers }
+ * @param {string} [label] - Config path for error messages
+ * @throws {Error} If the destination is malformed
+ */
+function validateDestination(destination, label = 'queue.destination') {
+    if (!destination) {
+        throw new Error(`Missing required config: ${label}`);
+    }
+    if (!DESTINATION_TYPES.includes(destination.type)) {
+        throw new Error(`Invalid ${label}.type: ${destination.type}. Must be one of: ${DESTINATION_TYPES.join(', ')}`);
+    }
+    if (destination.type === 'sqs' && !destination.queueUrl) {
+        throw new Error(`Missing required config: ${label}.queueUrl`);
+    }
+    if (destination.type === 'callback') {
+        let url;
+        try {
+            url = new URL(destination.url);
+        } catch (error) {
+            throw new Error(`Invalid ${label}.url: must be an absolute URL`);
+        }
+        // Results can hold plaintext; plain HTTP only to this machine (local development)
+        if (url.protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(url.hostname)) {
+            throw new Error(`Invalid ${label}.url: must use https`);
+        }
+    }
+}
+
+/**
+ * Create the destination for a config entry
+ *
+ * @param {Object} destination - Validated destination config
+ * @returns {SqsDestination|CallbackDestination|MemoryDestination}
+ */
+function createDestination(destination) {
+    switch (destination.type) {
+        case 'sqs': return new SqsDestination(destination);
+        case 'callback': return new CallbackDestination(destination);
+        default: return new MemoryDestination();
+    }
+}
+
+/**
+ * Remove and return everything sent to memory destinations
+ *
+ * @returns {Array<Object>} { reply, delivery } in send order
+ */
+function drainMemoryReplies() {
+    return memoryReplies.splice(0, memoryReplies.length);
+}
+
+module.exports = {
+    SqsDestination,
+    CallbackDestination,
+    MemoryDestination,
+    validateDestination,
+    createDestination,
+    drainMemoryReplies
+};
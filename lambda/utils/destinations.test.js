@@ -0,0 +1,91 @@
+/**
+ * Simple manual tests for result destinations
+ * Run with: node lambda/utils/destinations.test.js
+ */
+
+const assert = require('node:assert');
+const http = require('http');
+const { validateDestination, createDestination, drainMemoryReplies } = require('./destinations');
+
+async function runTests() {
+    console.log('=== Testing validateDestination ===\n');
+
+    // Test 1: Malformed destinations
+    console.log('Test 1: Rejected destinations');
+    const invalid = [
+        undefined,
+        { type: 'email' },
+        { type: 'sqs' },
+        { type: 'callback', url: 'not a url' },
+        { type: 'callback', url: 'http://results.example.com/jobs' }
+    ];
+    for (const destination of invalid) {
+        assert.throws(() => validateDestination(destination), error => {
+            console.log('  Error:', error.message);
+            return true;
+        }, `Should have thrown for ${JSON.stringify(destination)}`);
+    }
+    console.log('  ✓ Should reject all 5 (missing, unknown type, no queueUrl, bad URL, plain HTTP)\n');
+
+    // Test 2: Accepted destinations
+    console.log('Test 2: Accepted destinations');
+    validateDestination({ type: 'sqs', queueUrl: 'https://sqs.us-east-1.amazonaws.com/123456789012/results' });
+    validateDestination({ type: 'callback', url: 'https://results.example.com/jobs' });
+    validateDestination({ type: 'callback', url: 'http://localhost:8080/jobs' });
+    validateDestination({ type: 'memory' });
+    console.log('  ✓ Should accept SQS, HTTPS callback, local HTTP callback and memory\n');
+
+    console.log('=== Testing destinations ===\n');
+
+    // Test 3: Memory destination
+    console.log('Test 3: Memory destination');
+    await createDestination({ type: 'memory' }).send({ id: 'job-1', success: true }, { messageId: 'm1' });
+    const replies = drainMemoryReplies();
+    console.log('  Replies:', JSON.stringify(replies), 'then', drainMemoryReplies().length);
+    assert.deepStrictEqual(replies, [{ reply: { id: 'job-1', success: true }, delivery: { messageId: 'm1' } }]);
+    assert.strictEqual(drainMemoryReplies().length, 0);
+    console.log('  ✓ Should return the reply with its delivery, then 0\n');
+
+    // Test 4: Callback posts JSON with the message ID; a non-2xx status fails
+    console.log('Test 4: Callback destination');
+    let status = 200;
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            console.log('  Received:', req.method, req.headers['x-skyflow-message-id'], req.headers.authorization, body);
+            received.push([req.method, req.headers['x-skyflow-message-id'], req.headers.authorization, JSON.parse(body)]);
+            res.statusCode = status;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const callback = createDestination({
+        type: 'callback',
+        url: `http://127.0.0.1:${server.address().port}/jobs`,
+        headers: { Authorization: 'Bearer test' }
+    });
+    await callback.send({ id: 'job-2', success: true }, { messageId: 'm2' });
+    status = 503;
+    try {
+        await callback.send({ id: 'job-3', success: true }, { messageId: 'm3' });
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  Error:', error.message);
+        assert.strictEqual(error.message, 'Callback returned HTTP 503');
+    }
+    server.close();
+    assert.deepStrictEqual(received, [
+        ['POST', 'm2', 'Bearer test', { id: 'job-2', success: true }],
+        ['POST', 'm3', 'Bearer test', { id: 'job-3', success: true }]
+    ]);
+    console.log('  ✓ Should POST both with message IDs and the Authorization header; the second fails with HTTP 503\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,281 @@
+/**
+ * Document Tokenization
+ *
+ * tokenize-document and detokenize-document: replace the values JSONPath
+ * mappings pick out of nested JSON documents (see jsonpath.js) and return the
+ * documents otherwise as they were sent.
+ *
+ * Mapping: { "<JSONPath>": "<table>.<column>" }, or just "<column>" for the
+ * request's table (X-Skyflow-Table):
+ *   { "$.customer.email": "customers.email", "$.payment.card.number": "cards.card_number" }
+ * detokenize-document only needs the paths, so it takes the same mapping or an array of paths.
+ *
+ * Tokenize builds one vault record per document and table from that table's
+ * mapped columns. When a path matches several values (wildcards), its n-th match
+ * goes into the document's n-th record for the table. All documents share one
+ * SkyflowClient.tokenize call per table. Detokenize sends the tokens of every
+ * document through a single SkyflowClient.detokenize call.
+ *
+ * Missing, null and empty-string values are left as they are. A document that
+ * cannot be fully processed is null in the results and reported in `errors` by
+ * its index, so no document comes back half tokenized.
+ *
+ * Every document's values are checked before anything is inserted, but Skyflow can
+ * still reject a document's record for one table after its records for other tables
+ * were inserted. Those records stay in the vault: the document's first error lists
+ * them in `inserted` ({ table, skyflow_id }) so the caller can delete them. If a
+ * whole tokenize call fails, the request fails and the records already inserted for
+ * earlier tables stay as well.
+ */
+
+const { ValidationError, rowError } = require('./errors');
+const { isNullValue } = require('./validation');
+const { parseJsonPath, matchJsonPath } = require('./jsonpath');
+
+/**
+ * Parse a tokenize-document mapping
+ *
+ * @param {Object} mapping - { JSONPath: "table.column" | "column" }
+ * @param {string|null} defaultTable - Table for columns given without one
+ * @returns {Array<Object>} { path, segments, table, column }; table is null if neither names one
+ * @throws {ValidationError} If the mapping or one of its paths is malformed
+ */
+function parseDocumentMapping(mapping, defaultTable) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+        throw new ValidationError('Missing or invalid field: mapping (must be an object of { JSONPath: "table.column" })');
+    }
+
+    const seen = new Set();
+    return Object.entries(mapping).map(([path, target]) => {
+        const separator = typeof target === 'string' ? target.indexOf('.') : -1;
+        const table = separator === -1 ? defaultTable : target.slice(0, separator);
+        const column = typeof target === 'string' ? target.slice(separator + 1) : '';
+        if (!column || (separator !== -1 && !table)) {
+            throw new ValidationError(`Invalid mapping for "${path}": must be "table.column" or "column"`);
+        }
+        const key = `${table}.${column}`;
+        if (seen.has(key)) {
+            throw new ValidationError(`Invalid mapping: more than one path maps to ${table ? key : `column "${column}"`}`);
+        }
+        seen.add(key);
+        return { path, segments: parsePath(path), table: table || null, column };
+    });
+}
+
+/**
+ * Parse the paths of a detokenize-document mapping
+ *
+ * @param {Object|Array<string>} mapping - Tokenize mapping (its targets are ignored) or array of JSONPaths
+ * @returns {Array<Object>} { path, segments }
+ * @throws {ValidationError} If the mapping or one of its paths is malformed
+ */
+function parseDocumentPaths(mapping) {
+    const paths = Array.isArray(mapping) ? mapping : (mapping && typeof mapping === 'object' ? Object.keys(mapping) : []);
+    if (paths.length === 0) {
+        throw new ValidationError('Missing or invalid field: mapping (must be an array of JSONPaths or an object keyed by JSONPath)');
+    }
+    return paths.map(path => ({ path, segments: parsePath(path) }));
+}
+
+function parsePath(path) {
+    try {
+        return parseJsonPath(path);
+    } catch (error) {
+        throw new ValidationError(`Invalid mapping: ${error.message}`);
+    }
+}
+
+/**
+ * Tokenize the mapped values of every document
+ *
+ * @param {SkyflowClient} client - Skyflow client
+ * @param {Object} target - { clusterId, vaultId, env }
+ * @param {Array<Object>} documents - Documents (not modified)
+ * @param {Array<Object>} entries - From parseDocumentMapping, every entry with a table
+ * @param {Object} [options] - SkyflowClient.tokenize options, e.g. { upsert: 'email' }
+ * @returns {Promise<Object>} { data, errors, retries, requestIds } - data holds the tokenized documents
+ *                            (null for failed ones); errors are { index, table?, code, error, inserted?, ... }
+ */
+async function tokenizeDocuments(client, target, documents, entries, options = {}) {
+    const { clusterId, vaultId, env } = target;
+    const data = documents.map(document => structuredClone(document));
+    const errors = [];
+    const failed = new Set();
+    const batches = new Map();
+
+    data.forEach((document, index) => {
+        let tables;
+        try {
+            tables = collectRecords(document, entries);
+        } catch (error) {
+            failed.add(index);
+            errors.push({ index, code: error.code, error: error.message });
+            return;
+        }
+        for (const [table, records] of tables) {
+            if (!batches.has(table)) {
+                batches.set(table, { records: [], owners: [] });
+            }
+            const batch = batches.get(table);
+            records.filter(Boolean).forEach(record => {
+                batch.records.push(record.fields);
+                batch.owners.push({ index, matches: record.matches, tokens: null });
+            });
+        }
+    });
+
+    let retries = 0;
+    const requestIds = [];
+    for (const [table, batch] of batches) {
+        const result = await client.tokenize(clusterId, vaultId, table, batch.records, { ...options, continueOnError: true }, env);
+        retries += result.retries || 0;
+        requestIds.push(...(result.requestIds || []));
+
+        (result.errors || []).forEach(error => {
+            failed.add(batch.owners[error.index].index);
+            errors.push({ ...error, index: batch.owners[error.index].index, table });
+        });
+        batch.owners.forEach((owner, position) => {
+            owner.tokens = result.data[position] || null;
+            if (!owner.tokens) {
+                failed.add(owner.index);
+            }
+        });
+    }
+
+    // Write tokens only once every table has succeeded for the document
+    for (const batch of batches.values()) {
+        batch.owners
+            .filter(owner => !failed.has(owner.index))
+            .forEach(owner => owner.matches.forEach(({ match, column }) => {
+                match.parent[match.key] = owner.tokens[column];
+            }));
+    }
+
+    // A failed document's records in the tables that succeeded are left in the vault
+    const inserted = new Map();
+    for (const [table, batch] of batches) {
+        batch.owners
+            .filter(owner => failed.has(owner.index) && owner.tokens)
+            .forEach(owner => {
+                const records = inserted.get(owner.index) || [];
+                records.push({ table, skyflow_id: owner.tokens.skyflow_id ?? owner.tokens.skyflowId ?? null });
+                inserted.set(owner.index, records);
+            });
+    }
+    inserted.forEach((records, index) => {
+        errors.find(error => error.index === index).inserted = records;
+    });
+
+    return finish(data, errors, failed, retries, requestIds);
+}
+
+/**
+ * Group one document's mapped values into vault records by table
+ *
+ * @returns {Map<string, Array<Object>>} table -> records { fields, matches } (sparse: n-th match)
+ * @throws {ValidationError} If a mapped value is an object or array
+ */
+function collectRecords(document, entries) {
+    const tables = new Map();
+    for (const { segments, table, column } of entries) {
+        matchJsonPath(document, segments).forEach((match, n) => {
+            if (isNullValue(match.value)) {
+                return;
+            }
+            if (typeof match.value === 'object') {
+                throw new ValidationError(`Value at ${match.path} must be a string, number or boolean to tokenize`);
+            }
+            if (!tables.has(table)) {
+                tables.set(table, []);
+            }
+            const records = tables.get(table);
+            records[n] = records[n] || { fields: {}, matches: [] };
+            records[n].fields[column] = match.value;
+            records[n].matches.push({ match, column });
+        });
+    }
+    return tables;
+}
+
+/**
+ * Detokenize the mapped tokens of every document
+ *
+ * @param {SkyflowClient} client - Skyflow client
+ * @param {Object} target - { clusterId, vaultId, env }
+ * @param {Array<Object>} documents - Documents (not modified)
+ * @param {Array<Object>} entries - From parseDocumentPaths
+ * @param {Object} [options] - SkyflowClient.detokenize options ({ redactionType })
+ * @returns {Promise<Object>} { data, errors, retries, requestIds } - data holds the detokenized documents
+ *                            (null for failed ones); errors are { index, path?, code, error, ... }
+ */
+async function detokenizeDocuments(client, target, documents, entries, options = {}) {
+    const { clusterId, vaultId, env } = target;
+    const data = documents.map(document => structuredClone(document));
+    const errors = [];
+    const failed = new Set();
+    const owners = [];
+
+    data.forEach((document, index) => {
+        const matches = [];
+        for (const { segments } of entries) {
+            for (const match of matchJsonPath(document, segments)) {
+                if (isNullValue(match.value)) {
+                    continue;
+                }
+                if (typeof match.value !== 'string') {
+                    failed.add(index);
+                    errors.push({ index, path: match.path, code: 'INVALID_REQUEST', error: `Value at ${match.path} must be a token string` });
+                    return;
+                }
+                matches.push(match);
+            }
+        }
+        owners.push({ index, matches });
+    });
+
+    const tokens = owners.flatMap(owner => owner.matches.map(match => match.value));
+    if (tokens.length === 0) {
+        return finish(data, errors, failed, 0, []);
+    }
+
+    const result = await client.detokenize(clusterId, vaultId, tokens, options, env);
+    const values = new Map(result.data.map(record => [String(record.token), record.value]));
+
+    owners.forEach(({ index, matches }) => {
+        const missing = matches.find(match => !values.has(match.value));
+        if (missing) {
+            // Failed tokens are absent from data; report the first one without echoing it
+            const cause = (result.errors || []).find(error => error.token === missing.value);
+            failed.add(index);
+            errors.push({
+                ...(cause ? rowError(index, cause) : { index, code: 'VAULT_ERROR', error: 'Token could not be detokenized' }),
+                path: missing.path
+            });
+            return;
+        }
+        matches.forEach(match => {
+            match.parent[match.key] = values.get(match.value);
+        });
+    });
+
+    return finish(data, errors, failed, result.retries || 0, result.requestIds || []);
+}
+
+/**
+ * Null out failed documents and order errors by document
+ */
+function finish(data, errors, failed, retries, requestIds) {
+    failed.forEach(index => {
+        data[index] = null;
+    });
+    errors.sort((a, b) => a.index - b.index);
+    return { data, errors: errors.length > 0 ? errors : null, retries, requestIds };
+}
+
+module.exports = {
+    parseDocumentMapping,
+    parseDocumentPaths,
+    tokenizeDocuments,
+    detokenizeDocuments
+};
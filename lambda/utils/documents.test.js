@@ -0,0 +1,136 @@
+/**
+ * Simple manual tests for document tokenization
+ * Run with: node lambda/utils/documents.test.js
+ */
+
+const assert = require('node:assert');
+const { parseDocumentMapping, parseDocumentPaths, tokenizeDocuments, detokenizeDocuments } = require('./documents');
+
+// Stand-in for SkyflowClient: "bad" values fail to tokenize, tokens of "bad" values fail to detokenize
+const client = {
+    calls: [],
+    async tokenize(clusterId, vaultId, table, records) {
+        this.calls.push(`tokenize ${table} x${records.length}`);
+        const errors = [];
+        const data = records.map((record, index) => {
+            if (Object.values(record).includes('bad')) {
+                errors.push({ index, code: 'VAULT_BAD_REQUEST', error: 'Invalid value' });
+                return null;
+            }
+            const tokens = Object.fromEntries(Object.entries(record).map(([column, value]) => [column, `tok_${table}_${value}`]));
+            return { ...tokens, skyflow_id: `${table}-${index}` };
+        });
+        return { data, errors: errors.length > 0 ? errors : null, retries: 0 };
+    },
+    async detokenize(clusterId, vaultId, tokens) {
+        this.calls.push(`detokenize x${tokens.length}`);
+        const data = tokens.filter(token => !token.endsWith('_bad')).map(token => ({ token, value: token.split('_').pop() }));
+        const errors = tokens.filter(token => token.endsWith('_bad')).map(token => ({ token, error: { http_code: 404, message: 'Token not found' } }));
+        return { data, errors: errors.length > 0 ? errors : null, retries: 0 };
+    }
+};
+const target = { clusterId: 'c1', vaultId: 'v1', env: 'PROD' };
+
+async function runTests() {
+    console.log('=== Testing parseDocumentMapping ===\n');
+
+    // Test 1: Tables from the mapping or the request
+    console.log('Test 1: Mapping targets');
+    const entries = parseDocumentMapping({ '$.customer.email': 'customers.email', '$.payment.card.number': 'cards.card_number', '$.customer.name': 'name' }, 'customers');
+    console.log('  Result:', entries.map(entry => `${entry.path} -> ${entry.table}.${entry.column}`));
+    console.log('  Without a default table:', parseDocumentMapping({ '$.name': 'name' }, null)[0].table);
+    assert.deepStrictEqual(entries.map(entry => `${entry.path} -> ${entry.table}.${entry.column}`),
+        ['$.customer.email -> customers.email', '$.payment.card.number -> cards.card_number', '$.customer.name -> customers.name']);
+    assert.strictEqual(parseDocumentMapping({ '$.name': 'name' }, null)[0].table, null);
+    console.log('  ✓ Should map name into the request table customers, then null\n');
+
+    // Test 2: Malformed mappings
+    console.log('Test 2: Rejected mappings');
+    [
+        [],
+        { '$.email': '' },
+        { '$.email': '.email' },
+        { '$.email': 'customers.email', "$['email']": 'customers.email' },
+        { 'email': 'customers.email' }
+    ].forEach(mapping => {
+        assert.throws(() => parseDocumentMapping(mapping, 'customers'), error => {
+            console.log(`  ${error.code}: ${error.message}`);
+            return error.code === 'INVALID_REQUEST';
+        }, `Should have thrown for ${JSON.stringify(mapping)}`);
+    });
+    console.log('  Detokenize paths:', parseDocumentPaths(['$.a', '$.b[*]']).map(entry => entry.path), parseDocumentPaths({ '$.c': 'customers.c' }).map(entry => entry.path));
+    assert.deepStrictEqual(parseDocumentPaths(['$.a', '$.b[*]']).map(entry => entry.path), ['$.a', '$.b[*]']);
+    assert.deepStrictEqual(parseDocumentPaths({ '$.c': 'customers.c' }).map(entry => entry.path), ['$.c']);
+    console.log('  ✓ Should reject all 5 with INVALID_REQUEST; detokenize takes an array or the mapping keys\n');
+
+    console.log('=== Testing tokenizeDocuments ===\n');
+
+    // Test 3: One tokenize call per table; wildcard matches become separate records
+    console.log('Test 3: Tokenize documents');
+    const documents = [
+        { id: 1, customer: { email: 'a@x.com', name: 'Ann' }, payment: { card: { number: '4111' } } },
+        { id: 2, customer: { email: 'b@x.com', name: null }, payment: { card: { number: 'bad' } } },
+        { id: 3, customer: { email: { nested: true } } },
+        { id: 4, note: 'no mapped fields' }
+    ];
+    client.calls = [];
+    const result = await tokenizeDocuments(client, target, documents, entries);
+    console.log('  Calls:', client.calls);
+    console.log('  Data:', JSON.stringify(result.data));
+    console.log('  Errors:', JSON.stringify(result.errors));
+    console.log('  Input unchanged:', documents[0].customer.email);
+    assert.deepStrictEqual(client.calls, ['tokenize customers x2', 'tokenize cards x2']);
+    assert.deepStrictEqual(result.data, [
+        { id: 1, customer: { email: 'tok_customers_a@x.com', name: 'tok_customers_Ann' }, payment: { card: { number: 'tok_cards_4111' } } },
+        null,
+        null,
+        { id: 4, note: 'no mapped fields' }
+    ]);
+    assert.deepStrictEqual(result.errors.map(error => [error.index, error.code, error.table]), [[1, 'VAULT_BAD_REQUEST', 'cards'], [2, 'INVALID_REQUEST', undefined]]);
+    assert.deepStrictEqual(result.errors[0].inserted, [{ table: 'customers', skyflow_id: 'customers-1' }]);
+    assert.strictEqual(result.errors[1].inserted, undefined);
+    assert.strictEqual(documents[0].customer.email, 'a@x.com');
+    console.log('  ✓ Should tokenize customers x2 and cards x2; document 1 fails in cards (its customers record listed as inserted), document 2 has an object value, document 3 comes back as sent\n');
+
+    // Test 4: n-th wildcard matches share a record
+    console.log('Test 4: Wildcards');
+    client.calls = [];
+    const cards = await tokenizeDocuments(client, target,
+        [{ cards: [{ number: '4111', expiry: '12/30' }, { number: '5500', expiry: '01/29' }] }],
+        parseDocumentMapping({ '$.cards[*].number': 'cards.number', '$.cards[*].expiry': 'cards.expiry' }, null));
+    console.log('  Calls:', client.calls);
+    console.log('  Data:', JSON.stringify(cards.data));
+    assert.deepStrictEqual(client.calls, ['tokenize cards x2']);
+    assert.deepStrictEqual(cards.data, [{ cards: [
+        { number: 'tok_cards_4111', expiry: 'tok_cards_12/30' },
+        { number: 'tok_cards_5500', expiry: 'tok_cards_01/29' }
+    ] }]);
+    console.log('  ✓ Should send one call with 2 records, each holding a number and its expiry\n');
+
+    console.log('=== Testing detokenizeDocuments ===\n');
+
+    // Test 5: One detokenize call for every document
+    console.log('Test 5: Detokenize documents');
+    client.calls = [];
+    const detokenized = await detokenizeDocuments(client, target, [
+        { customer: { email: 'tok_a@x.com' }, items: [{ card: 'tok_4111' }, { card: 'tok_5500' }] },
+        { customer: { email: 'tok_bad' } },
+        { customer: { email: 42 } },
+        { customer: {} }
+    ], parseDocumentPaths(['$.customer.email', '$.items[*].card']));
+    console.log('  Calls:', client.calls);
+    console.log('  Data:', JSON.stringify(detokenized.data));
+    console.log('  Errors:', JSON.stringify(detokenized.errors));
+    assert.deepStrictEqual(client.calls, ['detokenize x4']);
+    assert.deepStrictEqual(detokenized.data, [{ customer: { email: 'a@x.com' }, items: [{ card: '4111' }, { card: '5500' }] }, null, null, { customer: {} }]);
+    assert.deepStrictEqual(detokenized.errors.map(error => [error.index, error.code, error.path]),
+        [[1, 'VAULT_NOT_FOUND', '$.customer.email'], [2, 'INVALID_REQUEST', '$.customer.email']]);
+    console.log('  ✓ Should send 4 tokens in one call; document 1 fails with VAULT_NOT_FOUND at its path, document 2 is not a token\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
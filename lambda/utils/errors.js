@@ -0,0 +1,261 @@
+/**
+ * Error Utilities
+ *
+ * Typed errors with stable machine-readable codes and HTTP status mapping,
+ * plus the shared error response used by every route.
+ *
+ * Error response shape (all routes):
+ * {
+ *   "success": false,
+ *   "error": {
+ *     "code": "MISSING_HEADER",          // stable, machine-readable
+ *     "message": "Missing required header: X-Skyflow-Vault-ID",
+ *     "type": "ValidationError",
+ *     "http_code": 429,                  // Skyflow HTTP status (vault errors only)
+ *     "grpc_code": 8,                    // Skyflow gRPC status (vault errors only)
+ *     "details": [...],                  // Skyflow error details (vault errors only)
+ *     "request_ID": "...",               // Skyflow request ID, for support tickets
+ *     "batch": {...},                    // Which batch failed (multi-batch requests only)
+ *     "retries": 2                       // Retries made before giving up
+ *   }
+ * }
+ */
+
+const { SkyflowError } = require('skyflow-node');
+const { isRetryable } = require('./retry');
+const logger = require('./logger');
+
+/**
+ * Base class for errors returned to API callers
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} [options]
+     * @param {string} [options.code] - Stable machine-readable code (defaults to INTERNAL_ERROR)
+     * @param {number} [options.statusCode] - HTTP status returned to the caller (defaults to 500)
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'INTERNAL_ERROR';
+        this.statusCode = options.statusCode || 500;
+        if (options.cause) {
+            this.cause = options.cause;
+        }
+    }
+}
+
+/**
+ * Invalid request: missing/invalid headers, malformed body, failed validation (HTTP 400)
+ */
+class ValidationError extends ApiError {
+    constructor(message, code = 'INVALID_REQUEST') {
+        super(message, { code, statusCode: 400 });
+    }
+}
+
+/**
+ * Caller is not allowed to perform the request by the authorization policy (HTTP 403)
+ */
+class ForbiddenError extends ApiError {
+    constructor(message, code = 'ACCESS_DENIED') {
+        super(message, { code, statusCode: 403 });
+    }
+}
+
+/**
+ * Failure reported by (or while reaching) the Skyflow vault
+ * Keeps the Skyflow http_code, grpc_code, details and request_ID
+ */
+class VaultError extends ApiError {
+    /**
+     * @param {string} message - Human-readable message
+     * @param {Object} [skyflowDetails] - Skyflow error details ({http_code, grpc_code, details, request_ID})
+     * @param {Error} [cause] - Underlying SDK or network error
+     */
+    constructor(message, skyflowDetails = {}, cause) {
+        const { code, statusCode } = mapVaultStatus(skyflowDetails.http_code, cause);
+        super(message, { code, statusCode, cause });
+        this.httpCode = skyflowDetails.http_code;
+        this.grpcCode = skyflowDetails.grpc_code;
+        this.details = skyflowDetails.details;
+        this.requestId = skyflowDetails.request_ID;
+    }
+}
+
+/**
+ * Map a Skyflow HTTP status to a stable code and the status returned to the caller
+ *
+ * @param {number} [httpCode] - HTTP status reported by Skyflow
+ * @param {Error} [cause] - Underlying error (used when there is no HTTP status)
+ * @returns {Object} { code, statusCode }
+ */
+function mapVaultStatus(httpCode, cause) {
+    switch (Number(httpCode)) {
+        case 400: return { code: 'VAULT_BAD_REQUEST', statusCode: 400 };
+        case 401: return { code: 'VAULT_AUTH_FAILED', statusCode: 502 };  // Lambda's credential was rejected
+        case 403: return { code: 'VAULT_FORBIDDEN', statusCode: 403 };
+        case 404: return { code: 'VAULT_NOT_FOUND', statusCode: 404 };
+        case 409: return { code: 'VAULT_CONFLICT', statusCode: 409 };
+        case 429: return { code: 'VAULT_THROTTLED', statusCode: 429 };
+        case 408:
+        case 504: return { code: 'VAULT_TIMEOUT', statusCode: 504 };
+        case 500:
+        case 502:
+        case 503: return { code: 'VAULT_UNAVAILABLE', statusCode: 503 };
+    }
+    if (!httpCode && cause && isRetryable(cause)) {
+        return { code: 'VAULT_UNAVAILABLE', statusCode: 503 };
+    }
+    return { code: 'VAULT_ERROR', statusCode: 502 };
+}
+
+/**
+ * Wrap an error thrown by a Skyflow SDK call, keeping its Skyflow details
+ *
+ * @param {Error} error - Error thrown by the SDK (SkyflowError or network error)
+ * @param {string} prefix - Message prefix, e.g. 'Tokenization failed'
+ * @returns {ApiError} VaultError (or the error itself if it is already an ApiError)
+ *
+ * @example
+ * throw toVaultError(error, 'Tokenization failed');
+ */
+function toVaultError(error, prefix) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    const skyflowDetails = error instanceof SkyflowError ? (error.error || {}) : {};
+    const vaultError = new VaultError(`${prefix}: ${error.message}`, skyflowDetails, error);
+    if (error.retries !== undefined) {
+        vaultError.retries = error.retries;
+    }
+    return vaultError;
+}
+
+/**
+ * Normalize any error into an ApiError
+ * SkyflowErrors become VaultErrors, JSON parse failures become INVALID_BODY
+ *
+ * @param {Error} error - Any thrown error
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (error instanceof SkyflowError) {
+        return toVaultError(error, 'Skyflow request failed');
+    }
+    if (error instanceof SyntaxError) {
+        return new ValidationError(`Invalid JSON body: ${error.message}`, 'INVALID_BODY');
+    }
+    const apiError = new ApiError(error.message, { code: 'INTERNAL_ERROR', statusCode: 500, cause: error });
+    apiError.batch = error.batch;
+    return apiError;
+}
+
+/**
+ * Build the error body shared by all routes
+ *
+ * @param {Error} error - Any thrown error
+ * @returns {Object} { statusCode, body } where body is the parsed error envelope
+ */
+function errorBody(error) {
+    const apiError = toApiError(error);
+    return {
+        statusCode: apiError.statusCode,
+        body: {
+            success: false,
+            error: {
+                code: apiError.code,
+                message: apiError.message,
+                type: apiError.name,
+                http_code: apiError.httpCode,
+                grpc_code: apiError.grpcCode,
+                details: apiError.details,
+                request_ID: apiError.requestId,
+                batch: apiError.batch,
+                retries: apiError.retries
+            }
+        }
+    };
+}
+
+/**
+ * Log an error and build the API Gateway response for it
+ *
+ * @param {Error} error - Any thrown error
+ * @param {Object} [headers] - Response headers (defaults to JSON content type)
+ * @param {Function} [formatBody] - Maps the shared error body to a route's own shape (e.g. BigQuery's errorMessage)
+ * @returns {Object} Lambda proxy response with the shared error body
+ */
+function errorResponse(error, headers = { 'Content-Type': 'application/json' }, formatBody = body => body) {
+    const { statusCode, body } = errorBody(error);
+
+    if (body.error.request_ID || body.error.http_code) {
+        logger.error('Skyflow API error', {
+            code: body.error.code,
+            http_code: body.error.http_code,
+            grpc_code: body.error.grpc_code,
+            error_message: body.error.message,
+            details: body.error.details,
+            request_ID: body.error.request_ID  // Useful for support tickets
+        });
+    } else if (statusCode >= 500) {
+        logger.error('Application error', { error, stack: error.stack });
+    } else {
+        logger.warn('Request rejected', { code: body.error.code, error_message: body.error.message });
+    }
+
+    return {
+        statusCode: statusCode,
+        headers: headers,
+        body: JSON.stringify(formatBody(body))
+    };
+}
+
+/**
+ * Build a per-row error entry for partial failures (continueOnError)
+ *
+ * @param {number} index - Position of the failed row in the original request
+ * @param {Error|Object} error - SDK error, or a per-record error from an SDK response
+ * @returns {Object} { index, code, error, http_code, request_ID }
+ */
+function rowError(index, error) {
+    const skyflowDetails = error.error && typeof error.error === 'object' ? error.error : error;
+    const httpCode = skyflowDetails.http_code ?? skyflowDetails.httpCode;
+    return {
+        index: index,
+        code: mapVaultStatus(httpCode).code,
+        error: error.message || (typeof error.error === 'string' ? error.error : skyflowDetails.message),
+        http_code: httpCode,
+        request_ID: skyflowDetails.request_ID ?? skyflowDetails.requestId
+    };
+}
+
+/**
+ * Shorthand for a missing required header
+ *
+ * @param {string} header - Header name as callers send it, e.g. 'X-Skyflow-Table'
+ * @param {string} [note] - Optional qualifier, e.g. 'required for tokenize'
+ * @returns {ValidationError}
+ */
+function missingHeader(header, note) {
+    return new ValidationError(`Missing required header: ${header}${note ? ` (${note})` : ''}`, 'MISSING_HEADER');
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    ForbiddenError,
+    VaultError,
+    mapVaultStatus,
+    toVaultError,
+    toApiError,
+    errorBody,
+    errorResponse,
+    rowError,
+    missingHeader
+};
@@ -0,0 +1,228 @@
+/**
+ * Field Tokenization
+ *
+ * Tokenizes configured fields inside JSON documents (stream records, file rows)
+ * in place. Each document becomes one vault record, and all documents go through
+ * a single SkyflowClient.tokenize call so they share Skyflow batches.
+ *
+ * Field map: { "<path>": "<vault column>" }, where path is a dot-separated
+ * property path such as "user.email". An array or comma-separated list of paths
+ * maps each path to the column named by its last segment:
+ *   "email,user.phone"  ->  { "email": "email", "user.phone": "phone" }
+ *
+ * Tabular rows (CSV) are flat: with { flat: true } each path is one key, so a
+ * column named "contact.email" is read as is rather than as a nested path.
+ *
+ * Missing, null and empty-string fields are left as they are. A document whose
+ * fields cannot be tokenized is reported in `errors` by its index and left unchanged.
+ * Throttling, an unavailable vault and unavailable credentials are thrown instead:
+ * they are not faults of the documents, and the caller's retry can succeed.
+ */
+
+const { toApiError, VaultError } = require('./errors');
+const { isNullValue } = require('./validation');
+const { resolveProfile } = require('./profiles');
+const logger = require('./logger');
+
+/**
+ * Parse a field map from config
+ *
+ * @param {Object|Array|string} value - Field map, array of paths, or comma-separated paths (or JSON of either)
+ * @param {string} [label] - Config key for error messages
+ * @returns {Object} { path: column }
+ * @throws {Error} If the field map is empty or malformed
+ *
+ * @example
+ * parseFieldMap('email, user.phone');  // returns { email: 'email', 'user.phone': 'phone' }
+ */
+function parseFieldMap(value, label = 'fields') {
+    let fields = value;
+    if (typeof fields === 'string') {
+        const trimmed = fields.trim();
+        fields = trimmed.startsWith('{') || trimmed.startsWith('[')
+            ? JSON.parse(trimmed)
+            : trimmed.split(',').map(path => path.trim()).filter(Boolean);
+    }
+    if (Array.isArray(fields)) {
+        fields = Object.fromEntries(fields.map(path => [path, String(path).split('.').pop()]));
+    }
+
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+        throw new Error(`Invalid ${label}: must be a non-empty list of field paths or an object of { path: column }`);
+    }
+    for (const [path, column] of Object.entries(fields)) {
+        if (!path || path.split('.').some(segment => !segment)) {
+            throw new Error(`Invalid ${label}: "${path}" is not a valid field path`);
+        }
+        if (!column || typeof column !== 'string') {
+            throw new Error(`Invalid ${label}: column for "${path}" must be a string`);
+        }
+    }
+    const columns = Object.values(fields);
+    const repeated = columns.find((column, index) => columns.indexOf(column) !== index);
+    if (repeated) {
+        throw new Error(`Invalid ${label}: more than one path maps to column "${repeated}"`);
+    }
+    return fields;
+}
+
+/**
+ * Read a dot-separated path from a document
+ *
+ * @param {Object} document - Parsed JSON document
+ * @param {string} path - e.g. "user.email"
+ * @param {boolean} [flat] - Read path as a single key (tabular rows)
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function getPath(document, path, flat = false) {
+    const segments = flat ? [path] : path.split('.');
+    return segments.reduce((value, segment) =>
+        (value !== null && typeof value === 'object' ? value[segment] : undefined), document);
+}
+
+/**
+ * Replace the value at an existing dot-separated path (a single key when flat)
+ */
+function setPath(document, path, value, flat = false) {
+    const segments = flat ? [path] : path.split('.');
+    const parent = segments.slice(0, -1).reduce((node, segment) => node[segment], document);
+    parent[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Tokenize the mapped fields of every document, in place
+ *
+ * @param {Array<Object|null>} documents - Parsed documents (null entries are skipped)
+ * @param {Object} fieldMap - { path: column } from parseFieldMap
+ * @param {Object} target - { clusterId, vaultId, env, table }
+ * @param {SkyflowClient} client - Skyflow client
+ * @param {Object} [options] - Extra SkyflowClient.tokenize options, e.g. { upsert: 'email' },
+ *                            and flat: true for tabular rows (see getPath)
+ * @returns {Promise<Object>} { tokenized, errors, retries, requestIds } - tokenized counts documents sent to the vault;
+ *                            errors are { index, code, error, http_code, request_ID } by document index
+ * @throws {ApiError} If the vault is throttling or unavailable (429 or 5xx), for the whole call or any document
+ */
+async function tokenizeFields(documents, fieldMap, target, client, options = {}) {
+    const { clusterId, vaultId, env, table } = target;
+    const { flat, ...tokenizeOptions } = options;
+    const errors = [];
+    const pending = [];
+    const records = [];
+
+    documents.forEach((document, index) => {
+        if (document === null || typeof document !== 'object') {
+            return;
+        }
+        const record = {};
+        for (const [path, column] of Object.entries(fieldMap)) {
+            const value = getPath(document, path, flat);
+            if (isNullValue(value)) {
+                continue;
+            }
+            if (typeof value === 'object') {
+                errors.push({ index, code: 'INVALID_REQUEST', error: `Field ${path} must be a string, number or boolean to tokenize` });
+                return;
+            }
+            record[column] = value;
+        }
+        if (Object.keys(record).length > 0) {
+            pending.push(index);
+            records.push(record);
+        }
+    });
+
+    if (records.length === 0) {
+        return { tokenized: 0, errors, retries: 0, requestIds: [] };
+    }
+
+    let result;
+    try {
+        result = await client.tokenize(clusterId, vaultId, table, records, { ...tokenizeOptions, continueOnError: true }, env);
+    } catch (error) {
+        const apiError = toApiError(error);
+        if (isTransient(apiError.statusCode)) {
+            throw apiError;
+        }
+        // Nothing was tokenized: every pending document fails with the same error
+        logger.warn('Field tokenization failed', { code: apiError.code, documents: pending.length });
+        pending.forEach(index => errors.push({
+            index,
+            code: apiError.code,
+            error: apiError.message,
+            http_code: apiError.httpCode,
+            request_ID: apiError.requestId
+        }));
+        return { tokenized: 0, errors, retries: apiError.retries || error.retries || 0, requestIds: [] };
+    }
+
+    const transient = (result.errors || []).find(error => isTransient(error.http_code));
+    if (transient) {
+        throw new VaultError(`Field tokenization failed: ${transient.error}`, transient);
+    }
+
+    const failed = new Set();
+    (result.errors || []).forEach(error => {
+        failed.add(error.index);
+        errors.push({ ...error, index: pending[error.index] });
+    });
+
+    pending.forEach((index, position) => {
+        const tokens = result.data[position];
+        if (failed.has(position) || !tokens) {
+            return;
+        }
+        for (const [path, column] of Object.entries(fieldMap)) {
+            if (tokens[column] !== undefined && !isNullValue(getPath(documents[index], path, flat))) {
+                setPath(documents[index], path, tokens[column], flat);
+            }
+        }
+    });
+
+    return { tokenized: pending.length - failed.size, errors, retries: result.retries || 0, requestIds: result.requestIds || [] };
+}
+
+/**
+ * Whether a failure is the vault's rather than the document's (throttled, unavailable,
+ * timed out, or credentials that could not be loaded), so retrying later can succeed
+ */
+function isTransient(statusCode) {
+    return Number(statusCode) === 429 || Number(statusCode) >= 500;
+}
+
+/**
+ * Resolve the vault target of a field tokenization config section
+ * Called when config loads (so a bad section fails fast) and again per invocation.
+ *
+ * @param {Object} config - Loaded config ({ profiles, defaultProfile })
+ * @param {Object} section - { fields, profile, clusterId, vaultId, env, table }
+ * @param {string} label - Config section for error messages, e.g. 'firehose'
+ * @returns {Object} { profile, clusterId, vaultId, env, table }
+ * @throws {Error} If the profile is unknown or the cluster, vault or table is missing
+ */
+function resolveFieldTarget(config, section, label) {
+    let resolved;
+    try {
+        resolved = resolveProfile(config, {
+            profile: section.profile || null,
+            clusterId: section.clusterId || null,
+            vaultId: section.vaultId || null,
+            env: section.env || null,
+            table: section.table || null
+        });
+    } catch (error) {
+        throw new Error(`Invalid ${label}: ${error.message}`);
+    }
+    for (const key of ['clusterId', 'vaultId', 'table']) {
+        if (!resolved[key]) {
+            throw new Error(`Invalid ${label}: ${key} is required (set it or use a profile that supplies it)`);
+        }
+    }
+    return resolved;
+}
+
+module.exports = {
+    parseFieldMap,
+    getPath,
+    tokenizeFields,
+    resolveFieldTarget
+};
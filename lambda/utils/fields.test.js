@@ -0,0 +1,118 @@
+/**
+ * Simple manual tests for field tokenization
+ * Run with: node lambda/utils/fields.test.js
+ */
+
+const assert = require('node:assert');
+const { parseFieldMap, tokenizeFields } = require('./fields');
+const { VaultError } = require('./errors');
+const logger = require('./logger');
+
+logger.setLevel('off');
+
+// Stand-in for SkyflowClient.tokenize with continueOnError: records with "bad" values fail
+const client = {
+    calls: 0,
+    async tokenize(clusterId, vaultId, table, records) {
+        this.calls++;
+        const errors = [];
+        const data = records.map((record, index) => {
+            if (Object.values(record).includes('bad')) {
+                errors.push({ index, code: 'VAULT_BAD_REQUEST', error: 'Invalid value' });
+                return null;
+            }
+            return { skyflow_id: `id-${index}`, ...Object.fromEntries(Object.keys(record).map(column => [column, `tok-${record[column]}`])) };
+        });
+        return { data, errors: errors.length > 0 ? errors : null, retries: 0 };
+    }
+};
+const target = { clusterId: 'c1', vaultId: 'v1', env: 'PROD', table: 'users' };
+
+async function runTests() {
+    console.log('=== Testing parseFieldMap ===\n');
+
+    // Test 1: Path list and explicit map
+    console.log('Test 1: Field map forms');
+    console.log('  List:', parseFieldMap('email, user.phone'));
+    console.log('  JSON:', parseFieldMap('{"contact.mail": "email"}'));
+    assert.deepStrictEqual(parseFieldMap('email, user.phone'), { email: 'email', 'user.phone': 'phone' });
+    assert.deepStrictEqual(parseFieldMap('{"contact.mail": "email"}'), { 'contact.mail': 'email' });
+    console.log('  ✓ Should be { email: email, user.phone: phone } and { contact.mail: email }\n');
+
+    // Test 2: Two paths into one column
+    console.log('Test 2: Repeated column');
+    try {
+        parseFieldMap(['email', 'user.email']);
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  Error:', error.message);
+        assert.match(error.message, /column "email"/);
+        console.log('  ✓ Should reject column "email"\n');
+    }
+
+    console.log('=== Testing tokenizeFields ===\n');
+
+    // Test 3: All documents in one tokenize call; failures reported by document index
+    console.log('Test 3: Mixed documents');
+    const fields = parseFieldMap('email, user.phone');
+    const documents = [
+        { email: 'a@x.com', user: { phone: '555-0100' }, page: '/home' },
+        { page: '/about' },
+        null,
+        { email: 'bad', user: { phone: '555-0101' } },
+        { email: { nested: true } },
+        { email: '', user: { phone: '555-0102' } }
+    ];
+    const result = await tokenizeFields(documents, fields, target, client);
+    console.log('  Documents:', JSON.stringify(documents));
+    console.log('  Errors:', result.errors.map(error => `${error.index}:${error.code}`));
+    console.log('  Tokenized:', result.tokenized, 'tokenize calls:', client.calls);
+    assert.deepStrictEqual(documents, [
+        { email: 'tok-a@x.com', user: { phone: 'tok-555-0100' }, page: '/home' },
+        { page: '/about' },
+        null,
+        { email: 'bad', user: { phone: '555-0101' } },
+        { email: { nested: true } },
+        { email: '', user: { phone: 'tok-555-0102' } }
+    ]);
+    assert.deepStrictEqual(result.errors.map(error => `${error.index}:${error.code}`), ['4:INVALID_REQUEST', '3:VAULT_BAD_REQUEST']);
+    assert.strictEqual(result.tokenized, 2);
+    assert.strictEqual(client.calls, 1);
+    console.log('  ✓ Should tokenize 0 and 5 (empty email kept), leave 1 and 2, fail 4 (INVALID_REQUEST) and 3 (VAULT_BAD_REQUEST), in 1 call\n');
+
+    // Test 4: Whole call fails: rejected documents are reported, vault outages are thrown
+    console.log('Test 4: Vault rejects or is unavailable');
+    const rejecting = { async tokenize() { throw Object.assign(new VaultError('Tokenization failed: Invalid table', { http_code: 400 }), { retries: 0 }); } };
+    const failed = await tokenizeFields([{ email: 'a@x.com' }, { page: '/' }], fields, target, rejecting);
+    console.log('  Errors:', failed.errors.map(error => `${error.index}:${error.code}`));
+    assert.deepStrictEqual(failed.errors.map(error => `${error.index}:${error.code}`), ['0:VAULT_BAD_REQUEST']);
+    const down = { async tokenize() { throw Object.assign(new VaultError('Tokenization failed: Service unavailable', { http_code: 503 }), { retries: 2 }); } };
+    const throttledRow = {
+        async tokenize(clusterId, vaultId, table, records) {
+            return { data: records.map(() => null), errors: [{ index: 0, code: 'VAULT_THROTTLED', error: 'Too many requests', http_code: 429 }], retries: 0 };
+        }
+    };
+    for (const [label, stub, code] of [['Down', down, 'VAULT_UNAVAILABLE'], ['Throttled row', throttledRow, 'VAULT_THROTTLED']]) {
+        await assert.rejects(tokenizeFields([{ email: 'a@x.com' }], fields, target, stub), error => {
+            console.log(`  ${label}:`, error.code, error.message);
+            return error.code === code;
+        });
+    }
+    console.log('  ✓ Should report document 0 as VAULT_BAD_REQUEST, then throw VAULT_UNAVAILABLE and VAULT_THROTTLED\n');
+
+    // Test 5: Tabular rows are read by whole column name
+    console.log('Test 5: Flat keys');
+    const rows = [{ 'contact.email': 'a@x.com', contact: 'Ann' }];
+    const flat = await tokenizeFields(rows, parseFieldMap('{"contact.email": "email"}'), target, client, { flat: true });
+    console.log('  Rows:', JSON.stringify(rows));
+    assert.deepStrictEqual(rows, [{ 'contact.email': 'tok-a@x.com', contact: 'Ann' }]);
+    assert.strictEqual(flat.tokenized, 1);
+    console.log('  ✓ Should tokenize the "contact.email" column and leave "contact" as it is\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,108 @@
+/**
+ * JSONPath
+ *
+ * The subset of JSONPath used to pick values out of documents
+ * (tokenize-document and detokenize-document):
+ *   $.customer.email          properties
+ *   $['billing-address'].zip  bracketed property names (single or double quotes)
+ *   $.items[0].sku            array indexes
+ *   $.items[*].card.number    every array element (or every property of an object)
+ *   $.contacts.*              same as [*]
+ *
+ * Recursive descent (..), filters, slices and negative indexes are rejected,
+ * so a path only ever matches locations the caller can see in the document.
+ */
+
+// Matches every element or property at its position in a path
+const WILDCARD = Symbol('*');
+
+/**
+ * Parse a JSONPath expression into segments
+ *
+ * @param {string} path - e.g. "$.items[*].card.number"
+ * @returns {Array<string|number|symbol>} Property names, array indexes and WILDCARD
+ * @throws {Error} If the path is malformed or uses unsupported syntax
+ *
+ * @example
+ * parseJsonPath("$.items[0]['card-number']");  // returns ['items', 0, 'card-number']
+ */
+function parseJsonPath(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        throw new Error(`JSONPath "${path}" must start with $`);
+    }
+
+    const segments = [];
+    let position = 1;
+    while (position < path.length) {
+        const rest = path.slice(position);
+        let match;
+        if (rest.startsWith('..')) {
+            throw new Error(`JSONPath "${path}" uses recursive descent (..), which is not supported`);
+        } else if ((match = /^\.(\*|[^.[\]\s'"]+)/.exec(rest))) {
+            segments.push(match[1] === '*' ? WILDCARD : match[1]);
+        } else if ((match = /^\[\*\]/.exec(rest))) {
+            segments.push(WILDCARD);
+        } else if ((match = /^\[(\d+)\]/.exec(rest))) {
+            segments.push(Number(match[1]));
+        } else if ((match = /^\['((?:[^'\\]|\\.)*)'\]/.exec(rest)) || (match = /^\["((?:[^"\\]|\\.)*)"\]/.exec(rest))) {
+            segments.push(match[1].replace(/\\(.)/g, '$1'));
+        } else {
+            throw new Error(`JSONPath "${path}" has an unsupported expression at "${rest}"`);
+        }
+        position += match[0].length;
+    }
+
+    if (segments.length === 0) {
+        throw new Error(`JSONPath "${path}" must select a property or element, not the whole document`);
+    }
+    return segments;
+}
+
+/**
+ * Find every location a parsed path matches in a document
+ * Only existing locations match; nothing is created.
+ *
+ * @param {*} document - Parsed JSON document
+ * @param {Array<string|number|symbol>} segments - From parseJsonPath
+ * @returns {Array<Object>} { path, parent, key, value } in document order;
+ *                          path is the concrete location, e.g. "$.items[1].sku"
+ */
+function matchJsonPath(document, segments) {
+    let matches = [{ path: '$', parent: null, key: null, value: document }];
+
+    for (const segment of segments) {
+        const next = [];
+        for (const { path, value: node } of matches) {
+            if (node === null || typeof node !== 'object') {
+                continue;
+            }
+            let keys;
+            if (segment === WILDCARD) {
+                keys = Array.isArray(node) ? node.map((_, index) => index) : Object.keys(node);
+            } else if (typeof segment === 'number') {
+                keys = Array.isArray(node) && segment < node.length ? [segment] : [];
+            } else {
+                keys = !Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, segment) ? [segment] : [];
+            }
+            keys.forEach(key => next.push({ path: path + formatSegment(key), parent: node, key, value: node[key] }));
+        }
+        matches = next;
+    }
+
+    return matches;
+}
+
+/**
+ * Path suffix for one concrete key: .name, ['odd name'] or [index]
+ */
+function formatSegment(key) {
+    if (typeof key === 'number') {
+        return `[${key}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `['${key.replace(/['\\]/g, '\\$&')}']`;
+}
+
+module.exports = {
+    parseJsonPath,
+    matchJsonPath
+};
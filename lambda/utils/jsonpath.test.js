@@ -0,0 +1,63 @@
+/**
+ * Simple manual tests for JSONPath matching
+ * Run with: node lambda/utils/jsonpath.test.js
+ */
+
+const assert = require('node:assert');
+const { parseJsonPath, matchJsonPath } = require('./jsonpath');
+
+console.log('=== Testing parseJsonPath ===\n');
+
+// Test 1: Supported forms
+console.log('Test 1: Supported forms');
+console.log('  Dots:', parseJsonPath('$.customer.email'));
+console.log('  Brackets:', parseJsonPath("$['billing-address'][\"zip\"]"));
+console.log('  Wildcards:', parseJsonPath('$.items[*].card.*').map(String));
+assert.deepStrictEqual(parseJsonPath('$.customer.email'), ['customer', 'email']);
+assert.deepStrictEqual(parseJsonPath("$['billing-address'][\"zip\"]"), ['billing-address', 'zip']);
+assert.deepStrictEqual(parseJsonPath('$.items[*].card.*').map(String), ['items', 'Symbol(*)', 'card', 'Symbol(*)']);
+console.log('  ✓ Should be [customer, email], [billing-address, zip] and [items, Symbol(*), card, Symbol(*)]\n');
+
+// Test 2: Rejected paths
+console.log('Test 2: Rejected paths');
+['customer.email', '$', '$..email', '$.items[?(@.sku)]', '$.items[-1]', '$.items[0:2]'].forEach(path => {
+    assert.throws(() => parseJsonPath(path), error => {
+        console.log('  Error:', error.message);
+        return true;
+    }, `Should have thrown for ${path}`);
+});
+console.log('  ✓ Should reject all 6 (no $, whole document, recursive descent, filter, negative index, slice)\n');
+
+console.log('=== Testing matchJsonPath ===\n');
+
+const order = {
+    customer: { email: 'a@x.com', 'home phone': '555-0100' },
+    items: [
+        { card: { number: '4111' } },
+        { card: { number: '5500' } },
+        { gift: true }
+    ]
+};
+
+// Test 3: Concrete locations
+console.log('Test 3: Matches');
+const show = path => matchJsonPath(order, parseJsonPath(path)).map(match => `${match.path}=${JSON.stringify(match.value)}`);
+console.log('  Property:', show('$.customer.email'));
+console.log('  Quoted name:', show("$.customer['home phone']"));
+console.log('  Wildcard:', show('$.items[*].card.number'));
+console.log('  Missing:', show('$.payment.card'), show('$.items[5]'), show('$.customer[0]'));
+assert.deepStrictEqual(show('$.customer.email'), ['$.customer.email="a@x.com"']);
+assert.deepStrictEqual(show("$.customer['home phone']"), ['$.customer[\'home phone\']="555-0100"']);
+assert.deepStrictEqual(show('$.items[*].card.number'), ['$.items[0].card.number="4111"', '$.items[1].card.number="5500"']);
+assert.deepStrictEqual([show('$.payment.card'), show('$.items[5]'), show('$.customer[0]')], [[], [], []]);
+console.log("  ✓ Should be $.customer.email, $.customer['home phone'], two card numbers (item 2 has no card) and three empty lists\n");
+
+// Test 4: Matches can be written back
+console.log('Test 4: Write through a match');
+const [match] = matchJsonPath(order, parseJsonPath('$.items[1].card.number'));
+match.parent[match.key] = 'tok_5500';
+console.log('  Result:', JSON.stringify(order.items[1]));
+assert.deepStrictEqual(order.items[1], { card: { number: 'tok_5500' } });
+console.log('  ✓ Should be {"card":{"number":"tok_5500"}}\n');
+
+console.log('=== All tests completed ===');
@@ -0,0 +1,126 @@
+/**
+ * Local Detect Service
+ *
+ * In-memory stand-in for Skyflow Detect used for local development and tests
+ * (enable with SKYFLOW_DETECT_PROVIDER=local or "detect": {"provider": "local"}).
+ * Finds a small set of PII entities with regular expressions and keeps the
+ * token -> value mapping in memory so text can be re-identified.
+ *
+ * Not for production: values are held in process memory, not in a vault.
+ */
+
+const crypto = require('crypto');
+
+// Order matters: more specific patterns first so they claim overlapping spans
+const ENTITY_PATTERNS = {
+    EMAIL_ADDRESS: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    SSN: /\b\d{3}-\d{2}-\d{4}\b/g,
+    CREDIT_CARD: /\b(?:\d[ -]?){13,16}\b/g,
+    PHONE_NUMBER: /(?:\+?1[ .-]?)?\(?\b\d{3}\)?[ .-]?\d{3}[ .-]?\d{4}\b/g
+};
+
+const TOKEN_PATTERN = /\[([A-Z_]+?)(?:_([A-Za-z0-9-]+))?\]/g;
+
+class LocalDetectService {
+    constructor() {
+        this.values = new Map();
+        this.counters = {};
+    }
+
+    /**
+     * Replace PII entities in text with placeholders
+     *
+     * @param {string} text - Text to de-identify
+     * @param {Object} options
+     * @param {Array<string>} [options.entities] - Entity types to detect (defaults to all supported)
+     * @param {string} [options.tokenType] - VAULT_TOKEN (default), ENTITY_ONLY or ENTITY_UNIQUE_COUNTER
+     * @returns {Promise<Object>} { processedText, entities: [{ entity, token, value, textIndex, processedIndex }] }
+     */
+    async deidentifyText(text, options = {}) {
+        const entityTypes = options.entities || Object.keys(ENTITY_PATTERNS);
+        const tokenType = options.tokenType || 'VAULT_TOKEN';
+
+        const matches = [];
+        for (const entity of entityTypes) {
+            const pattern = ENTITY_PATTERNS[entity];
+            if (!pattern) {
+                continue;
+            }
+            for (const match of text.matchAll(pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (!matches.some(m => start < m.end && end > m.start)) {
+                    matches.push({ entity, value: match[0], start, end });
+                }
+            }
+        }
+        matches.sort((a, b) => a.start - b.start);
+
+        let processedText = '';
+        let cursor = 0;
+        const entities = matches.map(match => {
+            const token = this._placeholder(match.entity, match.value, tokenType);
+            processedText += text.slice(cursor, match.start);
+            const processedStart = processedText.length;
+            processedText += token;
+            cursor = match.end;
+            return {
+                entity: match.entity,
+                token: token,
+                value: match.value,
+                textIndex: { start: match.start, end: match.end },
+                processedIndex: { start: processedStart, end: processedText.length }
+            };
+        });
+        processedText += text.slice(cursor);
+
+        return { processedText, entities };
+    }
+
+    /**
+     * Restore values for vault-token placeholders
+     *
+     * @param {string} text - De-identified text
+     * @param {Object} options
+     * @param {string} [options.redactionType] - PLAIN_TEXT, MASKED or REDACTED (defaults to PLAIN_TEXT)
+     * @param {Array<string>} [options.entities] - Entity types to restore (others are left as placeholders)
+     * @returns {Promise<Object>} { processedText }
+     */
+    async reidentifyText(text, options = {}) {
+        const redactionType = options.redactionType || 'PLAIN_TEXT';
+
+        const processedText = text.replace(TOKEN_PATTERN, (placeholder, entity) => {
+            const value = this.values.get(placeholder);
+            if (value === undefined || (options.entities && !options.entities.includes(entity))) {
+                return placeholder;
+            }
+            if (redactionType === 'REDACTED') {
+                return `[${entity}]`;
+            }
+            if (redactionType === 'MASKED') {
+                return value.length <= 4 ? '*'.repeat(value.length) : '*'.repeat(value.length - 4) + value.slice(-4);
+            }
+            return value;
+        });
+
+        return { processedText };
+    }
+
+    _placeholder(entity, value, tokenType) {
+        if (tokenType === 'ENTITY_ONLY') {
+            return `[${entity}]`;
+        }
+        if (tokenType === 'ENTITY_UNIQUE_COUNTER') {
+            this.counters[entity] = (this.counters[entity] || 0) + 1;
+            return `[${entity}_${this.counters[entity]}]`;
+        }
+        const token = `[${entity}_${crypto.randomUUID()}]`;
+        this.values.set(token, value);
+        return token;
+    }
+}
+
+module.exports = {
+    LocalDetectService,
+    SUPPORTED_ENTITIES: Object.keys(ENTITY_PATTERNS)
+};
@@ -0,0 +1,62 @@
+/**
+ * Simple manual tests for the local Detect stand-in
+ * Run with: node lambda/utils/local-detect.test.js
+ */
+
+const assert = require('node:assert');
+const { LocalDetectService } = require('./local-detect');
+
+async function main() {
+    const detect = new LocalDetectService();
+    const text = 'Reach Jane at jane@example.com or 555-123-4567. SSN 123-45-6789.';
+
+    console.log('=== Testing deidentifyText ===\n');
+
+    // Test 1: Vault tokens replace every entity
+    console.log('Test 1: Vault tokens (default)');
+    const vault = await detect.deidentifyText(text);
+    console.log('  processedText:', vault.processedText);
+    console.log('  entities:', vault.entities.map(e => e.entity).join(', '));
+    assert.doesNotMatch(vault.processedText, /jane@example\.com|555-123-4567|123-45-6789/);
+    assert.deepStrictEqual(vault.entities.map(e => e.entity), ['EMAIL_ADDRESS', 'PHONE_NUMBER', 'SSN']);
+    console.log('  ✓ Should contain no email, phone or SSN and list EMAIL_ADDRESS, PHONE_NUMBER, SSN\n');
+
+    // Test 2: Entity filter and counter placeholders
+    console.log('Test 2: Entity filter with unique counters');
+    const counted = await detect.deidentifyText(text, { entities: ['EMAIL_ADDRESS'], tokenType: 'ENTITY_UNIQUE_COUNTER' });
+    console.log('  processedText:', counted.processedText);
+    assert.strictEqual(counted.processedText, 'Reach Jane at [EMAIL_ADDRESS_1] or 555-123-4567. SSN 123-45-6789.');
+    console.log('  ✓ Should replace only the email with [EMAIL_ADDRESS_1]\n');
+
+    console.log('=== Testing reidentifyText ===\n');
+
+    // Test 3: Round trip under each redaction level
+    console.log('Test 3: Round trip');
+    const plain = (await detect.reidentifyText(vault.processedText)).processedText;
+    console.log('  PLAIN_TEXT:', plain);
+    assert.strictEqual(plain, text);
+    console.log('  ✓ Should equal the original text');
+    const masked = (await detect.reidentifyText(vault.processedText, { redactionType: 'MASKED' })).processedText;
+    console.log('  MASKED:', masked);
+    assert.strictEqual(masked, 'Reach Jane at ************.com or ********4567. SSN *******6789.');
+    console.log('  ✓ Should show only the last four characters of each value');
+    const redacted = (await detect.reidentifyText(vault.processedText, { redactionType: 'REDACTED' })).processedText;
+    console.log('  REDACTED:', redacted);
+    assert.strictEqual(redacted, 'Reach Jane at [EMAIL_ADDRESS] or [PHONE_NUMBER]. SSN [SSN].');
+    console.log('  ✓ Should show [EMAIL_ADDRESS], [PHONE_NUMBER], [SSN]\n');
+
+    // Test 4: Entity-only placeholders cannot be reversed
+    console.log('Test 4: Entity-only placeholders stay as-is');
+    const entityOnly = await detect.deidentifyText(text, { tokenType: 'ENTITY_ONLY' });
+    const reidentified = (await detect.reidentifyText(entityOnly.processedText)).processedText;
+    console.log('  reidentified:', reidentified);
+    assert.strictEqual(reidentified, 'Reach Jane at [EMAIL_ADDRESS] or [PHONE_NUMBER]. SSN [SSN].');
+    console.log('  ✓ Should still contain [EMAIL_ADDRESS]\n');
+
+    console.log('✅ All local Detect tests completed!');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,218 @@
+/**
+ * Logger
+ *
+ * PII-safe structured logger used by every module in lambda/. Each line is
+ * one JSON object with the level, message, current request ID and route, plus
+ * any fields passed in. Before writing, every string is scrubbed:
+ * - SQL literals ('...' strings and numbers after comparisons) in `query`/`sql`
+ *   fields and in anything that looks like a SQL statement
+ * - Token-like strings (UUIDs) outside request ID fields
+ * - Emails, SSNs, card numbers (Luhn-checked) and phone numbers
+ * Fields that carry request payloads (records, tokens, values, text, body, ...)
+ * are never written, only their size.
+ *
+ * Level: LOG_LEVEL env var or "logLevel" in skyflow-config.json
+ * (debug, info, warn, error, off; defaults to info)
+ *
+ * @example
+ * logger.setContext({ requestId: context.awsRequestId, route: '/process' });
+ * logger.info('Detokenize', { cluster: clusterId, vault: vaultId, count: tokens.length });
+ * logger.error('Detokenize failed', { error });
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'off'];
+
+const CONSOLE_METHODS = {
+    debug: 'log',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+};
+
+// Request payload fields: only their size is logged
+const PAYLOAD_KEYS = ['records', 'tokens', 'token', 'values', 'value', 'fields', 'text', 'texts', 'body', 'data', 'rows', 'plaintext'];
+
+// Fields whose UUIDs are identifiers, not vault tokens
+const IDENTIFIER_KEYS = /^(request_?id|requestId|awsRequestId|lambda_request_id|request_ids?)$/i;
+
+const SQL_KEYS = ['query', 'sql'];
+const SQL_STATEMENT = /\b(select|update|delete|insert)\b[\s\S]*\b(from|set|into|where)\b/i;
+const SQL_STRING_LITERAL = /'(?:[^']|'')*'/g;
+const SQL_NUMBER_LITERAL = /((?:=|<>|!=|<=|>=|<|>|\bin\s*\(|,)\s*)-?\d+(?:\.\d+)?\b/gi;
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const SSN_PATTERN = /\b\d{3}-\d{2}-\d{4}\b/g;
+const CARD_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+const PHONE_PATTERN = /(?:\+?1[ .-]?)?\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/g;
+
+let currentLevel = normalizeLevel(process.env.LOG_LEVEL) || 'info';
+let context = {};
+
+function normalizeLevel(level) {
+    const normalized = String(level || '').toLowerCase();
+    return LEVELS.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Set the minimum level written
+ *
+ * @param {string} level - debug, info, warn, error or off
+ */
+function setLevel(level) {
+    const normalized = normalizeLevel(level);
+    if (!normalized) {
+        throw new Error(`Invalid log level: ${level}. Must be one of: ${LEVELS.join(', ')}`);
+    }
+    currentLevel = normalized;
+}
+
+function getLevel() {
+    return currentLevel;
+}
+
+/**
+ * Set fields added to every line until the next call (request ID, route)
+ * Lambda runs one invocation at a time per container, so module state is safe.
+ *
+ * @param {Object} fields - e.g. { requestId, route }
+ */
+function setContext(fields) {
+    context = { ...fields };
+}
+
+function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Remove SQL literals from a statement
+ *
+ * @param {string} sql - SQL text
+ * @returns {string} SQL with string and numeric literals replaced by ?
+ *
+ * @example
+ * scrubSql("SELECT * FROM t WHERE email = 'a@b.com' AND age > 30");
+ * // returns "SELECT * FROM t WHERE email = ? AND age > ?"
+ */
+function scrubSql(sql) {
+    return sql.replace(SQL_STRING_LITERAL, '?').replace(SQL_NUMBER_LITERAL, '$1?');
+}
+
+/**
+ * Scrub a string for logging
+ *
+ * @param {string} text - Any string
+ * @param {Object} [options]
+ * @param {boolean} [options.sql] - Treat as SQL even if it does not look like a statement
+ * @param {boolean} [options.identifier] - Keep UUIDs (request IDs)
+ * @returns {string} Scrubbed string
+ */
+function scrubString(text, options = {}) {
+    let scrubbed = text;
+    if (options.sql || SQL_STATEMENT.test(scrubbed)) {
+        scrubbed = scrubSql(scrubbed);
+    }
+    if (!options.identifier) {
+        scrubbed = scrubbed.replace(UUID_PATTERN, '[TOKEN]');
+    }
+    return scrubbed
+        .replace(EMAIL_PATTERN, '[EMAIL]')
+        .replace(SSN_PATTERN, '[SSN]')
+        .replace(CARD_PATTERN, match => luhnValid(match.replace(/\D/g, '')) ? '[CARD]' : match)
+        .replace(PHONE_PATTERN, '[PHONE]');
+}
+
+/**
+ * Recursively scrub a value for logging
+ *
+ * @param {*} value - String, error, array or object
+ * @param {string} [key] - Field name the value is logged under
+ * @returns {*} JSON-safe scrubbed copy
+ */
+function scrub(value, key, depth = 0) {
+    if (value === null || value === undefined || typeof value === 'number' || typeof value === 'boolean') {
+        return value;
+    }
+    if (key && PAYLOAD_KEYS.includes(key)) {
+        return Array.isArray(value) ? `[REDACTED ${value.length} items]` : '[REDACTED]';
+    }
+    if (typeof value === 'string') {
+        return scrubString(value, {
+            sql: !!key && SQL_KEYS.includes(key),
+            identifier: !!key && IDENTIFIER_KEYS.test(key)
+        });
+    }
+    if (value instanceof Error) {
+        return scrub(serializeError(value), key, depth);
+    }
+    if (depth >= 5) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => scrub(item, key, depth + 1));
+    }
+    if (typeof value === 'object') {
+        const result = {};
+        for (const [field, fieldValue] of Object.entries(value)) {
+            result[field] = scrub(fieldValue, field, depth + 1);
+        }
+        return result;
+    }
+    return String(value);
+}
+
+function serializeError(error) {
+    const skyflowDetails = error.error && typeof error.error === 'object' ? error.error : {};
+    return {
+        type: error.name,
+        message: error.message,
+        code: error.code,
+        http_code: skyflowDetails.http_code ?? error.httpCode,
+        grpc_code: skyflowDetails.grpc_code ?? error.grpcCode,
+        request_ID: skyflowDetails.request_ID ?? error.requestId,
+        stack: currentLevel === 'debug' ? error.stack : undefined
+    };
+}
+
+function write(level, message, fields) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(currentLevel)) {
+        return;
+    }
+    const text = scrubString(String(message));
+    const line = {
+        timestamp: new Date().toISOString(),
+        level: level,
+        message: text,
+        ...context,
+        ...scrub(fields || {})
+    };
+    // Fields never replace the level or message
+    line.level = level;
+    line.message = text;
+    console[CONSOLE_METHODS[level]](JSON.stringify(line));
+}
+
+module.exports = {
+    LEVELS,
+    setLevel,
+    getLevel,
+    setContext,
+    scrub,
+    scrubSql,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,76 @@
+/**
+ * Simple manual tests for the PII-safe logger
+ * Run with: node lambda/utils/logger.test.js
+ */
+
+const assert = require('node:assert');
+const logger = require('./logger');
+
+console.log('=== Testing scrubSql ===\n');
+
+// Test 1: String and numeric literals removed, structure kept
+console.log('Test 1: SQL literals');
+const sql = logger.scrubSql("SELECT * FROM customers WHERE email = 'jane@example.com' AND age > 30 AND id IN (1, 2)");
+console.log('  Result:', sql);
+assert.strictEqual(sql, 'SELECT * FROM customers WHERE email = ? AND age > ? AND id IN (?, ?)');
+console.log('  ✓ Should be: SELECT * FROM customers WHERE email = ? AND age > ? AND id IN (?, ?)\n');
+
+console.log('=== Testing scrub ===\n');
+
+// Test 2: PII patterns in free text
+console.log('Test 2: PII in messages');
+const message = logger.scrub('Invalid value jane@example.com / 123-45-6789 / 4111 1111 1111 1111 / (555) 123-4567');
+console.log('  Result:', message);
+assert.strictEqual(message, 'Invalid value [EMAIL] / [SSN] / [CARD] / [PHONE]');
+console.log('  ✓ Should show [EMAIL] / [SSN] / [CARD] / [PHONE]\n');
+
+// Test 3: Tokens scrubbed, request IDs kept
+console.log('Test 3: Tokens vs request IDs');
+const tokenError = logger.scrub({
+    message: 'Token 4d5f9a1c-2b3e-4f60-8a7b-9c0d1e2f3a4b not found',
+    request_ID: '7e1c2d3f-4a5b-4c6d-8e7f-901a2b3c4d5e'
+});
+console.log('  Result:', tokenError);
+assert.deepStrictEqual(tokenError, { message: 'Token [TOKEN] not found', request_ID: '7e1c2d3f-4a5b-4c6d-8e7f-901a2b3c4d5e' });
+console.log('  ✓ message should show [TOKEN]; request_ID should be unchanged\n');
+
+// Test 4: Payload fields never written
+console.log('Test 4: Payload fields');
+const payload = logger.scrub({ tokens: ['a', 'b', 'c'], records: [{ email: 'x' }], count: 3 });
+console.log('  Result:', payload);
+assert.deepStrictEqual(payload, { tokens: '[REDACTED 3 items]', records: '[REDACTED 1 items]', count: 3 });
+console.log('  ✓ tokens/records should be [REDACTED n items]; count kept\n');
+
+// Test 5: Non-card digit runs kept (Luhn check fails)
+console.log('Test 5: Non-card numbers');
+console.log('  Result:', logger.scrub('batch offset 1234567890123'));
+assert.strictEqual(logger.scrub('batch offset 1234567890123'), 'batch offset 1234567890123');
+console.log('  ✓ Number should be unchanged\n');
+
+console.log('=== Testing levels and context ===\n');
+
+// Test 6: Lines below the level are dropped; context on every line
+console.log('Test 6: Level filtering');
+logger.setLevel('warn');
+logger.setContext({ requestId: 'req-1', route: '/process' });
+const lines = [];
+const consoleMethods = { info: console.info, warn: console.warn };
+Object.keys(consoleMethods).forEach(method => {
+    console[method] = (text) => {
+        lines.push(text);
+        consoleMethods[method](text);
+    };
+});
+try {
+    logger.info('Should not appear');
+    logger.warn('Query failed', { query: "SELECT * FROM t WHERE ssn = '123-45-6789'", error: new Error('Record jane@example.com not found') });
+} finally {
+    Object.assign(console, consoleMethods);
+}
+assert.strictEqual(lines.length, 1);
+const line = JSON.parse(lines[0]);
+assert.deepStrictEqual([line.level, line.requestId, line.route, line.query, line.error.message],
+    ['warn', 'req-1', '/process', 'SELECT * FROM t WHERE ssn = ?', 'Record [EMAIL] not found']);
+console.log('  ✓ Only one JSON line with requestId, route, scrubbed query and error\n');
+
+console.log('=== All tests completed ===');
@@ -0,0 +1,222 @@
+/**
+ * Metrics
+ *
+ * CloudWatch Embedded Metric Format (EMF) records, one per request, written
+ * to stdout where CloudWatch Logs extracts them as metrics. Handlers start a
+ * request with begin(), SkyflowClient records each vault call, and flush()
+ * writes the record when the request ends.
+ *
+ * Dimensions: Route, Operation, Vault, Env (plus Route, Operation, ErrorCode
+ * for error counts)
+ *
+ * Every dimension value is a new CloudWatch metric series, so Vault only takes
+ * configured vault IDs (profiles, firehose, s3 and "metrics": {"vaults"} or
+ * METRICS_VAULTS); a vault ID from a request header that is not configured is
+ * reported as "other".
+ *
+ * Metrics (namespace METRICS_NAMESPACE or "metrics": {"namespace"}, default SkyflowLambdaAPI):
+ * - Requests (Count)            - 1 per request
+ * - Records (Count)             - Rows, tokens, ids or texts in the request
+ * - Batches (Count)             - Skyflow calls made
+ * - SkyflowLatency (Milliseconds) - One value per Skyflow call, including retries
+ * - Retries (Count)             - Retries across all Skyflow calls
+ * - RowErrors (Count)           - Rows that failed with continueOnError
+ * - RequestErrors (Count)       - 1 if the request failed
+ * - Duration (Milliseconds)     - Whole request
+ * - Errors (Count)              - Failed requests and rows, by ErrorCode
+ *
+ * Disable with METRICS_ENABLED=false or "metrics": {"enabled": false}.
+ */
+
+const DEFAULT_NAMESPACE = 'SkyflowLambdaAPI';
+
+const DIMENSIONS = ['Route', 'Operation', 'Vault', 'Env'];
+
+// Vault dimension value for vault IDs that are not configured
+const OTHER_VAULT = 'other';
+const ERROR_DIMENSIONS = ['Route', 'Operation', 'ErrorCode'];
+
+const UNITS = {
+    Requests: 'Count',
+    Records: 'Count',
+    Batches: 'Count',
+    SkyflowLatency: 'Milliseconds',
+    Retries: 'Count',
+    RowErrors: 'Count',
+    RequestErrors: 'Count',
+    Errors: 'Count',
+    Duration: 'Milliseconds'
+};
+
+let settings = { namespace: DEFAULT_NAMESPACE, enabled: true, vaults: new Set() };
+let current = null;
+
+/**
+ * Apply metrics config (namespace, enabled, vaults)
+ *
+ * @param {Object} [options] - { namespace, enabled, vaults }
+ * @param {Array<string>} [options.vaults] - Vault IDs reported by name in the Vault dimension
+ */
+function configure(options = {}) {
+    settings = {
+        namespace: options.namespace || DEFAULT_NAMESPACE,
+        enabled: options.enabled !== false,
+        vaults: new Set(options.vaults || [])
+    };
+}
+
+/**
+ * Start collecting metrics for a request
+ * Lambda runs one invocation at a time per container, so module state is safe.
+ *
+ * @param {string} route - e.g. '/process'
+ */
+function begin(route) {
+    current = {
+        startTime: Date.now(),
+        dimensions: { Route: route, Operation: 'none', Vault: 'none', Env: 'none' },
+        values: { Requests: 1, Records: 0, Batches: 0, SkyflowLatency: [], Retries: 0, RowErrors: 0, RequestErrors: 0 },
+        errorCodes: {}
+    };
+}
+
+/**
+ * Set dimension values for the current request
+ *
+ * @param {Object} dimensions - Any of { operation, vault, env }
+ */
+function setDimensions({ operation, vault, env }) {
+    if (!current) {
+        return;
+    }
+    if (operation) {
+        current.dimensions.Operation = String(operation).slice(0, 64);
+    }
+    if (vault) {
+        current.dimensions.Vault = settings.vaults.has(vault) ? vault : OTHER_VAULT;
+    }
+    if (env) {
+        current.dimensions.Env = String(env).slice(0, 16);
+    }
+}
+
+/**
+ * Add to a count metric
+ *
+ * @param {string} name - Metric name, e.g. 'Records'
+ * @param {number} [value] - Amount to add (defaults to 1)
+ */
+function count(name, value = 1) {
+    if (current) {
+        current.values[name] = (current.values[name] || 0) + value;
+    }
+}
+
+/**
+ * Record one Skyflow call (a batch)
+ *
+ * @param {number} latencyMs - Call duration including retries
+ * @param {number} [retries] - Retries made
+ */
+function recordCall(latencyMs, retries = 0) {
+    if (!current) {
+        return;
+    }
+    current.values.Batches += 1;
+    current.values.SkyflowLatency.push(latencyMs);
+    current.values.Retries += retries;
+}
+
+/**
+ * Count per-row errors from a partial-failure result, by code
+ *
+ * @param {Array<Object>} [errors] - Row errors ({ code })
+ */
+function recordRowErrors(errors) {
+    if (!current || !errors) {
+        return;
+    }
+    current.values.RowErrors += errors.length;
+    for (const error of errors) {
+        const code = error.code || 'UNKNOWN';
+        current.errorCodes[code] = (current.errorCodes[code] || 0) + 1;
+    }
+}
+
+/**
+ * Record that the request failed with the given code
+ *
+ * @param {string} code - Stable error code, e.g. 'VAULT_THROTTLED'
+ */
+function recordRequestError(code) {
+    if (!current) {
+        return;
+    }
+    current.values.RequestErrors = 1;
+    current.errorCodes[code] = (current.errorCodes[code] || 0) + 1;
+}
+
+function emfRecord(dimensionNames, properties, metrics) {
+    return {
+        _aws: {
+            Timestamp: Date.now(),
+            CloudWatchMetrics: [{
+                Namespace: settings.namespace,
+                Dimensions: [dimensionNames],
+                Metrics: Object.keys(metrics).map(name => ({ Name: name, Unit: UNITS[name] || 'Count' }))
+            }]
+        },
+        ...properties,
+        ...metrics
+    };
+}
+
+/**
+ * Build the EMF records for the current request without writing them
+ *
+ * @returns {Array<Object>} Main record, plus one record per error code
+ */
+function buildRecords() {
+    if (!current) {
+        return [];
+    }
+    const values = { ...current.values, Duration: Date.now() - current.startTime };
+    if (values.SkyflowLatency.length === 0) {
+        delete values.SkyflowLatency;
+    }
+
+    const records = [emfRecord(DIMENSIONS, current.dimensions, values)];
+    for (const [code, errorCount] of Object.entries(current.errorCodes)) {
+        records.push(emfRecord(ERROR_DIMENSIONS, {
+            Route: current.dimensions.Route,
+            Operation: current.dimensions.Operation,
+            ErrorCode: code
+        }, { Errors: errorCount }));
+    }
+    return records;
+}
+
+/**
+ * Write the current request's EMF records to stdout and reset
+ * Written directly (not through the logger): metrics ignore LOG_LEVEL.
+ */
+function flush() {
+    if (settings.enabled) {
+        for (const record of buildRecords()) {
+            console.log(JSON.stringify(record));
+        }
+    }
+    current = null;
+}
+
+module.exports = {
+    configure,
+    begin,
+    setDimensions,
+    count,
+    recordCall,
+    recordRowErrors,
+    recordRequestError,
+    buildRecords,
+    flush
+};
@@ -0,0 +1,73 @@
+/**
+ * Simple manual tests for EMF metrics
+ * Run with: node lambda/utils/metrics.test.js
+ */
+
+const assert = require('node:assert');
+const metrics = require('./metrics');
+
+const VAULT = 'ac7f4217c9e54fa7a6f4896c34f6964b';
+
+console.log('=== Testing request records ===\n');
+
+// Test 1: Counts, calls and dimensions in one record
+console.log('Test 1: Main record');
+metrics.configure({ namespace: 'TestNamespace', vaults: [VAULT] });
+metrics.begin('/process');
+metrics.setDimensions({ operation: 'tokenize', vault: VAULT, env: 'PROD' });
+metrics.count('Records', 30);
+metrics.recordCall(120, 0);
+metrics.recordCall(80, 2);
+const [main, ...errorRecords] = metrics.buildRecords();
+console.log('  Record:', JSON.stringify(main));
+assert.deepStrictEqual(main._aws.CloudWatchMetrics[0].Dimensions, [['Route', 'Operation', 'Vault', 'Env']]);
+assert.strictEqual(main._aws.CloudWatchMetrics[0].Namespace, 'TestNamespace');
+assert.deepStrictEqual([main.Route, main.Operation, main.Vault, main.Env], ['/process', 'tokenize', VAULT, 'PROD']);
+assert.deepStrictEqual([main.Requests, main.Records, main.Batches, main.Retries], [1, 30, 2, 2]);
+assert.deepStrictEqual(main.SkyflowLatency, [120, 80]);
+assert.strictEqual(errorRecords.length, 0);
+console.log('  ✓ Should have 30 records, 2 batches, 2 retries and latencies [120, 80] for the configured vault\n');
+
+// Test 2: Row and request errors by code
+console.log('Test 2: Error records');
+metrics.recordRowErrors([{ code: 'VAULT_BAD_REQUEST' }, { code: 'VAULT_BAD_REQUEST' }, {}]);
+metrics.recordRequestError('VAULT_THROTTLED');
+const errors = metrics.buildRecords().slice(1).map(record => `${record.ErrorCode}=${record.Errors}`);
+console.log('  Errors:', errors);
+assert.deepStrictEqual(errors, ['VAULT_BAD_REQUEST=2', 'UNKNOWN=1', 'VAULT_THROTTLED=1']);
+console.log('  ✓ Should be VAULT_BAD_REQUEST=2, UNKNOWN=1 and VAULT_THROTTLED=1\n');
+
+console.log('=== Testing dimensions ===\n');
+
+// Test 3: Vault IDs that are not configured share one value
+console.log('Test 3: Unconfigured vaults');
+const vaultOf = vault => {
+    metrics.begin('/process');
+    metrics.setDimensions({ vault });
+    return metrics.buildRecords()[0].Vault;
+};
+const values = [vaultOf(VAULT), vaultOf('attacker-chosen-1'), vaultOf('attacker-chosen-2'), vaultOf(null)];
+console.log('  Values:', values);
+assert.deepStrictEqual(values, [VAULT, 'other', 'other', 'none']);
+console.log('  ✓ Should be the configured vault, other, other and none\n');
+
+// Test 4: flush writes to stdout only when enabled, and resets
+console.log('Test 4: Flush');
+const lines = [];
+const log = console.log;
+console.log = line => lines.push(line);
+try {
+    metrics.flush();
+    metrics.configure({ enabled: false });
+    metrics.begin('/process');
+    metrics.flush();
+} finally {
+    console.log = log;
+}
+console.log('  Lines written:', lines.length, 'after flush:', metrics.buildRecords());
+assert.strictEqual(lines.length, 1);
+assert.strictEqual(JSON.parse(lines[0]).Route, '/process');
+assert.deepStrictEqual(metrics.buildRecords(), []);
+console.log('  ✓ Should write 1 line, nothing while disabled, and have no records after flush\n');
+
+console.log('=== All tests completed ===');
@@ -0,0 +1,125 @@
+/**
+ * Object Store
+ *
+ * Streaming reads and writes of S3 objects for file tokenization (see s3-handler.js).
+ * Objects are streamed in both directions, so files of any size are handled
+ * without buffering them in memory.
+ *
+ * For local development and tests, set provider "local" (S3_PROVIDER=local) to read
+ * and write files under a directory (S3_LOCAL_DIR) instead of S3:
+ * bucket "data", key "in/users.csv"  ->  <localDir>/data/in/users.csv
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * S3 reads and writes through the AWS SDK (v3, loaded on first use)
+ * Writes use multipart uploads, so the object size is not known in advance.
+ */
+class AwsObjectStore {
+    constructor(options = {}) {
+        this.region = options.region || process.env.AWS_REGION;
+        this.s3 = null;
+    }
+
+    _client() {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        if (!this.s3) {
+            this.s3 = new S3Client({ region: this.region });
+        }
+        return this.s3;
+    }
+
+    /**
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @returns {Promise<Readable>} Object body
+     */
+    async getObjectStream(bucket, key) {
+        const { GetObjectCommand } = require('@aws-sdk/client-s3');
+        const response = await this._client().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+    }
+
+    /**
+     * @param {string} bucket - Bucket name
+     * @param {string} key - Object key
+     * @param {Readable} body - Object body (consumed until it ends)
+     * @param {string} [contentType] - Content-Type of the object
+     * @returns {Promise<void>} Resolves once the object is written
+     */
+    async putObjectStream(bucket, key, body, contentType) {
+        const { Upload } = require('@aws-sdk/lib-storage');
+        const upload = new Upload({
+            client: this._client(),
+            params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType }
+        });
+        await upload.done();
+    }
+}
+
+/**
+ * Local stand-in for S3 (development and tests only)
+ */
+class LocalObjectStore {
+    constructor(options = {}) {
+        if (!options.root) {
+            throw new Error('LocalObjectStore requires a root directory');
+        }
+        this.root = path.resolve(options.root);
+    }
+
+    async getObjectStream(bucket, key) {
+        const file = this._path(bucket, key);
+        if (!fs.existsSync(file)) {
+            const error = new Error(`Object not found: s3://${bucket}/${key}`);
+            error.name = 'NoSuchKey';
+            throw error;
+        }
+        return fs.createReadStream(file);
+    }
+
+    async putObjectStream(bucket, key, body) {
+        const file = this._path(bucket, key);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(file);
+            // Like an aborted multipart upload, a failed write leaves no object behind
+            const fail = error => {
+                output.destroy();
+                fs.rm(file, { force: true }, () => reject(error));
+            };
+            body.on('error', fail);
+            output.on('error', fail);
+            output.on('finish', resolve);
+            body.pipe(output);
+        });
+    }
+
+    _path(bucket, key) {
+        const file = path.resolve(this.root, bucket, key);
+        if (!file.startsWith(path.join(this.root, bucket) + path.sep)) {
+            throw new Error(`Invalid object key: ${key}`);
+        }
+        return file;
+    }
+}
+
+/**
+ * Create the object store for an S3 config section
+ *
+ * @param {Object} [options] - { provider: 'aws'|'local', localDir, region }
+ * @returns {AwsObjectStore|LocalObjectStore}
+ */
+function createObjectStore(options = {}) {
+    return options.provider === 'local'
+        ? new LocalObjectStore({ root: options.localDir })
+        : new AwsObjectStore({ region: options.region });
+}
+
+module.exports = {
+    AwsObjectStore,
+    LocalObjectStore,
+    createObjectStore
+};
@@ -0,0 +1,543 @@
+/**
+ * Vault Operations
+ *
+ * Runs one /process-style request against the vault: the operation, its vault
+ * target and a body with records, tokens, query, ids, texts or documents plus options.
+ * Shared by the API Gateway routes (settings from X-Skyflow-* headers) and the
+ * SQS and Kinesis consumers (settings in the message, see queue-handler.js).
+ */
+
+const { ValidationError, missingHeader } = require('./errors');
+const { validateRedactionType } = require('./validation');
+const { parseDocumentMapping, parseDocumentPaths, tokenizeDocuments, detokenizeDocuments } = require('./documents');
+
+const SUPPORTED_OPERATIONS = ['tokenize', 'detokenize', 'query', 'tokenize-byot', 'get', 'update', 'delete', 'deidentify-text', 'reidentify-text',
+    'tokenize-document', 'detokenize-document'];
+
+// Operations that read no table: a table the request names does not limit what they reach
+const TABLELESS_OPERATIONS = ['detokenize', 'detokenize-document', 'deidentify-text', 'reidentify-text'];
+
+// How /process requests name their settings, for error messages
+const HEADER_LABELS = {
+    table: 'X-Skyflow-Table',
+    operation: 'X-Skyflow-Operation header',
+    missing: missingHeader
+};
+
+/**
+ * Validate a request body and run its operation
+ *
+ * @param {SkyflowClient} client - Skyflow client with the request's credentials loaded
+ * @param {string} operation - One of SUPPORTED_OPERATIONS
+ * @param {Object} target - { clusterId, vaultId, env, table }
+ * @param {Object} body - Request body
+ * @param {Object} [labels] - How the caller names its settings: { table, operation, missing(name, note) -> Error }
+ * @returns {Promise<Object>} SkyflowClient result ({ data, errors, retries, ... })
+ * @throws {ValidationError} If the body is invalid, the table is missing or the operation is unknown
+ */
+async function runOperation(client, operation, target, body, labels = HEADER_LABELS) {
+    const { clusterId, vaultId, env, table } = target;
+
+    switch (operation) {
+        case 'tokenize':
+            if (!table) {
+                throw labels.missing(labels.table, 'required for tokenize');
+            }
+            validateTokenizeRequest(body);
+            return client.tokenize(
+                clusterId,
+                vaultId,
+                table,
+                body.records,
+                body.options || {},
+                env
+            );
+
+        case 'detokenize':
+            validateDetokenizeRequest(body);
+            return client.detokenize(
+                clusterId,
+                vaultId,
+                body.tokens,
+                body.options || {},
+                env
+            );
+
+        case 'query':
+            validateQueryRequest(body);
+            return client.query(
+                clusterId,
+                vaultId,
+                body.query,
+                env
+            );
+
+        case 'tokenize-byot':
+            if (!table) {
+                throw labels.missing(labels.table, 'required for tokenize-byot');
+            }
+            validateTokenizeByotRequest(body);
+            return client.tokenizeByot(
+                clusterId,
+                vaultId,
+                table,
+                body.records,
+                body.options || {},
+                env
+            );
+
+        case 'get':
+            if (!table) {
+                throw labels.missing(labels.table, 'required for get');
+            }
+            validateGetRequest(body);
+            return client.get(
+                clusterId,
+                vaultId,
+                table,
+                body.ids ? { ids: body.ids } : { column: body.column, values: body.values },
+                body.options || {},
+                env
+            );
+
+        case 'update':
+            if (!table) {
+                throw labels.missing(labels.table, 'required for update');
+            }
+            validateUpdateRequest(body);
+            return client.update(
+                clusterId,
+                vaultId,
+                table,
+                body.records,
+                body.options || {},
+                env
+            );
+
+        case 'delete':
+            if (!table) {
+                throw labels.missing(labels.table, 'required for delete');
+            }
+            validateDeleteRequest(body);
+            return client.delete(
+                clusterId,
+                vaultId,
+                table,
+                body.ids,
+                body.options || {},
+                env
+            );
+
+        case 'deidentify-text':
+            validateDeidentifyTextRequest(body);
+            return client.deidentifyText(
+                clusterId,
+                vaultId,
+                body.texts || [body.text],
+                body.options || {},
+                env
+            );
+
+        case 'reidentify-text':
+            validateReidentifyTextRequest(body);
+            return client.reidentifyText(
+                clusterId,
+                vaultId,
+                body.texts || [body.text],
+                body.options || {},
+                env
+            );
+
+        case 'tokenize-document': {
+            validateDocumentRequest(body);
+            const entries = parseDocumentMapping(body.mapping, table);
+            if (entries.some(entry => !entry.table)) {
+                throw labels.missing(labels.table, 'required for tokenize-document mappings without a table');
+            }
+            return documentResult(body, await tokenizeDocuments(
+                client,
+                { clusterId, vaultId, env },
+                documentList(body),
+                entries,
+                body.options || {}
+            ));
+        }
+
+        case 'detokenize-document':
+            validateDocumentRequest(body);
+            if (body.options) {
+                validateRedactionType(body.options.redactionType);
+            }
+            return documentResult(body, await detokenizeDocuments(
+                client,
+                { clusterId, vaultId, env },
+                documentList(body),
+                parseDocumentPaths(body.mapping),
+                body.options || {}
+            ));
+
+        default:
+            throw new ValidationError(`Unknown operation: ${operation}. Supported operations (via ${labels.operation}): ${SUPPORTED_OPERATIONS.join(', ')}`, 'UNKNOWN_OPERATION');
+    }
+}
+
+/**
+ * Build the success body returned for a completed operation
+ *
+ * @param {string} operation - Operation that ran
+ * @param {Object} body - Request body
+ * @param {Object} result - SkyflowClient result
+ * @param {number} elapsed - Duration in milliseconds
+ * @returns {Object} { success, data, metadata, errors? }
+ */
+function successBody(operation, body, result, elapsed) {
+    const response = {
+        success: true,
+        data: result.data,
+        metadata: {
+            operation: operation,
+            duration_ms: elapsed,
+            retries: result.retries || 0
+        }
+    };
+
+    if (operation === 'delete' && body.options && body.options.dryRun) {
+        response.metadata.dry_run = true;
+    }
+
+    // Report vault calls avoided by collapsing repeated values/tokens
+    if (result.dedup) {
+        response.metadata.duplicates_removed = result.dedup.duplicates;
+        response.metadata.vault_calls_saved = result.dedup.vaultCallsSaved;
+    }
+
+    // Include errors if present (partial failures with continueOnError)
+    if (result.errors && result.errors.length > 0) {
+        response.errors = result.errors;
+    }
+
+    return response;
+}
+
+/**
+ * Documents of a tokenize-document or detokenize-document request
+ */
+function documentList(body) {
+    return Array.isArray(body.documents) ? body.documents : [body.document];
+}
+
+/**
+ * Return a single `document` as data itself rather than a one-element array
+ */
+function documentResult(body, result) {
+    return body.documents ? result : { ...result, data: result.data[0] };
+}
+
+/**
+ * Redaction level a request asks for, for the authorization policy
+ * null means governance-controlled; undefined means the operation reveals no values
+ */
+function requestedRedaction(operation, body) {
+    const options = body.options || {};
+    switch (operation) {
+        case 'detokenize':
+        case 'detokenize-document':
+        case 'reidentify-text':
+            return options.redactionType || null;
+        case 'get':
+            return options.returnTokens ? 'REDACTED' : (options.redactionType || null);
+        case 'query':
+            return null;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Number of records, tokens, ids or texts a request carries, for the audit trail
+ */
+function countRecords(operation, body) {
+    if (operation === 'query') {
+        return 1;
+    }
+    if (operation === 'deidentify-text' || operation === 'reidentify-text') {
+        return Array.isArray(body.texts) ? body.texts.length : (body.text !== undefined ? 1 : 0);
+    }
+    if (operation === 'tokenize-document' || operation === 'detokenize-document') {
+        return Array.isArray(body.documents) ? body.documents.length : (body.document !== undefined ? 1 : 0);
+    }
+    const items = body.records || body.tokens || body.ids || body.values;
+    return Array.isArray(items) ? items.length : 0;
+}
+
+/**
+ * Tables a request writes to or reads from, for the authorization policy
+ * tokenize-document names its tables in the mapping; query names its table in the SQL
+ * (null if it cannot be parsed); TABLELESS_OPERATIONS name none, whatever the request's
+ * table; other operations use the request's table.
+ */
+function requestedTables(operation, body, table) {
+    if (TABLELESS_OPERATIONS.includes(operation)) {
+        return [];
+    }
+    if (operation === 'query') {
+        return [queryTable(body.query)];
+    }
+    if (operation === 'tokenize-document') {
+        try {
+            const tables = parseDocumentMapping(body.mapping, table).map(entry => entry.table).filter(Boolean);
+            return [...new Set(tables)];
+        } catch (error) {
+            // Rejected by validation before any vault call
+            return table ? [table] : [];
+        }
+    }
+    return table ? [table] : [];
+}
+
+/**
+ * Table a Skyflow SQL query reads from
+ *
+ * Only single-table SELECTs are recognised. Joins, subqueries, set operations,
+ * comments and qualified or comma-separated table lists return null.
+ *
+ * @param {string} sql - Query from the request
+ * @returns {string|null} Table name, or null if it cannot be determined
+ *
+ * @example
+ * queryTable("SELECT * FROM customers WHERE email = 'a@x.com'"); // 'customers'
+ * queryTable('SELECT * FROM customers c JOIN payments p ON c.id = p.id'); // null
+ */
+function queryTable(sql) {
+    if (typeof sql !== 'string') {
+        return null;
+    }
+    // String literals may contain keywords, never tables
+    const text = sql.replace(/'(?:[^']|'')*'/g, "''").trim().replace(/;$/, '');
+    if (!/^SELECT\b/i.test(text) || /--|\/\*|;|\b(JOIN|UNION|INTERSECT|EXCEPT)\b/i.test(text)) {
+        return null;
+    }
+    if ((text.match(/\bSELECT\b/gi) || []).length !== 1 || (text.match(/\bFROM\b/gi) || []).length !== 1) {
+        return null;
+    }
+    const match = text.match(/\bFROM\s+("[^"]+"|`[^`]+`|[A-Za-z_][\w$]*)\s*(.?)/i);
+    if (!match || ['.', ',', '('].includes(match[2])) {
+        return null;
+    }
+    return match[1].replace(/^["`]|["`]$/g, '');
+}
+
+/**
+ * Request validation functions
+ */
+function validateTokenizeRequest(body) {
+    if (!body.records || !Array.isArray(body.records)) {
+        throw new ValidationError('Missing or invalid field: records (must be array)');
+    }
+    if (body.records.length === 0) {
+        throw new ValidationError('records array cannot be empty');
+    }
+    body.records.forEach((record, index) => {
+        if (typeof record !== 'object' || record === null) {
+            throw new ValidationError(`records[${index}] must be an object with column names as keys`);
+        }
+        if (Object.keys(record).length === 0) {
+            throw new ValidationError(`records[${index}] cannot be empty - must contain at least one column`);
+        }
+    });
+    validateContinueOnError(body);
+}
+
+function validateDetokenizeRequest(body) {
+    if (!body.tokens || !Array.isArray(body.tokens)) {
+        throw new ValidationError('Missing or invalid field: tokens (must be array)');
+    }
+    if (body.tokens.length === 0) {
+        throw new ValidationError('tokens array cannot be empty');
+    }
+
+    // Validate redactionType if provided (optional - if omitted, Skyflow governance decides)
+    if (body.options) {
+        validateRedactionType(body.options.redactionType);
+    }
+}
+
+function validateQueryRequest(body) {
+    if (!body.query || typeof body.query !== 'string') {
+        throw new ValidationError('Missing or invalid field: query (must be string)');
+    }
+}
+
+function validateTokenizeByotRequest(body) {
+    if (!body.records || !Array.isArray(body.records)) {
+        throw new ValidationError('Missing or invalid field: records (must be array)');
+    }
+    if (body.records.length === 0) {
+        throw new ValidationError('records array cannot be empty');
+    }
+    body.records.forEach((record, index) => {
+        if (!record.fields || typeof record.fields !== 'object') {
+            throw new ValidationError(`records[${index}] must have 'fields' object with column values`);
+        }
+        if (!record.tokens || typeof record.tokens !== 'object') {
+            throw new ValidationError(`records[${index}] must have 'tokens' object with custom token values`);
+        }
+        if (Object.keys(record.fields).length === 0) {
+            throw new ValidationError(`records[${index}].fields cannot be empty`);
+        }
+        if (Object.keys(record.tokens).length === 0) {
+            throw new ValidationError(`records[${index}].tokens cannot be empty`);
+        }
+        // Ensure fields and tokens have matching keys
+        const fieldKeys = Object.keys(record.fields).sort();
+        const tokenKeys = Object.keys(record.tokens).sort();
+        if (fieldKeys.join(',') !== tokenKeys.join(',')) {
+            throw new ValidationError(`records[${index}] fields and tokens must have matching column names`);
+        }
+    });
+    validateContinueOnError(body);
+}
+
+function validateGetRequest(body) {
+    if (body.ids !== undefined) {
+        validateIdList(body.ids);
+    } else {
+        if (!body.column || typeof body.column !== 'string') {
+            throw new ValidationError('Missing field: ids (array of skyflow_id) or column (string) with values');
+        }
+        if (!Array.isArray(body.values) || body.values.length === 0) {
+            throw new ValidationError('Missing or invalid field: values (must be non-empty array when column is set)');
+        }
+    }
+    if (body.options) {
+        validateRedactionType(body.options.redactionType);
+        if (body.options.returnTokens && body.options.redactionType) {
+            throw new ValidationError('options.returnTokens and options.redactionType cannot be used together');
+        }
+    }
+}
+
+function validateUpdateRequest(body) {
+    if (!body.records || !Array.isArray(body.records)) {
+        throw new ValidationError('Missing or invalid field: records (must be array)');
+    }
+    if (body.records.length === 0) {
+        throw new ValidationError('records array cannot be empty');
+    }
+    body.records.forEach((record, index) => {
+        if (typeof record !== 'object' || record === null) {
+            throw new ValidationError(`records[${index}] must be an object with skyflow_id and column names as keys`);
+        }
+        if (!record.skyflow_id || typeof record.skyflow_id !== 'string') {
+            throw new ValidationError(`records[${index}] must have a skyflow_id`);
+        }
+        if (Object.keys(record).length < 2) {
+            throw new ValidationError(`records[${index}] must contain at least one column to update`);
+        }
+    });
+    validateContinueOnError(body);
+}
+
+function validateDeleteRequest(body) {
+    validateIdList(body.ids);
+    if (body.options && body.options.dryRun !== undefined && typeof body.options.dryRun !== 'boolean') {
+        throw new ValidationError('Invalid option: dryRun (must be boolean)', 'INVALID_OPTION');
+    }
+    validateContinueOnError(body);
+}
+
+function validateIdList(ids) {
+    if (!ids || !Array.isArray(ids)) {
+        throw new ValidationError('Missing or invalid field: ids (must be array)');
+    }
+    if (ids.length === 0) {
+        throw new ValidationError('ids array cannot be empty');
+    }
+    ids.forEach((id, index) => {
+        if (!id || typeof id !== 'string') {
+            throw new ValidationError(`ids[${index}] must be a skyflow_id string`);
+        }
+    });
+}
+
+function validateTextList(body) {
+    if (body.text !== undefined) {
+        if (typeof body.text !== 'string') {
+            throw new ValidationError('Invalid field: text (must be string)');
+        }
+        return;
+    }
+    if (!body.texts || !Array.isArray(body.texts)) {
+        throw new ValidationError('Missing or invalid field: text (string) or texts (array of strings)');
+    }
+    if (body.texts.length === 0) {
+        throw new ValidationError('texts array cannot be empty');
+    }
+    body.texts.forEach((text, index) => {
+        if (typeof text !== 'string') {
+            throw new ValidationError(`texts[${index}] must be a string`);
+        }
+    });
+}
+
+function validateEntityList(options) {
+    if (options.entities !== undefined) {
+        if (!Array.isArray(options.entities) || options.entities.length === 0 || options.entities.some(entity => typeof entity !== 'string')) {
+            throw new ValidationError('Invalid option: entities (must be non-empty array of entity type names, e.g. ["EMAIL_ADDRESS", "SSN"])', 'INVALID_OPTION');
+        }
+    }
+}
+
+function validateDeidentifyTextRequest(body) {
+    validateTextList(body);
+    if (body.options) {
+        validateEntityList(body.options);
+        const validTokenTypes = ['VAULT_TOKEN', 'ENTITY_ONLY', 'ENTITY_UNIQUE_COUNTER'];
+        if (body.options.tokenType && !validTokenTypes.includes(body.options.tokenType)) {
+            throw new ValidationError(`Invalid tokenType: ${body.options.tokenType}. Must be one of: ${validTokenTypes.join(', ')}`, 'INVALID_OPTION');
+        }
+    }
+}
+
+function validateReidentifyTextRequest(body) {
+    validateTextList(body);
+    if (body.options) {
+        validateEntityList(body.options);
+        const validRedactionTypes = ['PLAIN_TEXT', 'MASKED', 'REDACTED'];
+        if (body.options.redactionType && !validRedactionTypes.includes(body.options.redactionType)) {
+            throw new ValidationError(`Invalid redactionType: ${body.options.redactionType}. Must be one of: ${validRedactionTypes.join(', ')}, or omit for governance-controlled redaction`, 'INVALID_REDACTION_TYPE');
+        }
+    }
+}
+
+function validateDocumentRequest(body) {
+    if (body.documents !== undefined) {
+        if (!Array.isArray(body.documents) || body.documents.length === 0) {
+            throw new ValidationError('Invalid field: documents (must be non-empty array)');
+        }
+        body.documents.forEach((document, index) => {
+            if (typeof document !== 'object' || document === null) {
+                throw new ValidationError(`documents[${index}] must be a JSON object or array`);
+            }
+        });
+    } else if (typeof body.document !== 'object' || body.document === null) {
+        throw new ValidationError('Missing or invalid field: document (JSON object) or documents (array of documents)');
+    }
+}
+
+function validateContinueOnError(body) {
+    if (body.options && body.options.continueOnError !== undefined && typeof body.options.continueOnError !== 'boolean') {
+        throw new ValidationError('Invalid option: continueOnError (must be boolean)', 'INVALID_OPTION');
+    }
+}
+
+module.exports = {
+    SUPPORTED_OPERATIONS,
+    TABLELESS_OPERATIONS,
+    runOperation,
+    successBody,
+    requestedRedaction,
+    countRecords,
+    requestedTables,
+    queryTable
+};
@@ -0,0 +1,276 @@
+/**
+ * Authorization Policy
+ *
+ * Per-caller allow rules checked before any Skyflow call. The caller is
+ * identified from the API Gateway requestContext (IAM principal, API key ID
+ * or JWT/Cognito claims), from the cluster and database user for Redshift
+ * UDFs, from the delivery stream for Firehose, from the bucket for S3
+ * notifications, or from the queue or stream for SQS and Kinesis consumers;
+ * each rule grants a set of callers access to operations, profiles, clusters,
+ * vaults, tables and a maximum redaction level.
+ *
+ * Policy shape (config "policy" or SKYFLOW_POLICY env var as JSON):
+ * {
+ *   "rules": [
+ *     {
+ *       "name": "analysts",
+ *       "caller": { "principal": "arn:aws:sts::123456789012:assumed-role/analyst-*" },
+ *       "operations": ["detokenize", "get"],
+ *       "profiles": ["analytics"],
+ *       "clusters": ["*"],
+ *       "vaults": ["abc123"],
+ *       "tables": ["customers"],
+ *       "maxRedaction": "MASKED"
+ *     }
+ *   ]
+ * }
+ *
+ * - A request is allowed if at least one rule whose `caller` matches allows it;
+ *   anything else is denied (403 ACCESS_DENIED).
+ * - Omitted rule fields mean "any". Patterns support `*` wildcards.
+ * - `caller` fields (all given fields must match): `principal` (IAM user/role ARN),
+ *   `apiKeyId`, `claims` ({ claim: pattern }; space/comma-separated and array
+ *   claims such as `scope` or `cognito:groups` match if any entry matches).
+ * - `tables` is checked against the table a request names (X-Skyflow-Table, every
+ *   table in a tokenize-document mapping, or the table in a query's FROM clause).
+ *   A rule with `tables` denies requests whose table is missing or cannot be parsed,
+ *   and so every request of an operation that reads no table (detokenize,
+ *   detokenize-document, deidentify-text, reidentify-text): grant those in a rule
+ *   without `tables`.
+ * - `profiles` (utils/profiles.js) denies requests made without one of the listed profiles.
+ * - Redaction levels, least to most revealing: REDACTED, MASKED, DEFAULT, PLAIN_TEXT.
+ *   Requests without a redaction type (governance-controlled) count as DEFAULT.
+ * - With no policy configured, every request is allowed.
+ */
+
+const { ForbiddenError } = require('./errors');
+
+const REDACTION_LEVELS = ['REDACTED', 'MASKED', 'DEFAULT', 'PLAIN_TEXT'];
+
+/**
+ * Identify the caller from an API Gateway event
+ *
+ * Supports REST API (v1) and HTTP API (v2) request contexts, Redshift Lambda
+ * UDF invocations (cluster ARN as principal, database user as the `sub` claim),
+ * Firehose transformations (delivery stream ARN as principal), S3 event
+ * records (bucket ARN as principal, uploader IP as sourceIp) and SQS or Kinesis
+ * records (queue or stream ARN as principal, SQS SenderId as the `sub` claim).
+ *
+ * @param {Object} event - API Gateway Lambda proxy event, Redshift UDF or Firehose event, or S3, SQS or Kinesis record
+ * @returns {Object} { principal, apiKeyId, claims, sourceIp }
+ */
+function getCaller(event) {
+    if (event && event.eventSource === 'aws:s3') {
+        return {
+            principal: event.s3.bucket.arn || null,
+            apiKeyId: null,
+            claims: {},
+            sourceIp: (event.requestParameters && event.requestParameters.sourceIPAddress) || null
+        };
+    }
+    if (event && (event.eventSource === 'aws:sqs' || event.eventSource === 'aws:kinesis')) {
+        const senderId = event.attributes && event.attributes.SenderId;
+        return { principal: event.eventSourceARN || null, apiKeyId: null, claims: senderId ? { sub: senderId } : {}, sourceIp: null };
+    }
+    if (event && typeof event.deliveryStreamArn === 'string') {
+        return { principal: event.deliveryStreamArn, apiKeyId: null, claims: {}, sourceIp: null };
+    }
+    if (event && typeof event.external_function === 'string') {
+        return {
+            principal: event.cluster || null,
+            apiKeyId: null,
+            claims: event.user ? { sub: event.user } : {},
+            sourceIp: null
+        };
+    }
+
+    const requestContext = (event && event.requestContext) || {};
+    const identity = requestContext.identity || {};
+    const authorizer = requestContext.authorizer || {};
+
+    return {
+        principal: identity.userArn || (authorizer.iam && authorizer.iam.userArn) || null,
+        apiKeyId: identity.apiKeyId || null,
+        claims: (authorizer.jwt && authorizer.jwt.claims) || authorizer.claims || {},
+        sourceIp: identity.sourceIp || (requestContext.http && requestContext.http.sourceIp) || null
+    };
+}
+
+/**
+ * Short description of a caller for log lines and denial reasons
+ *
+ * @param {Object} caller - Caller from getCaller
+ * @returns {string} e.g. 'arn:aws:iam::123456789012:user/alice' or 'apiKey:abc123'
+ */
+function describeCaller(caller) {
+    if (caller.principal) {
+        return caller.principal;
+    }
+    if (caller.apiKeyId) {
+        return `apiKey:${caller.apiKeyId}`;
+    }
+    if (caller.claims.sub) {
+        return `sub:${caller.claims.sub}`;
+    }
+    return 'anonymous caller';
+}
+
+/**
+ * Check a request against the configured policy
+ *
+ * @param {Object} [policy] - Policy from config ({ rules }); falsy allows everything
+ * @param {Object} caller - Caller from getCaller
+ * @param {Object} request - { operation, profile, clusterId, vaultId, table, redactionType };
+ *                           `tables` instead of `table` when a request spans several tables
+ *                           (a null entry is a table that could not be determined)
+ * @returns {Object} The rule that allowed the request (null when no policy is configured)
+ * @throws {ForbiddenError} If no rule allows the request, with the reason in the message
+ *
+ * @example
+ * authorize(config.policy, getCaller(event),
+ *     { operation: 'detokenize', clusterId, vaultId, redactionType: 'PLAIN_TEXT' });
+ */
+function authorize(policy, caller, request) {
+    if (!policy) {
+        return null;
+    }
+
+    const callerRules = (policy.rules || []).filter(rule => matchesCaller(rule.caller, caller));
+    if (callerRules.length === 0) {
+        throw new ForbiddenError(`Access denied: no policy rule matches ${describeCaller(caller)}`);
+    }
+
+    // Report why the first rule for this operation denies it, if there is one
+    let reason;
+    let reasonCoversOperation = false;
+    for (const rule of callerRules) {
+        const denial = checkRule(rule, request);
+        if (!denial) {
+            return rule;
+        }
+        const coversOperation = matchesAny(rule.operations, request.operation);
+        if (!reason || (coversOperation && !reasonCoversOperation)) {
+            reason = denial;
+            reasonCoversOperation = coversOperation;
+        }
+    }
+
+    throw new ForbiddenError(`Access denied for ${describeCaller(caller)}: ${reason}`);
+}
+
+/**
+ * Why a rule does not allow a request
+ *
+ * @returns {string|null} Denial reason, or null if the rule allows the request
+ */
+function checkRule(rule, request) {
+    const name = rule.name ? ` (rule '${rule.name}')` : '';
+
+    if (!matchesAny(rule.operations, request.operation)) {
+        return `operation '${request.operation}' is not allowed${name}`;
+    }
+    if (!matchesAny(rule.profiles, request.profile)) {
+        return `profile '${request.profile || '(none)'}' is not allowed${name}`;
+    }
+    if (!matchesAny(rule.clusters, request.clusterId)) {
+        return `cluster '${request.clusterId}' is not allowed${name}`;
+    }
+    if (!matchesAny(rule.vaults, request.vaultId)) {
+        return `vault '${request.vaultId}' is not allowed${name}`;
+    }
+    if (rule.tables) {
+        // Requests that reach the vault without naming a checkable table could touch any table
+        const tables = request.tables || (request.table ? [request.table] : []);
+        if (tables.length === 0 || tables.includes(null)) {
+            return `operation '${request.operation}' does not name a table that can be checked${name}`;
+        }
+        const deniedTable = tables.find(table => !matchesAny(rule.tables, table));
+        if (deniedTable) {
+            return `table '${deniedTable}' is not allowed${name}`;
+        }
+    }
+    if (rule.maxRedaction && request.redactionType !== undefined) {
+        const requested = request.redactionType || 'DEFAULT';
+        if (REDACTION_LEVELS.indexOf(requested) > REDACTION_LEVELS.indexOf(rule.maxRedaction)) {
+            return `redaction ${requested}${request.redactionType ? '' : ' (governance-controlled)'} exceeds the maximum ${rule.maxRedaction}${name}`;
+        }
+    }
+    return null;
+}
+
+function matchesCaller(selector, caller) {
+    if (!selector || selector === '*') {
+        return true;
+    }
+    if (selector.principal && !matchesAny([].concat(selector.principal), caller.principal)) {
+        return false;
+    }
+    if (selector.apiKeyId && !matchesAny([].concat(selector.apiKeyId), caller.apiKeyId)) {
+        return false;
+    }
+    for (const [claim, pattern] of Object.entries(selector.claims || {})) {
+        if (!claimValues(caller.claims[claim]).some(value => matchesAny([].concat(pattern), value))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function claimValues(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    // REST API authorizers flatten arrays to strings like "[admins analysts]"
+    return String(value).replace(/^\[|\]$/g, '').split(/[\s,]+/).filter(Boolean);
+}
+
+function matchesAny(patterns, value) {
+    if (!patterns) {
+        return true;
+    }
+    if (value === undefined || value === null) {
+        return false;
+    }
+    return patterns.some(pattern => wildcardMatch(String(pattern), String(value)));
+}
+
+function wildcardMatch(pattern, value) {
+    if (pattern === '*') {
+        return true;
+    }
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(value);
+}
+
+/**
+ * Validate a policy at load time so misconfiguration fails fast
+ *
+ * @param {Object} policy - Policy from config
+ * @throws {Error} If the policy is malformed
+ */
+function validatePolicy(policy) {
+    if (!Array.isArray(policy.rules)) {
+        throw new Error('Invalid policy: rules must be an array');
+    }
+    policy.rules.forEach((rule, index) => {
+        for (const field of ['operations', 'profiles', 'clusters', 'vaults', 'tables']) {
+            if (rule[field] !== undefined && !Array.isArray(rule[field])) {
+                throw new Error(`Invalid policy: rules[${index}].${field} must be an array`);
+            }
+        }
+        if (rule.maxRedaction !== undefined && !REDACTION_LEVELS.includes(rule.maxRedaction)) {
+            throw new Error(`Invalid policy: rules[${index}].maxRedaction must be one of: ${REDACTION_LEVELS.join(', ')}`);
+        }
+    });
+}
+
+module.exports = {
+    REDACTION_LEVELS,
+    getCaller,
+    describeCaller,
+    authorize,
+    validatePolicy
+};
@@ -0,0 +1,127 @@
+/**
+ * Simple manual tests for authorization policy
+ * Run with: node lambda/utils/policy.test.js
+ */
+
+const assert = require('node:assert');
+const { getCaller, authorize } = require('./policy');
+const { requestedTables } = require('./operations');
+
+console.log('=== Testing getCaller ===\n');
+
+// Test 1: REST API IAM principal and API key
+console.log('Test 1: REST API identity');
+const restCaller = getCaller({
+    requestContext: { identity: { userArn: 'arn:aws:sts::123456789012:assumed-role/analyst-ro/session', apiKeyId: 'key123', sourceIp: '10.0.0.1' } }
+});
+console.log('  Result:', restCaller);
+assert.deepStrictEqual(restCaller, {
+    principal: 'arn:aws:sts::123456789012:assumed-role/analyst-ro/session',
+    apiKeyId: 'key123',
+    claims: {},
+    sourceIp: '10.0.0.1'
+});
+console.log('  ✓ Should have principal, apiKeyId and sourceIp\n');
+
+// Test 2: HTTP API JWT claims
+console.log('Test 2: HTTP API JWT claims');
+const jwtCaller = getCaller({
+    requestContext: { authorizer: { jwt: { claims: { sub: 'user-1', scope: 'pii:read pii:write' } } } }
+});
+console.log('  Result:', jwtCaller);
+assert.deepStrictEqual(jwtCaller.claims, { sub: 'user-1', scope: 'pii:read pii:write' });
+console.log('  ✓ Should have claims with sub and scope\n');
+
+console.log('=== Testing authorize ===\n');
+
+const policy = {
+    rules: [
+        {
+            name: 'analysts-detokenize',
+            caller: { principal: 'arn:aws:sts::123456789012:assumed-role/analyst-*' },
+            operations: ['detokenize'],
+            vaults: ['vault1'],
+            maxRedaction: 'MASKED'
+        },
+        {
+            name: 'analysts',
+            caller: { principal: 'arn:aws:sts::123456789012:assumed-role/analyst-*' },
+            operations: ['get', 'query'],
+            vaults: ['vault1'],
+            tables: ['customers'],
+            maxRedaction: 'MASKED'
+        },
+        {
+            name: 'writers',
+            caller: { claims: { scope: 'pii:write' } },
+            operations: ['tokenize']
+        }
+    ]
+};
+
+// Returns the name of the allowing rule, or 'ACCESS_DENIED'
+function check(label, caller, request, rules = policy) {
+    try {
+        const rule = authorize(rules, caller, request);
+        console.log(`  ${label}: allowed by '${rule.name}'`);
+        return rule.name;
+    } catch (error) {
+        console.log(`  ${label}: ${error.statusCode} ${error.code} - ${error.message}`);
+        assert.strictEqual(error.statusCode, 403);
+        return error.code;
+    }
+}
+
+// Test 3: Allowed requests
+console.log('Test 3: Allowed');
+assert.strictEqual(check('MASKED detokenize', restCaller, { operation: 'detokenize', clusterId: 'c1', vaultId: 'vault1', redactionType: 'MASKED' }), 'analysts-detokenize');
+assert.strictEqual(check('tokenize by scope', jwtCaller, { operation: 'tokenize', clusterId: 'c1', vaultId: 'any', table: 'orders' }), 'writers');
+console.log('  ✓ Both should be allowed\n');
+
+// Test 4: Denied requests
+console.log('Test 4: Denied');
+[
+    check('PLAIN_TEXT detokenize', restCaller, { operation: 'detokenize', clusterId: 'c1', vaultId: 'vault1', redactionType: 'PLAIN_TEXT' }),
+    check('governance detokenize', restCaller, { operation: 'detokenize', clusterId: 'c1', vaultId: 'vault1', redactionType: null }),
+    check('other vault', restCaller, { operation: 'detokenize', clusterId: 'c1', vaultId: 'vault2', redactionType: 'MASKED' }),
+    check('other table', restCaller, { operation: 'get', clusterId: 'c1', vaultId: 'vault1', table: 'payments', redactionType: 'REDACTED' }),
+    check('one of several tables', restCaller, { operation: 'get', clusterId: 'c1', vaultId: 'vault1', tables: ['customers', 'payments'], redactionType: 'REDACTED' }),
+    check('delete', jwtCaller, { operation: 'delete', clusterId: 'c1', vaultId: 'vault1', table: 'customers' }),
+    check('unknown caller', getCaller({}), { operation: 'tokenize', clusterId: 'c1', vaultId: 'vault1' })
+].forEach(result => assert.strictEqual(result, 'ACCESS_DENIED'));
+console.log('  ✓ All should be 403 ACCESS_DENIED with a reason\n');
+
+// Test 5: Table-scoped rules without a checkable table
+console.log('Test 5: Table restriction bypass');
+const tableScoped = (operation, body, table) => ({ operation, clusterId: 'c1', vaultId: 'vault1', tables: requestedTables(operation, body, table), redactionType: 'MASKED' });
+[
+    check('query on another table', restCaller, tableScoped('query', { query: 'SELECT * FROM payments' }, 'customers')),
+    check('query with a join', restCaller, tableScoped('query', { query: 'SELECT * FROM customers c JOIN payments p ON c.id = p.id' }, 'customers')),
+    check('query with a subquery', restCaller, tableScoped('query', { query: 'SELECT * FROM customers WHERE id IN (SELECT id FROM payments)' }, 'customers')),
+    check('query with a table list', restCaller, tableScoped('query', { query: 'SELECT * FROM customers, payments' }, 'customers'))
+].forEach(result => assert.strictEqual(result, 'ACCESS_DENIED'));
+assert.strictEqual(check('query on the allowed table', restCaller,
+    tableScoped('query', { query: "SELECT email FROM customers WHERE note = 'not FROM payments';" }, null)), 'analysts');
+console.log('  ✓ All but the last should be 403 ACCESS_DENIED; the last is allowed by \'analysts\'\n');
+
+// Test 6: Operations that read no table are not scoped by the table they name
+console.log('Test 6: Table header on tableless operations');
+const customersOnly = { rules: [{ name: 'customers-only', caller: '*', operations: ['detokenize', 'detokenize-document', 'reidentify-text', 'get'], tables: ['customers'] }] };
+[
+    check('detokenize without a table', restCaller, tableScoped('detokenize', { tokens: ['t1'] }, null), customersOnly),
+    check('detokenize naming customers', restCaller, tableScoped('detokenize', { tokens: ['t1'] }, 'customers'), customersOnly),
+    check('detokenize-document naming customers', restCaller, tableScoped('detokenize-document', { document: {}, mapping: ['$.email'] }, 'customers'), customersOnly),
+    check('reidentify-text naming customers', restCaller, tableScoped('reidentify-text', { text: 'x' }, 'customers'), customersOnly)
+].forEach(result => assert.strictEqual(result, 'ACCESS_DENIED'));
+assert.deepStrictEqual(requestedTables('detokenize', { tokens: ['t1'] }, 'customers'), []);
+assert.strictEqual(check('get on customers', restCaller, tableScoped('get', { ids: ['id-1'] }, 'customers'), customersOnly), 'customers-only');
+console.log('  ✓ All but the last should be 403 ACCESS_DENIED; get on customers is allowed by \'customers-only\'\n');
+
+// Test 7: No policy configured
+console.log('Test 7: No policy');
+const unrestricted = authorize(undefined, getCaller({}), { operation: 'delete' });
+console.log('  Result:', unrestricted);
+assert.strictEqual(unrestricted, null);
+console.log('  ✓ Should return null (allowed)\n');
+
+console.log('=== All tests completed ===');
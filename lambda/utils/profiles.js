@@ -0,0 +1,149 @@
+/**
+ * Vault Profiles
+ *
+ * Named profiles bundle a cluster, vault, env, default table and credentials,
+ * so callers send X-Skyflow-Profile instead of repeating the vault headers and
+ * each vault can use its own service account.
+ *
+ * Profiles shape (config "profiles" or SKYFLOW_PROFILES env var as JSON):
+ * {
+ *   "payments": {
+ *     "clusterId": "ebfc9bee4242",
+ *     "vaultId": "ac7f4217c9e54fa7a6f4896c34f6964b",
+ *     "env": "PROD",
+ *     "table": "cards",
+ *     "credentials": { "apiKey": "sky-..." }
+ *   },
+ *   "sandbox": {
+ *     "credentialSource": { "type": "ssm", "parameterName": "/skyflow/sandbox" },
+ *     "allowVaultHeaders": true
+ *   }
+ * }
+ *
+ * - `credentials` or `credentialSource` (see utils/credentials.js) are optional;
+ *   without them the profile uses the top-level credentials.
+ * - X-Skyflow-Cluster-ID, X-Skyflow-Vault-ID and X-Skyflow-Env may only differ
+ *   from the profile's values when it sets `allowVaultHeaders` (403 PROFILE_OVERRIDE_DENIED).
+ * - X-Skyflow-Table always overrides the profile's default table.
+ * - Once profiles are configured every request must name one, unless
+ *   `defaultProfile` (SKYFLOW_DEFAULT_PROFILE) is set.
+ */
+
+const { ValidationError, ForbiddenError, missingHeader } = require('./errors');
+const { validateCredentials, validateCredentialSource } = require('./credentials');
+
+const VALID_ENVIRONMENTS = ['SANDBOX', 'PROD'];
+
+/**
+ * Pick the vault target for a request from its profile and headers
+ *
+ * @param {Object} config - Loaded config ({ profiles, defaultProfile })
+ * @param {Object} requested - Header values: { profile, clusterId, vaultId, env, table } (null when absent)
+ * @returns {Object} { profile, clusterId, vaultId, env, table } - profile is null without profiles
+ * @throws {ValidationError} UNKNOWN_PROFILE, MISSING_HEADER or INVALID_HEADER (env)
+ * @throws {ForbiddenError} PROFILE_OVERRIDE_DENIED if the profile does not allow vault headers
+ *
+ * @example
+ * resolveProfile(config, { profile: 'payments', clusterId: null, vaultId: null, env: null, table: null });
+ * // returns { profile: 'payments', clusterId: 'ebfc9bee4242', vaultId: 'ac7f...', env: 'PROD', table: 'cards' }
+ */
+function resolveProfile(config, requested) {
+    const profiles = config.profiles;
+
+    if (requested.env && !VALID_ENVIRONMENTS.includes(requested.env)) {
+        throw new ValidationError(`Invalid environment: ${requested.env}. Must be one of: ${VALID_ENVIRONMENTS.join(', ')}`, 'INVALID_HEADER');
+    }
+
+    if (!profiles) {
+        if (requested.profile) {
+            throw new ValidationError(`Unknown profile: ${requested.profile} (no profiles are configured)`, 'UNKNOWN_PROFILE');
+        }
+        return {
+            profile: null,
+            clusterId: requested.clusterId || null,
+            vaultId: requested.vaultId || null,
+            env: requested.env || 'PROD',
+            table: requested.table || null
+        };
+    }
+
+    const name = requested.profile || config.defaultProfile;
+    if (!name) {
+        throw missingHeader('X-Skyflow-Profile', `must be one of: ${Object.keys(profiles).join(', ')}`);
+    }
+    const profile = profiles[name];
+    if (!profile) {
+        throw new ValidationError(`Unknown profile: ${name}. Must be one of: ${Object.keys(profiles).join(', ')}`, 'UNKNOWN_PROFILE');
+    }
+
+    if (!profile.allowVaultHeaders) {
+        const overrides = [
+            ['X-Skyflow-Cluster-ID', requested.clusterId, profile.clusterId],
+            ['X-Skyflow-Vault-ID', requested.vaultId, profile.vaultId],
+            ['X-Skyflow-Env', requested.env, profile.env || 'PROD']
+        ].filter(([, value, profileValue]) => value && value !== profileValue);
+
+        if (overrides.length > 0) {
+            throw new ForbiddenError(`Profile ${name} does not allow the ${overrides.map(([header]) => header).join(', ')} header`, 'PROFILE_OVERRIDE_DENIED');
+        }
+    }
+
+    return {
+        profile: name,
+        clusterId: requested.clusterId || profile.clusterId || null,
+        vaultId: requested.vaultId || profile.vaultId || null,
+        env: requested.env || profile.env || 'PROD',
+        table: requested.table || profile.table || null
+    };
+}
+
+/**
+ * Whether a profile brings its own credentials
+ *
+ * @param {Object} profile - Profile from config
+ * @returns {boolean}
+ */
+function hasOwnCredentials(profile) {
+    return !!(profile && (profile.credentials || profile.credentialSource));
+}
+
+/**
+ * Validate profiles at load time so misconfiguration fails fast
+ *
+ * @param {Object} profiles - Profiles from config, by name
+ * @param {Object} [options]
+ * @param {string} [options.defaultProfile] - Profile used when a request names none
+ * @param {boolean} [options.hasDefaultCredentials] - Whether top-level credentials are configured
+ * @throws {Error} If a profile is malformed
+ */
+function validateProfiles(profiles, options = {}) {
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles) || Object.keys(profiles).length === 0) {
+        throw new Error('Invalid profiles: must be an object of named profiles');
+    }
+
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (!profile.allowVaultHeaders && (!profile.clusterId || !profile.vaultId)) {
+            throw new Error(`Invalid profile ${name}: clusterId and vaultId are required unless allowVaultHeaders is set`);
+        }
+        if (profile.env && !VALID_ENVIRONMENTS.includes(profile.env)) {
+            throw new Error(`Invalid profile ${name}: env must be one of: ${VALID_ENVIRONMENTS.join(', ')}`);
+        }
+        if (profile.credentialSource) {
+            validateCredentialSource(profile.credentialSource, `profiles.${name}.credentialSource`);
+        } else if (profile.credentials) {
+            validateCredentials(profile.credentials);
+        } else if (!options.hasDefaultCredentials) {
+            throw new Error(`Invalid profile ${name}: no credentials, credentialSource or top-level credentials`);
+        }
+    }
+
+    if (options.defaultProfile && !profiles[options.defaultProfile]) {
+        throw new Error(`Invalid defaultProfile: ${options.defaultProfile} is not a configured profile`);
+    }
+}
+
+module.exports = {
+    resolveProfile,
+    hasOwnCredentials,
+    validateProfiles
+};
@@ -0,0 +1,78 @@
+/**
+ * Simple manual tests for vault profiles
+ * Run with: node lambda/utils/profiles.test.js
+ */
+
+const assert = require('node:assert');
+const { resolveProfile, validateProfiles } = require('./profiles');
+
+const config = {
+    profiles: {
+        payments: { clusterId: 'c1', vaultId: 'v1', env: 'SANDBOX', table: 'cards', credentials: { apiKey: 'sky-payments' } },
+        shared: { clusterId: 'c2', vaultId: 'v2', allowVaultHeaders: true }
+    }
+};
+const noHeaders = { profile: null, clusterId: null, vaultId: null, env: null, table: null };
+
+function attempt(fn) {
+    try {
+        return fn();
+    } catch (error) {
+        return `${error.code ? `${error.code} (${error.statusCode}): ` : ''}${error.message}`;
+    }
+}
+
+console.log('=== Testing resolveProfile ===\n');
+
+// Test 1: Profile supplies every vault setting
+console.log('Test 1: Profile only');
+console.log('  Result:', resolveProfile(config, { ...noHeaders, profile: 'payments' }));
+assert.deepStrictEqual(resolveProfile(config, { ...noHeaders, profile: 'payments' }),
+    { profile: 'payments', clusterId: 'c1', vaultId: 'v1', env: 'SANDBOX', table: 'cards' });
+console.log('  ✓ Should be c1 / v1 / SANDBOX / cards\n');
+
+// Test 2: Table header overrides the default table
+console.log('Test 2: Table override');
+console.log('  Result:', resolveProfile(config, { ...noHeaders, profile: 'payments', table: 'refunds' }).table);
+assert.strictEqual(resolveProfile(config, { ...noHeaders, profile: 'payments', table: 'refunds' }).table, 'refunds');
+console.log('  ✓ Should be refunds\n');
+
+// Test 3: Vault header rejected without allowVaultHeaders
+console.log('Test 3: Vault header not allowed');
+console.log('  Result:', attempt(() => resolveProfile(config, { ...noHeaders, profile: 'payments', vaultId: 'other' })));
+assert.match(attempt(() => resolveProfile(config, { ...noHeaders, profile: 'payments', vaultId: 'other' })), /^PROFILE_OVERRIDE_DENIED \(403\)/);
+console.log('  ✓ Should be PROFILE_OVERRIDE_DENIED (403)\n');
+
+// Test 4: Vault header accepted with allowVaultHeaders
+console.log('Test 4: Vault header allowed');
+console.log('  Result:', resolveProfile(config, { ...noHeaders, profile: 'shared', vaultId: 'v9' }));
+assert.deepStrictEqual(resolveProfile(config, { ...noHeaders, profile: 'shared', vaultId: 'v9' }),
+    { profile: 'shared', clusterId: 'c2', vaultId: 'v9', env: 'PROD', table: null });
+console.log('  ✓ Should be c2 / v9 / PROD\n');
+
+// Test 5: Unknown and missing profile
+console.log('Test 5: Unknown and missing profile');
+console.log('  Unknown:', attempt(() => resolveProfile(config, { ...noHeaders, profile: 'nope' })));
+console.log('  Missing:', attempt(() => resolveProfile(config, noHeaders)));
+assert.match(attempt(() => resolveProfile(config, { ...noHeaders, profile: 'nope' })), /^UNKNOWN_PROFILE \(400\)/);
+assert.match(attempt(() => resolveProfile(config, noHeaders)), /^MISSING_HEADER \(400\)/);
+console.log('  ✓ Should be UNKNOWN_PROFILE (400) and MISSING_HEADER (400)\n');
+
+// Test 6: No profiles configured keeps raw headers
+console.log('Test 6: No profiles');
+console.log('  Result:', resolveProfile({}, { ...noHeaders, clusterId: 'c', vaultId: 'v' }));
+assert.deepStrictEqual(resolveProfile({}, { ...noHeaders, clusterId: 'c', vaultId: 'v' }),
+    { profile: null, clusterId: 'c', vaultId: 'v', env: 'PROD', table: null });
+console.log('  ✓ Should be c / v / PROD with profile null\n');
+
+console.log('=== Testing validateProfiles ===\n');
+
+// Test 7: Profile without credentials needs top-level ones
+console.log('Test 7: Credentials fallback');
+console.log('  Without top-level:', attempt(() => validateProfiles(config.profiles, { hasDefaultCredentials: false })));
+console.log('  With top-level:', attempt(() => validateProfiles(config.profiles, { hasDefaultCredentials: true })));
+assert.match(attempt(() => validateProfiles(config.profiles, { hasDefaultCredentials: false })), /^Invalid profile shared/);
+assert.strictEqual(attempt(() => validateProfiles(config.profiles, { hasDefaultCredentials: true })), undefined);
+console.log('  ✓ First should be an error for profile shared; second should be undefined\n');
+
+console.log('=== All tests completed ===');
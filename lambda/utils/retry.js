@@ -0,0 +1,167 @@
+/**
+ * Retry Utilities
+ *
+ * Exponential backoff with full jitter for transient Skyflow SDK failures
+ * (throttling, unavailable upstreams, network resets)
+ *
+ * Calls that are not idempotent (inserts without an upsert column) are only
+ * retried on failures that show the request was never processed: throttling,
+ * request timeouts and connections that were never established. A 5xx or a
+ * reset connection may follow a successful insert, and repeating it would
+ * create duplicate records.
+ */
+
+const logger = require('./logger');
+
+const DEFAULT_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 100,
+    maxDelayMs: 2000,
+    totalBudgetMs: 10000,
+    deadlineMarginMs: 1000,
+    retryableHttpCodes: [408, 429, 500, 502, 503, 504],
+    // gRPC: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, UNAVAILABLE
+    retryableGrpcCodes: [4, 8, 14],
+    // Non-idempotent calls: rejected before processing
+    retryableWriteHttpCodes: [408, 429],
+    // gRPC: RESOURCE_EXHAUSTED
+    retryableWriteGrpcCodes: [8]
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+// Failures to connect: the request was never sent
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+/**
+ * Merge a partial policy (from config) over the defaults
+ *
+ * @param {Object} [policy] - Partial retry policy
+ * @returns {Object} Complete retry policy
+ */
+function resolvePolicy(policy) {
+    return { ...DEFAULT_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Decide whether an error from the Skyflow SDK is worth retrying
+ *
+ * @param {Error} error - Error thrown by the SDK
+ * @param {Object} [policy] - Retry policy (retryable HTTP and gRPC codes)
+ * @param {boolean} [idempotent=true] - Whether repeating a call that reached Skyflow is safe
+ * @returns {boolean} True if the call may succeed on a later attempt
+ *
+ * @example
+ * isRetryable({ error: { http_code: 429 } });              // returns true
+ * isRetryable({ error: { http_code: 400 } });              // returns false
+ * isRetryable({ code: 'ECONNRESET' });                     // returns true
+ * isRetryable({ error: { http_code: 503 } }, null, false); // returns false (insert may have run)
+ */
+function isRetryable(error, policy, idempotent = true) {
+    const resolved = resolvePolicy(policy);
+    const retryableHttpCodes = idempotent ? resolved.retryableHttpCodes : resolved.retryableWriteHttpCodes;
+    const retryableGrpcCodes = idempotent ? resolved.retryableGrpcCodes : resolved.retryableWriteGrpcCodes;
+    if (!error) {
+        return false;
+    }
+
+    const httpCode = error.error?.http_code ?? error.http_code ?? error.statusCode;
+    if (httpCode !== undefined && httpCode !== null) {
+        return retryableHttpCodes.includes(Number(httpCode));
+    }
+
+    const grpcCode = error.error?.grpc_code ?? error.grpc_code;
+    if (grpcCode !== undefined && grpcCode !== null) {
+        return retryableGrpcCodes.includes(Number(grpcCode));
+    }
+
+    const networkCode = error.code || error.cause?.code;
+    if (!idempotent) {
+        return UNSENT_NETWORK_CODES.includes(networkCode);
+    }
+    if (networkCode && RETRYABLE_NETWORK_CODES.includes(networkCode)) {
+        return true;
+    }
+
+    return /socket hang up|network|timed? ?out/i.test(error.message || '');
+}
+
+/**
+ * Compute the backoff delay before the given retry (full jitter)
+ *
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Object} [policy] - Retry policy (baseDelayMs, maxDelayMs)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(retry, policy) {
+    const { baseDelayMs, maxDelayMs } = resolvePolicy(policy);
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retry - 1));
+    return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Run an async call, retrying transient failures with exponential backoff
+ *
+ * Stops retrying when maxAttempts is reached, when the error is not
+ * retryable, or when the next delay would overrun either the policy's
+ * totalBudgetMs or the invocation deadline (less deadlineMarginMs).
+ *
+ * @param {Function} fn - async () => result
+ * @param {Object} [policy] - Partial retry policy (merged over defaults)
+ * @param {Object} [options]
+ * @param {string} [options.label] - Operation name used in log lines
+ * @param {number} [options.deadline] - Epoch ms by which the call must finish (e.g. Lambda timeout)
+ * @param {boolean} [options.idempotent=true] - false for calls that must not be repeated once Skyflow
+ *                                             may have processed them (inserts without upsert)
+ * @returns {Promise<Object>} { result, retries }
+ * @throws The last error, with a `retries` property set to the number of retries made
+ *
+ * @example
+ * const { result, retries } = await withRetry(
+ *     () => client.vault(vaultId).insert(insertRequest, insertOptions),
+ *     config.retry,
+ *     { label: 'Tokenize', deadline: Date.now() + context.getRemainingTimeInMillis(), idempotent: false });
+ */
+async function withRetry(fn, policy, options = {}) {
+    const resolved = resolvePolicy(policy);
+    const { label = 'Call', deadline, idempotent = true } = options;
+    const startTime = Date.now();
+
+    let budgetEnd = startTime + resolved.totalBudgetMs;
+    if (deadline) {
+        budgetEnd = Math.min(budgetEnd, deadline - resolved.deadlineMarginMs);
+    }
+
+    let retries = 0;
+    for (;;) {
+        try {
+            const result = await fn();
+            return { result, retries };
+        } catch (error) {
+            const attempts = retries + 1;
+            if (attempts >= resolved.maxAttempts || !isRetryable(error, resolved, idempotent)) {
+                error.retries = retries;
+                throw error;
+            }
+
+            const delay = backoffDelay(retries + 1, resolved);
+            if (Date.now() + delay >= budgetEnd) {
+                logger.warn(`${label}: retry budget exhausted`, { attempts });
+                error.retries = retries;
+                throw error;
+            }
+
+            retries++;
+            logger.warn(`${label}: attempt failed, retrying`, { attempt: attempts, maxAttempts: resolved.maxAttempts, delayMs: delay, error });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    resolvePolicy,
+    isRetryable,
+    backoffDelay,
+    withRetry
+};
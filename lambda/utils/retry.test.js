@@ -0,0 +1,124 @@
+/**
+ * Simple manual tests for retry utility
+ * Run with: node lambda/utils/retry.test.js
+ */
+
+const assert = require('node:assert');
+const { isRetryable, backoffDelay, withRetry } = require('./retry');
+
+async function main() {
+    console.log('=== Testing isRetryable ===\n');
+
+    // Test 1: HTTP, gRPC and network classification
+    console.log('Test 1: Retryable classification');
+    console.log('  429:', isRetryable({ error: { http_code: 429 } }));
+    console.log('  503:', isRetryable({ error: { http_code: 503 } }));
+    console.log('  grpc 14:', isRetryable({ error: { grpc_code: 14 } }));
+    console.log('  ECONNRESET:', isRetryable({ code: 'ECONNRESET', message: 'read ECONNRESET' }));
+    [{ error: { http_code: 429 } }, { error: { http_code: 503 } }, { error: { grpc_code: 14 } }, { code: 'ECONNRESET', message: 'read ECONNRESET' }]
+        .forEach(error => assert.strictEqual(isRetryable(error), true));
+    console.log('  ✓ All should return true\n');
+
+    console.log('Test 2: Non-retryable classification');
+    console.log('  400:', isRetryable({ error: { http_code: 400 } }));
+    console.log('  404:', isRetryable({ error: { http_code: 404 } }));
+    console.log('  plain error:', isRetryable(new Error('Invalid vault ID')));
+    [{ error: { http_code: 400 } }, { error: { http_code: 404 } }, new Error('Invalid vault ID')]
+        .forEach(error => assert.strictEqual(isRetryable(error), false));
+    console.log('  ✓ All should return false\n');
+
+    // Test 3: Non-idempotent calls retry only failures that never reached Skyflow
+    console.log('Test 3: Non-idempotent classification');
+    console.log('  429:', isRetryable({ error: { http_code: 429 } }, null, false));
+    console.log('  ECONNREFUSED:', isRetryable({ code: 'ECONNREFUSED' }, null, false));
+    console.log('  503:', isRetryable({ error: { http_code: 503 } }, null, false));
+    console.log('  ECONNRESET:', isRetryable({ code: 'ECONNRESET', message: 'read ECONNRESET' }, null, false));
+    console.log('  timeout:', isRetryable(new Error('Request timed out'), null, false));
+    [{ error: { http_code: 429 } }, { error: { http_code: 408 } }, { code: 'ECONNREFUSED' }]
+        .forEach(error => assert.strictEqual(isRetryable(error, null, false), true));
+    [{ error: { http_code: 503 } }, { error: { http_code: 500 } }, { error: { grpc_code: 14 } }, { code: 'ECONNRESET' }, new Error('Request timed out')]
+        .forEach(error => assert.strictEqual(isRetryable(error, null, false), false));
+    console.log('  ✓ 429 and ECONNREFUSED should be true; 503, ECONNRESET and timeout false\n');
+
+    console.log('=== Testing backoffDelay ===\n');
+
+    // Test 4: Delay stays under the exponential ceiling
+    console.log('Test 4: Delay bounded by ceiling');
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+    const delays = [1, 2, 3, 4, 5].map(retry => backoffDelay(retry, policy));
+    console.log('  delays:', JSON.stringify(delays));
+    [100, 200, 400, 800, 1000].forEach((ceiling, index) => assert.ok(delays[index] >= 0 && delays[index] < ceiling));
+    console.log('  ✓ Each should be below 100, 200, 400, 800, 1000\n');
+
+    console.log('=== Testing withRetry ===\n');
+
+    // Test 5: Succeeds after transient failures
+    console.log('Test 5: Succeeds after transient failures');
+    let calls = 0;
+    const ok = await withRetry(async () => {
+        calls++;
+        if (calls < 3) {
+            throw Object.assign(new Error('throttled'), { error: { http_code: 429 } });
+        }
+        return 'done';
+    }, { maxAttempts: 3, baseDelayMs: 1 }, { label: 'Test' });
+    console.log('  result:', ok.result, 'retries:', ok.retries);
+    assert.strictEqual(ok.result, 'done');
+    assert.strictEqual(ok.retries, 2);
+    console.log('  ✓ Should return "done" with 2 retries\n');
+
+    // Test 6: Non-retryable errors fail immediately
+    console.log('Test 6: Non-retryable error not retried');
+    calls = 0;
+    try {
+        await withRetry(async () => {
+            calls++;
+            throw Object.assign(new Error('bad request'), { error: { http_code: 400 } });
+        }, { maxAttempts: 3, baseDelayMs: 1 });
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  calls:', calls, 'error.retries:', error.retries);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(error.retries, 0);
+        console.log('  ✓ Should be 1 call with 0 retries\n');
+    }
+
+    // Test 7: Insert without upsert not repeated after a 5xx
+    console.log('Test 7: Non-idempotent call not retried on 503');
+    calls = 0;
+    try {
+        await withRetry(async () => {
+            calls++;
+            throw Object.assign(new Error('unavailable'), { error: { http_code: 503 } });
+        }, { maxAttempts: 3, baseDelayMs: 1 }, { idempotent: false });
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  calls:', calls, 'error.retries:', error.retries);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(error.retries, 0);
+        console.log('  ✓ Should be 1 call with 0 retries\n');
+    }
+
+    // Test 8: Deadline stops retries
+    console.log('Test 8: Deadline stops retries');
+    calls = 0;
+    try {
+        await withRetry(async () => {
+            calls++;
+            throw Object.assign(new Error('unavailable'), { error: { http_code: 503 } });
+        }, { maxAttempts: 5, baseDelayMs: 1, deadlineMarginMs: 1000 }, { deadline: Date.now() + 500 });
+        assert.fail('Should have thrown');
+    } catch (error) {
+        console.log('  calls:', calls, 'error.retries:', error.retries);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(error.retries, 0);
+        console.log('  ✓ Should be 1 call with 0 retries (deadline inside margin)\n');
+    }
+
+    console.log('✅ All retry tests completed!');
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
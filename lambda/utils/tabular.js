@@ -0,0 +1,313 @@
+/**
+ * Tabular Payloads
+ *
+ * CSV and NDJSON bodies for /process and /processDatabricks, so ETL tools and
+ * shell scripts can send rows as they already have them. The format is chosen
+ * by Content-Type; the response uses the format named in Accept (text/csv,
+ * application/x-ndjson or application/json), or the request's format.
+ *
+ * Formats:
+ * - text/csv - the first row is the header and names the columns
+ * - application/x-ndjson - one JSON object per line, keyed by column
+ * Options come from the X-Skyflow-Options header as JSON, e.g. {"upsert": "email"}.
+ *
+ * Operations (all through the existing SkyflowClient batching):
+ * - tokenize: each row becomes one record (empty cells omitted, empty rows skipped);
+ *   the response has a token column per input column plus skyflow_id
+ * - tokenize-byot: column <name>_token holds the custom token for column <name>;
+ *   the response is as for tokenize
+ * - detokenize: every cell is a token; the response has the same columns with
+ *   values in place of tokens
+ *
+ * Per-row errors are a `skyflow_error` column in CSV ("CODE: message", empty for
+ * rows that succeeded) and a {"skyflow_error": {...}} line in place of the row in
+ * NDJSON. Error `index` values refer to the data row (0-based, header not counted).
+ */
+
+const { ValidationError, rowError } = require('./errors');
+const { getHeader } = require('./headers');
+const { isNullValue } = require('./validation');
+const { parseCsv, formatCsvRow } = require('./csv');
+
+const TABULAR_TYPES = {
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson'
+};
+
+// Formats a tabular request can be answered in (Accept)
+const RESPONSE_TYPES = {
+    ...TABULAR_TYPES,
+    json: 'application/json'
+};
+
+const TABULAR_OPERATIONS = ['tokenize', 'tokenize-byot', 'detokenize'];
+
+const ERROR_COLUMN = 'skyflow_error';
+
+/**
+ * Tabular request format from the Content-Type header
+ *
+ * @param {Object} headers - The headers object from the Lambda event
+ * @returns {string|null} 'csv', 'ndjson', or null for any other body
+ */
+function tabularFormat(headers) {
+    const contentType = (getHeader(headers, 'content-type') || '').split(';')[0].trim().toLowerCase();
+    return Object.keys(TABULAR_TYPES).find(name => TABULAR_TYPES[name] === contentType) || null;
+}
+
+/**
+ * Response format from the Accept header
+ *
+ * @param {Object} headers - The headers object from the Lambda event
+ * @param {string} requestFormat - 'csv' or 'ndjson', used when Accept names no supported type
+ * @returns {string} 'csv', 'ndjson' or 'json'
+ */
+function responseFormat(headers, requestFormat) {
+    const accepted = (getHeader(headers, 'accept') || '').split(',').map(type => type.split(';')[0].trim().toLowerCase());
+    const format = accepted.map(type => Object.keys(RESPONSE_TYPES).find(name => RESPONSE_TYPES[name] === type)).find(Boolean);
+    return format || requestFormat;
+}
+
+/**
+ * Turn a CSV or NDJSON request into a /process body
+ *
+ * @param {Object} event - Lambda event (headers, body, isBase64Encoded)
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {string} operation - X-Skyflow-Operation
+ * @returns {Promise<Object>} { body, layout } - body is { records | tokens, options }; layout maps results back to rows
+ * @throws {ValidationError} INVALID_BODY if the body cannot be decoded, INVALID_REQUEST if its shape is wrong
+ *
+ * @example
+ * await parseTabularRequest({ body: 'email,name\na@x.com,Ann\n' }, 'csv', 'tokenize');
+ * // returns { body: { records: [{ email: 'a@x.com', name: 'Ann' }], options: {} }, layout: { ... } }
+ */
+async function parseTabularRequest(event, format, operation) {
+    if (!TABULAR_OPERATIONS.includes(operation)) {
+        throw new ValidationError(`Operation ${operation || '(none)'} does not support ${TABULAR_TYPES[format]} bodies. Supported: ${TABULAR_OPERATIONS.join(', ')}`);
+    }
+
+    const text = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    const { columnNames, rows } = format === 'csv' ? await decodeCsv(text) : decodeNdjson(text);
+    if (rows.length === 0) {
+        throw new ValidationError(`${TABULAR_TYPES[format]} body has no data rows`);
+    }
+    const options = readOptions(event.headers);
+    const layout = { operation, columnNames, rows };
+
+    if (operation === 'detokenize') {
+        const tokens = rows.flatMap(row => columnNames.map(name => row[name]).filter(token => !isNullValue(token)));
+        return { body: { tokens, options }, layout };
+    }
+
+    const byot = operation === 'tokenize-byot';
+    layout.valueColumns = byot ? byotColumns(columnNames) : columnNames;
+    layout.rowIndexes = [];
+    const records = [];
+    rows.forEach((row, index) => {
+        const fields = {};
+        const tokens = {};
+        layout.valueColumns.forEach(name => {
+            if (isNullValue(row[name])) {
+                return;
+            }
+            fields[name] = row[name];
+            if (byot) {
+                if (isNullValue(row[`${name}_token`])) {
+                    throw new ValidationError(`rows[${index}] has a value for ${name} but no ${name}_token`);
+                }
+                tokens[name] = row[`${name}_token`];
+            }
+        });
+        if (Object.keys(fields).length > 0) {
+            records.push(byot ? { fields, tokens } : fields);
+            layout.rowIndexes.push(index);
+        }
+    });
+    return { body: { records, options }, layout };
+}
+
+/**
+ * Build the Lambda response for a CSV or NDJSON request
+ *
+ * @param {string} format - 'csv', 'ndjson' or 'json' (from responseFormat)
+ * @param {Object} layout - Layout from parseTabularRequest
+ * @param {Object} result - SkyflowClient tokenize, tokenizeByot or detokenize result ({ data, errors })
+ * @param {Object} metadata - Response metadata (operation, duration_ms, retries, ...); JSON responses only
+ * @returns {Object} Lambda response in the requested format
+ */
+function tabularResponse(format, layout, result, metadata) {
+    const { names, rows, errors } = layout.operation === 'detokenize'
+        ? detokenizedRows(layout, result)
+        : tokenizedRows(layout, result);
+
+    const headers = {
+        'Content-Type': RESPONSE_TYPES[format],
+        'Access-Control-Allow-Origin': '*'
+    };
+
+    if (format === 'json') {
+        const response = { success: true, data: rows, metadata };
+        if (errors.length > 0) {
+            response.errors = errors;
+        }
+        return { statusCode: 200, headers, body: JSON.stringify(response) };
+    }
+
+    // A row reports its first error
+    const failures = new Map();
+    errors.forEach(error => {
+        if (!failures.has(error.index)) {
+            failures.set(error.index, error);
+        }
+    });
+
+    const lines = format === 'csv'
+        ? [formatCsvRow([...names, ERROR_COLUMN]), ...rows.map((row, index) => {
+            const failure = failures.get(index);
+            return formatCsvRow([...names.map(name => row ? row[name] : null), failure ? `${failure.code}: ${failure.error}` : null]);
+        })]
+        : rows.map((row, index) => JSON.stringify(failures.has(index) ? { [ERROR_COLUMN]: failures.get(index) } : row));
+
+    return { statusCode: 200, headers, body: lines.join('\n') + '\n' };
+}
+
+function tokenizedRows(layout, result) {
+    const names = [...layout.valueColumns.filter(name => name !== 'skyflow_id'), 'skyflow_id'];
+    const empty = () => Object.fromEntries(names.map(name => [name, null]));
+    const rows = layout.rows.map(empty);
+    layout.rowIndexes.forEach((row, index) => {
+        const record = result.data[index];
+        rows[row] = record ? Object.fromEntries(names.map(name => [name, record[name] ?? null])) : null;
+    });
+
+    const errors = (result.errors || []).map(error => error.index !== undefined ? { ...error, index: layout.rowIndexes[error.index] } : error);
+    errors.filter(error => error.index !== undefined).forEach(error => {
+        rows[error.index] = null;
+    });
+    return { names, rows, errors };
+}
+
+function detokenizedRows(layout, result) {
+    const names = layout.columnNames;
+    const values = new Map(result.data.map(record => [String(record.token), record.value]));
+    const errors = [];
+
+    const rows = layout.rows.map((row, index) => {
+        const missing = names.find(name => !isNullValue(row[name]) && !values.has(String(row[name])));
+        if (missing) {
+            // Failed tokens are absent from data; report the first one by column, without echoing it
+            const cause = (result.errors || []).find(error => error.token === row[missing]);
+            errors.push({
+                ...(cause ? rowError(index, cause) : { index, code: 'VAULT_ERROR', error: 'Token could not be detokenized' }),
+                column: missing
+            });
+            return null;
+        }
+        return Object.fromEntries(names.map(name => [name, isNullValue(row[name]) ? null : values.get(String(row[name]))]));
+    });
+
+    return { names, rows, errors };
+}
+
+/**
+ * Value columns of a tokenize-byot request: every column <name> paired with <name>_token
+ */
+function byotColumns(columnNames) {
+    const tokenColumns = new Set(columnNames.filter(name => columnNames.includes(`${name}_token`)).map(name => `${name}_token`));
+    const valueColumns = columnNames.filter(name => !tokenColumns.has(name));
+    const unpaired = valueColumns.find(name => !columnNames.includes(`${name}_token`));
+    if (unpaired) {
+        throw new ValidationError(`tokenize-byot needs column ${unpaired}_token with the custom tokens for ${unpaired}`);
+    }
+    return valueColumns;
+}
+
+async function decodeCsv(text) {
+    let header = null;
+    const values = [];
+    try {
+        for await (const row of parseCsv([text])) {
+            if (header) {
+                values.push(row);
+            } else {
+                header = row;
+            }
+        }
+    } catch (error) {
+        throw new ValidationError(`Invalid CSV body: ${error.message}`, 'INVALID_BODY');
+    }
+
+    if (!header) {
+        throw new ValidationError('CSV body has no header row');
+    }
+    validateColumnNames(header);
+    const rows = values.map((row, index) => {
+        if (row.length !== header.length) {
+            throw new ValidationError(`rows[${index}] has ${row.length} fields, the header has ${header.length}`, 'INVALID_BODY');
+        }
+        return Object.fromEntries(header.map((name, column) => [name, row[column] === '' ? null : row[column]]));
+    });
+    return { columnNames: header, rows };
+}
+
+function decodeNdjson(text) {
+    const columnNames = [];
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map((line, index) => {
+        let row;
+        try {
+            row = JSON.parse(line);
+        } catch (error) {
+            throw new ValidationError(`rows[${index}] is not valid JSON: ${error.message}`, 'INVALID_BODY');
+        }
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new ValidationError(`rows[${index}] must be a JSON object with column names as keys`);
+        }
+        Object.keys(row).forEach(name => {
+            if (!columnNames.includes(name)) {
+                columnNames.push(name);
+            }
+        });
+        return row;
+    });
+    validateColumnNames(columnNames);
+    return { columnNames, rows };
+}
+
+function validateColumnNames(names) {
+    if (names.includes(ERROR_COLUMN)) {
+        throw new ValidationError(`Column name ${ERROR_COLUMN} is reserved for per-row errors`);
+    }
+    names.forEach((name, index) => {
+        if (!name) {
+            throw new ValidationError(`Column ${index + 1} has no name`);
+        }
+        if (names.indexOf(name) !== index) {
+            throw new ValidationError(`Column ${name} appears more than once`);
+        }
+    });
+}
+
+function readOptions(headers) {
+    const raw = getHeader(headers, 'x-skyflow-options');
+    if (!raw) {
+        return {};
+    }
+    let options;
+    try {
+        options = JSON.parse(raw);
+    } catch (error) {
+        options = null;
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new ValidationError('Invalid header: X-Skyflow-Options (must be a JSON object)', 'INVALID_OPTION');
+    }
+    return options;
+}
+
+module.exports = {
+    TABULAR_TYPES,
+    tabularFormat,
+    responseFormat,
+    parseTabularRequest,
+    tabularResponse
+};
@@ -0,0 +1,119 @@
+/**
+ * Simple manual tests for CSV and NDJSON payloads
+ * Run with: node lambda/utils/tabular.test.js
+ */
+
+const assert = require('node:assert');
+const { tabularFormat, responseFormat, parseTabularRequest, tabularResponse } = require('./tabular');
+
+async function attempt(fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        return `${error.code}: ${error.message}`;
+    }
+}
+
+async function runTests() {
+    console.log('=== Testing formats ===\n');
+
+    // Test 1: Request format by Content-Type, response format by Accept
+    console.log('Test 1: Content-Type and Accept');
+    console.log('  Request:', tabularFormat({ 'Content-Type': 'text/csv; charset=utf-8' }), tabularFormat({ 'content-type': 'application/x-ndjson' }), tabularFormat({}));
+    console.log('  Response:', responseFormat({ Accept: 'application/x-ndjson, */*' }, 'csv'), responseFormat({ accept: '*/*' }, 'csv'), responseFormat({ Accept: 'application/json' }, 'ndjson'));
+    assert.deepStrictEqual(
+        [tabularFormat({ 'Content-Type': 'text/csv; charset=utf-8' }), tabularFormat({ 'content-type': 'application/x-ndjson' }), tabularFormat({})],
+        ['csv', 'ndjson', null]);
+    assert.deepStrictEqual(
+        [responseFormat({ Accept: 'application/x-ndjson, */*' }, 'csv'), responseFormat({ accept: '*/*' }, 'csv'), responseFormat({ Accept: 'application/json' }, 'ndjson')],
+        ['ndjson', 'csv', 'json']);
+    console.log('  ✓ Should be csv, ndjson, null, then ndjson, csv, json\n');
+
+    console.log('=== Testing CSV ===\n');
+
+    // Test 2: Header names the columns; empty cells omitted, empty rows skipped
+    console.log('Test 2: Tokenize request');
+    const tokenize = await parseTabularRequest({
+        headers: { 'X-Skyflow-Options': '{"upsert": "email"}' },
+        body: 'email,name\r\na@x.com,"Doe, Ann"\r\n,\r\nbad,Bob\r\n'
+    }, 'csv', 'tokenize');
+    console.log('  Records:', JSON.stringify(tokenize.body.records), 'rows:', tokenize.layout.rowIndexes, 'options:', tokenize.body.options);
+    assert.deepStrictEqual(tokenize.body.records, [{ email: 'a@x.com', name: 'Doe, Ann' }, { email: 'bad', name: 'Bob' }]);
+    assert.deepStrictEqual(tokenize.layout.rowIndexes, [0, 2]);
+    assert.deepStrictEqual(tokenize.body.options, { upsert: 'email' });
+    console.log('  ✓ Should be 2 records from rows 0 and 2, with upsert email\n');
+
+    // Test 3: Tokens placed back by row; failed rows carry the error column
+    console.log('Test 3: Tokenize response');
+    const result = {
+        data: [{ skyflow_id: 'id-0', email: 'tok-a', name: 'tok-ann' }, null],
+        errors: [{ index: 1, code: 'VAULT_BAD_REQUEST', error: 'Invalid email' }]
+    };
+    const csv = tabularResponse('csv', tokenize.layout, result, {});
+    const ndjson = tabularResponse('ndjson', tokenize.layout, result, {});
+    const json = tabularResponse('json', tokenize.layout, result, { operation: 'tokenize' });
+    console.log('  CSV:', JSON.stringify(csv.body));
+    console.log('  NDJSON:', JSON.stringify(ndjson.body));
+    console.log('  JSON:', json.body);
+    assert.strictEqual(csv.headers['Content-Type'], 'text/csv');
+    assert.strictEqual(csv.body, 'email,name,skyflow_id,skyflow_error\ntok-a,tok-ann,id-0,\n,,,\n,,,VAULT_BAD_REQUEST: Invalid email\n');
+    assert.deepStrictEqual(ndjson.body.trim().split('\n').map(line => JSON.parse(line)), [
+        { email: 'tok-a', name: 'tok-ann', skyflow_id: 'id-0' },
+        { email: null, name: null, skyflow_id: null },
+        { skyflow_error: { index: 2, code: 'VAULT_BAD_REQUEST', error: 'Invalid email' } }
+    ]);
+    assert.deepStrictEqual(JSON.parse(json.body).errors, [{ index: 2, code: 'VAULT_BAD_REQUEST', error: 'Invalid email' }]);
+    console.log('  ✓ Should put tokens in row 0, leave row 1 empty and fail row 2 with VAULT_BAD_REQUEST (index 2)\n');
+
+    // Test 4: Malformed CSV
+    console.log('Test 4: Rejected CSV');
+    const rejected = {
+        Ragged: await attempt(() => parseTabularRequest({ body: 'email,name\na@x.com\n' }, 'csv', 'tokenize')),
+        'Open quote': await attempt(() => parseTabularRequest({ body: 'email\n"a@x.com\n' }, 'csv', 'tokenize')),
+        'Header only': await attempt(() => parseTabularRequest({ body: 'email\n' }, 'csv', 'tokenize')),
+        Query: await attempt(() => parseTabularRequest({ body: 'email\na\n' }, 'csv', 'query')),
+        Options: await attempt(() => parseTabularRequest({ headers: { 'x-skyflow-options': 'upsert' }, body: 'email\na\n' }, 'csv', 'tokenize'))
+    };
+    Object.entries(rejected).forEach(([label, outcome]) => console.log(`  ${label}:`, outcome));
+    assert.deepStrictEqual(Object.values(rejected).map(outcome => outcome.split(':')[0]),
+        ['INVALID_BODY', 'INVALID_BODY', 'INVALID_REQUEST', 'INVALID_REQUEST', 'INVALID_OPTION']);
+    console.log('  ✓ Should be INVALID_BODY, INVALID_BODY, INVALID_REQUEST, INVALID_REQUEST and INVALID_OPTION\n');
+
+    // Test 5: BYOT pairs <name> with <name>_token
+    console.log('Test 5: Tokenize-BYOT');
+    const byot = await parseTabularRequest({ body: 'email,email_token,ssn,ssn_token\na@x.com,tok-a,123,tok-1\n' }, 'csv', 'tokenize-byot');
+    const unpaired = await attempt(() => parseTabularRequest({ body: 'email,ssn_token\na,b\n' }, 'csv', 'tokenize-byot'));
+    console.log('  Records:', JSON.stringify(byot.body.records));
+    console.log('  Unpaired:', unpaired);
+    assert.deepStrictEqual(byot.body.records, [{ fields: { email: 'a@x.com', ssn: '123' }, tokens: { email: 'tok-a', ssn: 'tok-1' } }]);
+    assert.match(unpaired, /^INVALID_REQUEST: .*needs column email_token/);
+    console.log('  ✓ Should be fields { email, ssn } with their tokens, then a missing email_token column error\n');
+
+    console.log('=== Testing NDJSON ===\n');
+
+    // Test 6: Every cell detokenized; a row with a failed token reports its column
+    console.log('Test 6: Detokenize round trip');
+    const detokenize = await parseTabularRequest({ body: '{"email": "t1", "ssn": "t2"}\n\n{"email": "t3"}\n' }, 'ndjson', 'detokenize');
+    console.log('  Tokens:', detokenize.body.tokens);
+    const detokenized = tabularResponse('ndjson', detokenize.layout, {
+        data: [{ token: 't1', value: 'a@x.com' }, { token: 't2', value: '123-45-6789' }],
+        errors: [{ token: 't3', error: { http_code: 404, message: 'Token not found' } }]
+    }, {});
+    const badLine = await attempt(() => parseTabularRequest({ body: '{"email": "t1"}\n[1]\n' }, 'ndjson', 'detokenize'));
+    console.log('  Body:', JSON.stringify(detokenized.body));
+    console.log('  Bad line:', badLine);
+    assert.deepStrictEqual(detokenize.body.tokens, ['t1', 't2', 't3']);
+    assert.deepStrictEqual(detokenized.body.trim().split('\n').map(line => JSON.parse(line)), [
+        { email: 'a@x.com', ssn: '123-45-6789' },
+        { skyflow_error: { index: 1, code: 'VAULT_NOT_FOUND', error: 'Token not found', http_code: 404, column: 'email' } }
+    ]);
+    assert.match(badLine, /^INVALID_REQUEST: rows\[1\]/);
+    console.log('  ✓ Should send t1, t2, t3; row 1 fails with VAULT_NOT_FOUND on email; [1] is rejected\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
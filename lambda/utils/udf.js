@@ -0,0 +1,139 @@
+/**
+ * Scalar UDF Helpers
+ *
+ * Shared by the warehouse handlers whose functions take one value per row and
+ * return one result per row, in order (BigQuery remote functions, Redshift Lambda UDFs,
+ * and Snowflake detokenize).
+ * NULL and empty-string inputs come back as NULL without calling Skyflow.
+ * A token Skyflow does not know (404) comes back as NULL; any other failed token
+ * fails the whole call, so a query never mistakes an error for a missing value.
+ *
+ * Settings (BigQuery user_defined_context, Redshift settings argument):
+ * - operation - "tokenize" or "detokenize"
+ * - profile, clusterId, vaultId, env - vault target (see utils/profiles.js)
+ * - table, column - required for tokenize (table may come from the profile)
+ * - redactionType - optional, detokenize
+ */
+
+const { ValidationError, VaultError, rowError } = require('./errors');
+const { validateRedactionType, isNullValue } = require('./validation');
+const logger = require('./logger');
+
+const UDF_OPERATIONS = ['tokenize', 'detokenize'];
+const UDF_SETTINGS = ['operation', 'profile', 'clusterId', 'vaultId', 'env', 'table', 'column', 'redactionType'];
+
+/**
+ * Read UDF settings, with null for every missing key
+ *
+ * @param {Object} [source] - Settings object
+ * @returns {Object} { operation, profile, clusterId, vaultId, env, table, column, redactionType }
+ */
+function readSettings(source) {
+    const settings = source && typeof source === 'object' ? source : {};
+    return Object.fromEntries(UDF_SETTINGS.map(key => [key, settings[key] || null]));
+}
+
+/**
+ * Reject an unsupported UDF operation
+ *
+ * @param {string} operation - Requested operation
+ * @throws {ValidationError} UNKNOWN_OPERATION
+ */
+function validateUdfOperation(operation) {
+    if (!UDF_OPERATIONS.includes(operation)) {
+        throw new ValidationError(`Invalid operation: ${operation}. Must be one of: ${UDF_OPERATIONS.join(', ')}`, 'UNKNOWN_OPERATION');
+    }
+}
+
+/**
+ * Tokenize one value per row into settings.column
+ *
+ * @param {Array} values - Cell values, one per row
+ * @param {Object} settings - Resolved settings (clusterId, vaultId, env, table, column)
+ * @param {SkyflowClient} client - Skyflow client
+ * @returns {Promise<Object>} { results, errors, requestIds } - results holds the token per row
+ *                            (null for NULL inputs); errors and requestIds are as from SkyflowClient
+ */
+async function tokenizeValues(values, settings, client) {
+    const { clusterId, vaultId, table, column, env } = settings;
+
+    // NULL cells are returned as NULL without reaching the vault
+    const pending = [];
+    values.forEach((value, index) => {
+        if (!isNullValue(value)) {
+            pending.push(index);
+        }
+    });
+
+    logger.info('Tokenize', { cluster: clusterId, vault: vaultId, env, table, column, count: values.length, nulls: values.length - pending.length });
+
+    const results = new Array(values.length).fill(null);
+    if (pending.length === 0) {
+        return { results, errors: null, requestIds: [] };
+    }
+
+    const records = pending.map(index => ({ [column]: values[index] }));
+    const response = await client.tokenize(clusterId, vaultId, table, records, {}, env);
+
+    // Skyflow preserves order
+    pending.forEach((index, position) => {
+        results[index] = response.data[position]?.[column] ?? null;
+    });
+    return { results, errors: response.errors, requestIds: response.requestIds };
+}
+
+/**
+ * Detokenize one token per row
+ *
+ * @param {Array} values - Tokens, one per row
+ * @param {Object} settings - Resolved settings (clusterId, vaultId, env, redactionType)
+ * @param {SkyflowClient} client - Skyflow client
+ * @returns {Promise<Object>} { results, errors, requestIds } - results holds the value per row
+ *                            (null for NULL inputs and tokens not found); errors and requestIds are as from SkyflowClient
+ * @throws {VaultError} If any token fails for a reason other than not found
+ */
+async function detokenizeValues(values, settings, client) {
+    const { clusterId, vaultId, env, redactionType } = settings;
+
+    validateRedactionType(redactionType);
+
+    // NULL cells are returned as NULL without reaching the vault
+    const tokens = values.filter(token => !isNullValue(token));
+
+    logger.info('Detokenize', { cluster: clusterId, vault: vaultId, env, count: values.length, nulls: values.length - tokens.length, redactionType: redactionType || 'governance-controlled' });
+
+    if (tokens.length === 0) {
+        return { results: values.map(() => null), errors: null, requestIds: [] };
+    }
+
+    const options = redactionType ? { redactionType } : {};
+    const response = await client.detokenize(clusterId, vaultId, tokens, options, env);
+    const valueByToken = new Map(response.data.map(record => [record.token, record.value]));
+
+    const results = values.map((token, index) => {
+        if (isNullValue(token)) {
+            return null;
+        }
+        if (valueByToken.has(token)) {
+            return valueByToken.get(token);
+        }
+        // Failed tokens are absent from data; report the row without echoing the token
+        const cause = (response.errors || []).find(error => error.token === token);
+        const failure = cause ? rowError(index, cause) : { index, error: 'Token could not be detokenized' };
+        if (Number(failure.http_code) === 404) {
+            return null;
+        }
+        throw new VaultError(`Detokenization failed for row ${index}: ${failure.error}`, failure);
+    });
+
+    return { results, errors: response.errors, requestIds: response.requestIds };
+}
+
+module.exports = {
+    UDF_OPERATIONS,
+    UDF_SETTINGS,
+    readSettings,
+    validateUdfOperation,
+    tokenizeValues,
+    detokenizeValues
+};
@@ -0,0 +1,72 @@
+/**
+ * Simple manual tests for scalar UDF helpers
+ * Run with: node lambda/utils/udf.test.js
+ */
+
+const assert = require('node:assert');
+const { readSettings, tokenizeValues, detokenizeValues } = require('./udf');
+const logger = require('./logger');
+
+logger.setLevel('off');
+
+// Stand-in for SkyflowClient: tokens named after an HTTP status fail with it
+const client = {
+    calls: [],
+    async tokenize(clusterId, vaultId, table, records) {
+        this.calls.push(`tokenize x${records.length}`);
+        return { data: records.map(record => ({ email: `tok-${record.email}` })), errors: null, requestIds: ['req-1'] };
+    },
+    async detokenize(clusterId, vaultId, tokens) {
+        this.calls.push(`detokenize x${tokens.length}`);
+        const failed = token => /^\d{3}$/.test(token) || token === 'lost';
+        return {
+            data: tokens.filter(token => !failed(token)).map(token => ({ token, value: token.replace('tok-', '') })),
+            errors: tokens.filter(token => /^\d{3}$/.test(token)).map(token => ({ token, error: { http_code: Number(token), message: 'Failed', request_ID: 'req-2' } })),
+            requestIds: ['req-2']
+        };
+    }
+};
+const settings = { ...readSettings({ clusterId: 'c1', vaultId: 'v1', table: 'users', column: 'email' }), env: 'PROD' };
+
+async function runTests() {
+    console.log('=== Testing tokenizeValues ===\n');
+
+    // Test 1: NULL and empty inputs skip the vault
+    console.log('Test 1: Tokenize with NULLs');
+    client.calls = [];
+    const tokenized = await tokenizeValues(['a@x.com', null, ''], settings, client);
+    console.log('  Result:', tokenized.results, 'calls:', client.calls);
+    assert.deepStrictEqual(tokenized.results, ['tok-a@x.com', null, null]);
+    assert.deepStrictEqual(tokenized.requestIds, ['req-1']);
+    assert.deepStrictEqual(client.calls, ['tokenize x1']);
+    console.log('  ✓ Should tokenize 1 value and return NULL for the other 2\n');
+
+    console.log('=== Testing detokenizeValues ===\n');
+
+    // Test 2: Tokens not found, NULL and empty tokens come back as NULL
+    console.log('Test 2: Not found');
+    client.calls = [];
+    const detokenized = await detokenizeValues(['tok-a', '404', null, ''], settings, client);
+    console.log('  Result:', detokenized.results, 'calls:', client.calls);
+    assert.deepStrictEqual(detokenized.results, ['a', null, null, null]);
+    assert.deepStrictEqual(client.calls, ['detokenize x2']);
+    console.log('  ✓ Should be a, NULL, NULL, NULL from 2 tokens sent\n');
+
+    // Test 3: Any other failure fails the call, without echoing the token
+    console.log('Test 3: Other failures');
+    for (const [token, code] of [['403', 'VAULT_FORBIDDEN'], ['503', 'VAULT_UNAVAILABLE'], ['lost', 'VAULT_ERROR']]) {
+        await assert.rejects(detokenizeValues(['tok-a', token], settings, client), error => {
+            console.log(`  ${token}:`, error.code, error.message);
+            assert.doesNotMatch(error.message, new RegExp(`\\b${token}\\b`));
+            return error.code === code && /row 1/.test(error.message);
+        });
+    }
+    console.log('  ✓ Should fail row 1 with VAULT_FORBIDDEN, VAULT_UNAVAILABLE and VAULT_ERROR\n');
+
+    console.log('=== All tests completed ===');
+}
+
+runTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
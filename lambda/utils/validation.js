@@ -0,0 +1,43 @@
+/**
+ * Validation Utilities
+ *
+ * Request validation rules shared by the REST and warehouse handlers
+ */
+
+const { ValidationError } = require('./errors');
+
+const VALID_REDACTION_TYPES = ['PLAIN_TEXT', 'MASKED', 'REDACTED', 'DEFAULT'];
+
+/**
+ * Validate an optional detokenize redaction type
+ *
+ * @param {string|null|undefined} redactionType - Requested redaction type (omit for governance-controlled)
+ * @throws {ValidationError} INVALID_REDACTION_TYPE if a redaction type is given and is not one of VALID_REDACTION_TYPES
+ *
+ * @example
+ * validateRedactionType('MASKED');   // ok
+ * validateRedactionType(undefined);  // ok - Skyflow governance decides
+ * validateRedactionType('masked');   // throws
+ */
+function validateRedactionType(redactionType) {
+    if (redactionType && !VALID_REDACTION_TYPES.includes(redactionType)) {
+        throw new ValidationError(`Invalid redactionType: ${redactionType}. Must be one of: ${VALID_REDACTION_TYPES.join(', ')}, or omit for governance-controlled redaction`, 'INVALID_REDACTION_TYPE');
+    }
+}
+
+/**
+ * Whether a warehouse cell should be treated as SQL NULL
+ * (NULL and empty strings are passed through without reaching the vault)
+ *
+ * @param {*} value - Cell value
+ * @returns {boolean} True for null, undefined and ''
+ */
+function isNullValue(value) {
+    return value === null || value === undefined || value === '';
+}
+
+module.exports = {
+    VALID_REDACTION_TYPES,
+    validateRedactionType,
+    isNullValue
+};